@@ -8,12 +8,38 @@
 
 import { DatabaseManager } from './database.js';
 import { StatisticsManager } from './statistics-manager.js';
+import { HighlightsManager } from './highlights-manager.js';
+import { BookmarksManager } from './bookmarks-manager.js';
 import { ThemeManager } from './themes.js';
 import { UIManager } from '../ui/ui-manager.js';
 import { LibraryManager } from '../library/library-manager.js';
 import { EventManager } from '../events/event-manager.js';
 import { SettingsManager } from '../ui/settings-manager.js';
 import { StatsUI } from '../ui/stats-ui.js';
+import { HighlightsUI } from '../ui/highlights-ui.js';
+import { BookmarksUI } from '../ui/bookmarks-ui.js';
+import { SearchUI } from '../ui/search-ui.js';
+import { BookSearch } from '../reader/book-search.js';
+import { ReadAloudUI } from '../ui/read-aloud-ui.js';
+import { ReadAloud } from '../reader/read-aloud.js';
+import { MediaOverlayUI } from '../ui/media-overlay-ui.js';
+import { MediaOverlay } from '../reader/media-overlay.js';
+import { AutoScrollUI } from '../ui/auto-scroll-ui.js';
+import { AutoScroll } from '../reader/auto-scroll.js';
+import { FootnotesUI } from '../ui/footnotes-ui.js';
+import { MediaViewerUI } from '../ui/media-viewer-ui.js';
+import { HistoryUI } from '../ui/history-ui.js';
+import { ProgressScrubberUI } from '../ui/progress-scrubber-ui.js';
+import { GesturesUI } from '../ui/gestures-ui.js';
+import { Footnotes } from '../reader/footnotes.js';
+import { MediaViewer } from '../reader/media-viewer.js';
+import { FontsManager } from './fonts-manager.js';
+import { LocationsManager } from './locations-manager.js';
+import { TypographyUI } from '../ui/typography-ui.js';
+import { ReadingProfileManager } from './reading-profile.js';
+import { ReadingProfileUI } from '../ui/reading-profile-ui.js';
+import { BookStylesUI } from '../ui/book-styles-ui.js';
+import { ContentSecurityUI } from '../ui/content-security-ui.js';
 import Logger from '../utils/logger.js';
 
 // Instance du composant de statistiques (singleton côté UI)
@@ -49,19 +75,64 @@ const App = {
             // 5. Initialiser le gestionnaire de statistiques
             await StatisticsManager.init();
             
-            // 6. Initialiser le gestionnaire d'événements
+            // 6. Initialiser les polices de lecture (police importée choisie)
+            await FontsManager.init();
+            TypographyUI.init();
+            
+            // 7. Initialiser les profils de lecture, les styles de l'éditeur et
+            //    l'autorisation des scripts par livre
+            ReadingProfileManager.init();
+            ReadingProfileUI.init();
+            BookStylesUI.init();
+            ContentSecurityUI.init();
+            
+            // 8. Initialiser la pagination (pages mises en cache par livre)
+            LocationsManager.init();
+            
+            // 9. Initialiser les surlignages et signets (données + interface)
+            HighlightsManager.init();
+            HighlightsUI.init();
+            BookmarksManager.init();
+            BookmarksUI.init();
+            
+            // 10. Initialiser la recherche dans le livre
+            BookSearch.init();
+            SearchUI.init();
+            
+            // 11. Initialiser la lecture à voix haute (synthèse vocale et narration du livre)
+            ReadAloud.init();
+            ReadAloudUI.init();
+            MediaOverlay.init();
+            MediaOverlayUI.init();
+            
+            // 12. Initialiser le défilement automatique (mode scroll)
+            AutoScroll.init();
+            AutoScrollUI.init();
+            
+            // 13. Initialiser les notes de bas de page (pop-over) et la visionneuse d'images
+            Footnotes.init();
+            FootnotesUI.init();
+            MediaViewer.init();
+            MediaViewerUI.init();
+            
+            // 14. Initialiser la navigation (retour après un saut, barre de progression, gestes)
+            HistoryUI.init();
+            ProgressScrubberUI.init();
+            GesturesUI.init();
+            
+            // 15. Initialiser le gestionnaire d'événements
             EventManager.init();
 
-            // 7. Initialiser l'UI des statistiques (modal)
+            // 16. Initialiser l'UI des statistiques (modal)
             statsUI.init();
             
-            // 8. Charger la bibliothèque
+            // 17. Charger la bibliothèque
             await LibraryManager.load();
             
-            // 9. Enregistrer le Service Worker (PWA)
+            // 18. Enregistrer le Service Worker (PWA)
             await this.registerServiceWorker();
             
-            // 10. Afficher le message de bienvenue
+            // 19. Afficher le message de bienvenue
             UIManager.showStatus('📚 Bibliothèque prête');
             logger.info('EPUB Reader initialized successfully');
             
@@ -0,0 +1,139 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BOOK-STYLES.JS
+ * Styles de l'éditeur, par livre : niveau de remplacement des styles du livre
+ * par les styles de lecture (champ publisherStyles de la fiche) et CSS
+ * personnalisé injecté dans chaque chapitre (champ customCSS).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from './config.js';
+import { StateManager } from './state.js';
+import { DatabaseManager } from './database.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('BookStyles');
+
+/**
+ * ID de la balise <style> injectée dans les chapitres
+ * @private
+ */
+const STYLE_ID = 'reader-custom-css';
+
+/**
+ * Rendition actuellement attachée
+ * @private
+ */
+let activeRendition = null;
+
+/**
+ * BookStylesManager - Styles de l'éditeur et CSS personnalisé du livre ouvert
+ */
+export const BookStylesManager = {
+    /**
+     * Charge les réglages d'un livre à son ouverture (avant la création du lecteur)
+     * @param {Object} bookData - Fiche du livre
+     */
+    load(bookData) {
+        const mode = Config.PUBLISHER_STYLES.includes(bookData?.publisherStyles)
+            ? bookData.publisherStyles
+            : Config.PUBLISHER_STYLES_DEFAULT;
+
+        StateManager.set('publisherStyles', mode);
+        StateManager.set('customCSS', bookData?.customCSS || '');
+    },
+
+    /**
+     * Niveau de remplacement des styles du livre ouvert
+     * @returns {string} 'override', 'partial' ou 'original'
+     */
+    getMode() {
+        return StateManager.get('publisherStyles');
+    },
+
+    /**
+     * Vérifie si les styles de lecture remplacent entièrement ceux du livre
+     * (police, interligne, marges, alignement...)
+     * @returns {boolean}
+     */
+    isOverridden() {
+        return this.getMode() === 'override';
+    },
+
+    /**
+     * Change le niveau de remplacement du livre ouvert (enregistré sur sa fiche)
+     * @param {string} mode - 'override', 'partial' ou 'original'
+     * @returns {Promise<void>}
+     */
+    async setMode(mode) {
+        const bookId = StateManager.get('currentBookId');
+        if (!bookId || !Config.PUBLISHER_STYLES.includes(mode)) return;
+
+        StateManager.set('publisherStyles', mode);
+        await DatabaseManager.update(bookId, { publisherStyles: mode });
+        logger.info(`Publisher styles: ${mode} for book ${bookId}`);
+    },
+
+    /**
+     * Change le CSS personnalisé du livre ouvert (enregistré sur sa fiche)
+     * @param {string} css
+     * @returns {Promise<void>}
+     */
+    async setCustomCSS(css) {
+        const bookId = StateManager.get('currentBookId');
+        if (!bookId) return;
+
+        const value = (css || '').trim();
+        StateManager.set('customCSS', value);
+        this.refresh();
+        await DatabaseManager.update(bookId, { customCSS: value });
+    },
+
+    /**
+     * Attache le gestionnaire à une rendition (injection à chaque chapitre)
+     * @param {ePub.Rendition} rendition
+     */
+    attach(rendition) {
+        if (!rendition) return;
+        activeRendition = rendition;
+        rendition.hooks.content.register((contents) => this.applyTo(contents));
+    },
+
+    /**
+     * Injecte le CSS personnalisé dans un chapitre (après les styles de lecture)
+     * @param {Object} contents - Contenu epub.js (iframe)
+     */
+    applyTo(contents) {
+        const doc = contents?.document;
+        if (!doc?.head) return;
+
+        const css = StateManager.get('customCSS');
+        let style = doc.getElementById(STYLE_ID);
+
+        if (!css) {
+            style?.remove();
+            return;
+        }
+        if (!style) {
+            style = doc.createElement('style');
+            style.id = STYLE_ID;
+        }
+        style.textContent = css;
+        // Toujours en dernier : l'emporte sur le thème à spécificité égale
+        doc.head.appendChild(style);
+    },
+
+    /**
+     * Réapplique le CSS personnalisé aux chapitres affichés
+     */
+    refresh() {
+        if (!activeRendition) return;
+        try {
+            activeRendition.getContents().forEach(contents => this.applyTo(contents));
+        } catch (error) {
+            logger.debug('Custom CSS refresh failed', error);
+        }
+    }
+};
+
+export default BookStylesManager;
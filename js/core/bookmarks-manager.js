@@ -0,0 +1,139 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BOOKMARKS-MANAGER.JS
+ * Gestion des signets du livre ouvert.
+ * Un signet mémorise une position CFI, le chapitre et un extrait du texte.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { DatabaseManager } from './database.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('BookmarksManager');
+
+/**
+ * Signets du livre courant (triés par date de création)
+ * @private
+ */
+let bookmarks = [];
+
+/**
+ * ID du livre dont les signets sont chargés
+ * @private
+ */
+let loadedBookId = null;
+
+/**
+ * BookmarksManager - Signets du livre courant
+ */
+export const BookmarksManager = {
+    /**
+     * Initialise le gestionnaire
+     */
+    init() {
+        EventBus.on(Events.READER_CLOSED, () => this.reset());
+        logger.info('BookmarksManager initialized');
+    },
+
+    /**
+     * Charge les signets d'un livre
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<Array>}
+     */
+    async load(bookId) {
+        loadedBookId = bookId;
+        bookmarks = await DatabaseManager.getBookmarks(bookId);
+        EventBus.emit(Events.BOOKMARKS_UPDATED, bookmarks);
+        return bookmarks;
+    },
+
+    /**
+     * Vide l'état (fermeture du livre)
+     */
+    reset() {
+        bookmarks = [];
+        loadedBookId = null;
+        EventBus.emit(Events.BOOKMARKS_UPDATED, bookmarks);
+    },
+
+    /**
+     * Retourne les signets du livre courant
+     * @returns {Array}
+     */
+    getAll() {
+        return [...bookmarks];
+    },
+
+    /**
+     * Récupère un signet par son ID
+     * @param {number} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return bookmarks.find(b => b.id === id);
+    },
+
+    /**
+     * Ajoute un signet à une position
+     * @param {Object} location - { cfi, chapter, excerpt, percentage, page, pageType }
+     * @returns {Promise<Object|null>} Signet créé, ou existant si la position est déjà marquée
+     */
+    async add({ cfi, chapter = null, excerpt = '', percentage = 0, page = null, pageType = null }) {
+        if (!loadedBookId || !cfi) return null;
+
+        const existing = bookmarks.find(b => b.cfi === cfi);
+        if (existing) return existing;
+
+        const bookmark = {
+            bookId: loadedBookId,
+            cfi,
+            label: chapter || 'Signet',
+            chapter,
+            excerpt,
+            percentage,
+            page,
+            pageType,
+            createdAt: Date.now()
+        };
+
+        bookmark.id = await DatabaseManager.saveBookmark(bookmark);
+        bookmarks.push(bookmark);
+        EventBus.emit(Events.BOOKMARKS_UPDATED, bookmarks);
+
+        return bookmark;
+    },
+
+    /**
+     * Renomme un signet
+     * @param {number} id - ID du signet
+     * @param {string} label - Nouveau nom
+     * @returns {Promise<Object|null>}
+     */
+    async rename(id, label) {
+        const bookmark = this.get(id);
+        const trimmed = label?.trim();
+        if (!bookmark || !trimmed) return null;
+
+        bookmark.label = trimmed;
+        await DatabaseManager.saveBookmark(bookmark);
+        EventBus.emit(Events.BOOKMARKS_UPDATED, bookmarks);
+
+        return bookmark;
+    },
+
+    /**
+     * Supprime un signet
+     * @param {number} id - ID du signet
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        if (!this.get(id)) return;
+
+        await DatabaseManager.deleteBookmark(id);
+        bookmarks = bookmarks.filter(b => b.id !== id);
+        EventBus.emit(Events.BOOKMARKS_UPDATED, bookmarks);
+    }
+};
+
+export default BookmarksManager;
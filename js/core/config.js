@@ -15,9 +15,13 @@ export const Config = Object.freeze({
     // BASE DE DONNÉES
     // ═══════════════════════════════════════════════════════════════════════
     DB_NAME: 'EpubLibrary',
-    DB_VERSION: 4, // V4: Ajout du store 'statistics' pour les statistiques de lecture
+    DB_VERSION: 8, // V8: Ajout du store 'locations' (pagination mise en cache)
     STORE_NAME: 'books',
     STATS_STORE_NAME: 'statistics',
+    HIGHLIGHTS_STORE_NAME: 'highlights',
+    BOOKMARKS_STORE_NAME: 'bookmarks',
+    FONTS_STORE_NAME: 'fonts',
+    LOCATIONS_STORE_NAME: 'locations',
     
     // ═══════════════════════════════════════════════════════════════════════
     // THÈMES
@@ -74,6 +78,66 @@ export const Config = Object.freeze({
         }
     },
     
+    // ═══════════════════════════════════════════════════════════════════════
+    // SURLIGNAGES
+    // Couleurs proposées lors de la sélection d'un passage
+    // ═══════════════════════════════════════════════════════════════════════
+    HIGHLIGHT_COLORS: {
+        yellow: '#ffd54f',
+        green: '#81c784',
+        blue: '#64b5f6',
+        pink: '#f48fb1'
+    },
+    HIGHLIGHT_DEFAULT_COLOR: 'yellow',
+    HIGHLIGHT_OPACITY: '0.35',
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // SIGNETS
+    // ═══════════════════════════════════════════════════════════════════════
+    BOOKMARK_EXCERPT_LENGTH: 140, // Longueur max de l'extrait enregistré (caractères)
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // RECHERCHE DANS LE LIVRE
+    // ═══════════════════════════════════════════════════════════════════════
+    BOOK_SEARCH_MIN_LENGTH: 2,      // Nombre minimum de caractères
+    BOOK_SEARCH_MAX_RESULTS: 500,   // Plafond de résultats (livres très longs)
+    BOOK_SEARCH_HIT_COLOR: '#ff9800', // Couleur du résultat affiché
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // SOMMAIRE GÉNÉRÉ (livres sans sommaire exploitable)
+    // ═══════════════════════════════════════════════════════════════════════
+    GENERATED_TOC_LABEL_LENGTH: 80, // Longueur max d'une entrée (caractères)
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // LECTURE À VOIX HAUTE (speechSynthesis)
+    // ═══════════════════════════════════════════════════════════════════════
+    TTS_RATE: {
+        MIN: 0.5,
+        MAX: 2,
+        DEFAULT: 1,
+        STEP: 0.1
+    },
+    TTS_RATE_PRESETS: [0.75, 1, 1.25, 1.5, 2], // Vitesses proposées par le lecteur
+    TTS_SLEEP_TIMERS: [0, 15, 30, 60],         // Minuterie de veille (minutes, 0 = désactivée)
+    TTS_SENTENCE_COLOR: '#4fc3f7',             // Couleur de la phrase lue
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // NARRATION EPUB3 (media overlays SMIL)
+    // ═══════════════════════════════════════════════════════════════════════
+    MEDIA_OVERLAY_ACTIVE_CLASS: '-epub-media-overlay-active', // Classe par défaut du passage lu
+    MEDIA_OVERLAY_COLOR: 'rgba(255, 213, 79, 0.45)',          // Surlignage si le livre n'en définit pas
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // DÉFILEMENT AUTOMATIQUE (mode scroll)
+    // ═══════════════════════════════════════════════════════════════════════
+    AUTO_SCROLL_SPEED: {
+        MIN: 10,      // Vitesse minimum (px/s)
+        MAX: 200,     // Vitesse maximum (px/s)
+        DEFAULT: 40,  // Vitesse par défaut (px/s)
+        STEP: 10      // Pas des touches + / -
+    },
+    AUTO_SCROLL_CHAPTER_PAUSE: 1500, // Pause au début du chapitre suivant (ms)
+    
     // ═══════════════════════════════════════════════════════════════════════
     // OPTIONS DE POLICE
     // ═══════════════════════════════════════════════════════════════════════
@@ -84,6 +148,54 @@ export const Config = Object.freeze({
         STEP: 10      // Incrément par clic
     },
     
+    // ═══════════════════════════════════════════════════════════════════════
+    // POLICES DE LECTURE
+    // 'publisher' : polices du livre, 'default' : pile serif de l'application,
+    // sinon ID d'une police importée (store 'fonts')
+    // ═══════════════════════════════════════════════════════════════════════
+    FONT_FAMILY_DEFAULT: 'default',
+    FONT_DEFAULT_STACK: 'Georgia, "Times New Roman", serif',
+    FONT_IMPORT_FORMATS: {
+        ttf: 'truetype',
+        otf: 'opentype',
+        woff2: 'woff2'
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // STYLES DE L'ÉDITEUR (par livre)
+    // 'override' : styles de lecture imposés, 'partial' : couleurs et taille
+    // du texte seulement, 'original' : CSS du livre avec les couleurs du thème
+    // ═══════════════════════════════════════════════════════════════════════
+    PUBLISHER_STYLES: ['override', 'partial', 'original'],
+    PUBLISHER_STYLES_DEFAULT: 'override',
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // TYPOGRAPHIE (mise en page du texte)
+    // ═══════════════════════════════════════════════════════════════════════
+    TYPOGRAPHY_DEFAULTS: {
+        lineHeight: 1.6,        // Interligne
+        paragraphSpacing: 1.2,  // Espace entre paragraphes (em)
+        margins: 'normal',      // Clé de TYPOGRAPHY_MARGINS
+        maxWidth: 'none',       // Clé de TYPOGRAPHY_MAX_WIDTHS
+        textAlign: 'justify',   // 'justify', 'left' ou 'publisher'
+        textIndent: 0,          // Retrait de première ligne (em)
+        hyphenation: true       // Césure automatique
+    },
+    // Facteur appliqué aux marges latérales par défaut (5vw mobile, 10% desktop)
+    TYPOGRAPHY_MARGINS: {
+        narrow: 0.5,
+        normal: 1,
+        wide: 1.5,
+        xwide: 2
+    },
+    // Largeur maximale des blocs de texte
+    TYPOGRAPHY_MAX_WIDTHS: {
+        none: null,
+        narrow: '32em',
+        medium: '40em',
+        wide: '48em'
+    },
+    
     // ═══════════════════════════════════════════════════════════════════════
     // LECTEUR EPUB
     // Mode de rendu : 'scrolled' (défilement) ou 'paginated' (pagination)
@@ -94,9 +206,63 @@ export const Config = Object.freeze({
     // Zone de navigation en mode pagination (pourcentage des bords)
     PAGINATION_NAV_ZONE: 0.15,  // 15% des bords gauche/droite
     
+    // Gestes tactiles du lecteur (modifiables dans les paramètres)
+    GESTURE_DEFAULTS: {
+        tapZone: 20,                    // Largeur des zones de tap gauche/droite (% de l'écran)
+        doubleTap: 'toggle-interface',  // Action du double tap (action de ActionHandler)
+        longPress: 'add-bookmark',      // Action de l'appui long (action de ActionHandler)
+        swipe: 'page',                  // Glissement horizontal : 'page', 'chapter' ou 'none'
+        pinch: 'font-size'              // Pincement : 'font-size' ou 'none'
+    },
+    TAP_ZONE_WIDTH: {
+        MIN: 10,
+        MAX: 40,
+        STEP: 5
+    },
+    SWIPE_MIN_DISTANCE: 50,   // Glissement minimal (px)
+    SWIPE_MAX_DURATION: 600,  // Au-delà : défilement lent ou sélection, pas un glissement (ms)
+    LONG_PRESS_DELAY: 550,    // Durée minimale d'un appui long (ms)
+    PINCH_STEP: 1.25,         // Écartement des doigts (rapport) pour un cran de taille du texte
+    
+    // Historique de navigation (Retour / Suivant après un saut)
+    NAV_HISTORY_MAX: 50,            // Positions mémorisées
+    NAV_HISTORY_CHIP_DURATION: 8000, // Affichage du bouton "Revenir" sur mobile (ms)
+    
     // Largeur minimale pour le mode double page (spread)
     SPREAD_MIN_WIDTH: 1200,
     
+    // Animation de changement de page du mode paginé
+    PAGE_TURN_ANIMATIONS: ['none', 'slide', 'fade', 'curl'],
+    PAGE_TURN_ANIMATION_DEFAULT: 'slide',
+    PAGE_TURN_DURATION: 260, // Sortie + entrée (ms)
+    
+    // Mise en page fixe (BD, albums) : zoom en pourcentage de la page ajustée
+    FIXED_LAYOUT_ZOOM: {
+        MIN: 100,
+        MAX: 400,
+        STEP: 25
+    },
+    
+    // Visionneuse d'images et de tableaux : zoom (facteur de la taille ajustée)
+    MEDIA_VIEWER_ZOOM: {
+        MIN: 1,
+        MAX: 5,
+        STEP: 0.5
+    },
+    MEDIA_VIEWER_MIN_SIZE: 48, // Images plus petites ignorées (icônes, lettrines) (px)
+    
+    // Pagination (locations epub.js) : nombre de caractères d'une "page"
+    // pour la taille de texte et l'interligne par défaut
+    LOCATIONS_CHARS_PER_PAGE: 1600,
+    LOCATIONS_MIN_CHARS: 400,
+    LOCATIONS_REFRESH_DELAY: 1500, // ms après un changement de mise en page
+    
+    // Vitesse de lecture (estimation du temps restant), en caractères/seconde
+    READING_SPEED_DEFAULT: 20,          // ~230 mots/min, avant toute mesure
+    READING_SPEED_MIN_SAMPLE: 300,      // Secondes mesurées avant de se fier à la vitesse
+    READING_SPEED_MAX_PAGE_STEP: 3,     // Au-delà : saut (sommaire, recherche), non compté
+    READING_SPEED_MAX_PAGE_SECONDS: 300, // Temps max compté pour une page (pause)
+    
     // ═══════════════════════════════════════════════════════════════════════
     // INTERFACE
     // ═══════════════════════════════════════════════════════════════════════
@@ -111,5 +277,14 @@ export const StorageKeys = Object.freeze({
     THEME: 'currentTheme',
     FONT_SIZE: 'fontSize',
     READER_FLOW: 'readerFlow',
+    SCROLL_CONTINUOUS: 'scrollContinuous',
+    FONT_FAMILY: 'fontFamily',
+    TYPOGRAPHY: 'typography',
+    TTS_VOICE: 'ttsVoice',
+    TTS_RATE: 'ttsRate',
+    AUTO_SCROLL_SPEED: 'autoScrollSpeed',
+    GESTURES: 'gestures',
+    PAGE_TURN_ANIMATION: 'pageTurnAnimation',
+    PROFILE_GLOBALS: 'profileGlobals', // Réglages globaux pendant un profil de livre
     LEGACY_DARK_MODE: 'isDarkMode' // Pour la migration
 });
@@ -0,0 +1,259 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CONTENT-SECURITY.JS
+ * Politique de sécurité des livres importés. Chaque chapitre est nettoyé avant
+ * son rendu : scripts et attributs on* retirés (sauf si le livre est autorisé
+ * à exécuter ses scripts, champ allowScripts de la fiche), ressources externes,
+ * redirections <meta http-equiv="refresh"> et liens javascript: neutralisés,
+ * formulaires désactivés, et CSP ajoutée.
+ * L'import signale les livres qui contiennent des scripts ou des ressources
+ * distantes (champ security de la fiche).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { StateManager } from './state.js';
+import { DatabaseManager } from './database.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ContentSecurity');
+
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+/**
+ * URL distante (http, https, ftp, file ou relative au protocole)
+ * @private
+ */
+const REMOTE_URL = /^\s*(?:(?:https?|ftp|file):)?\/\//i;
+
+/**
+ * URL exécutant du code
+ * @private
+ */
+const SCRIPT_URL = /^\s*(?:javascript|vbscript):/i;
+
+/**
+ * Attributs qui chargent une ressource (hors liens <a>, qui ne sont suivis
+ * qu'au clic)
+ * @private
+ */
+const LOAD_ATTRIBUTES = ['src', 'srcset', 'href', 'poster', 'data', 'background'];
+
+/**
+ * Attributs contenant une URL (liens javascript: neutralisés)
+ * @private
+ */
+const URL_ATTRIBUTES = [...LOAD_ATTRIBUTES, 'action', 'formaction'];
+
+/**
+ * Attributs de formulaire retirés (envoi des données)
+ * @private
+ */
+const FORM_ATTRIBUTES = ['action', 'formaction', 'method', 'formmethod', 'target', 'formtarget'];
+
+/**
+ * Éléments retirés quand les scripts sont désactivés (plugins scriptables)
+ * @private
+ */
+const SCRIPT_ELEMENTS = ['script', 'object', 'embed', 'applet'];
+
+/**
+ * Vérifie si un élément est toujours retiré : plugin scriptable (scripts
+ * désactivés) ou redirection du chapitre (<meta http-equiv="refresh">)
+ * @param {Element} el
+ * @param {boolean} allowScripts
+ * @returns {boolean}
+ * @private
+ */
+function isBlockedElement(el, allowScripts) {
+    if (!allowScripts && SCRIPT_ELEMENTS.includes(el.localName)) return true;
+    return el.localName === 'meta'
+        && (el.getAttribute('http-equiv') || '').trim().toLowerCase() === 'refresh';
+}
+
+/**
+ * Fichiers de l'archive analysés à l'import
+ * @private
+ */
+const SCANNED_FILES = /\.(?:x?html?|xml|svg|opf|css)$/i;
+
+/**
+ * Traces de scripts dans un document (balise, attribut on*, lien javascript:)
+ * @private
+ */
+const SCRIPT_MARKUP = /<script\b|\son[a-z]+\s*=\s*["']|=\s*["']\s*javascript:/i;
+
+/**
+ * Ressource chargée depuis le réseau : attribut d'un élément autre que <a>,
+ * ou url()/@import d'une feuille de style
+ * @private
+ */
+const REMOTE_MARKUP = /<(?!a[\s>])[a-z][\w:.-]*\s[^>]*?\b(?:src|srcset|href|poster|data)\s*=\s*["']\s*(?:(?:https?|ftp):)?\/\/|url\(\s*["']?\s*(?:https?:)?\/\/|@import\s+["']\s*(?:https?:)?\/\//i;
+
+/**
+ * Propriétés du manifeste EPUB3 déclarant scripts et ressources distantes
+ * @private
+ */
+const MANIFEST_PROPERTIES = /<item\b[^>]*\bproperties\s*=\s*["'][^"']*\b(scripted|remote-resources)\b/gi;
+
+/**
+ * CSP des chapitres : ressources du livre uniquement (URL blob: créées par
+ * epub.js ou data:), aucun envoi de formulaire. La CSP de l'application
+ * (index.html) s'applique aussi aux chapitres : seuls les scripts externes
+ * du livre peuvent s'exécuter quand il y est autorisé.
+ * @param {boolean} allowScripts
+ * @returns {string}
+ * @private
+ */
+function chapterPolicy(allowScripts) {
+    return [
+        "default-src 'none'",
+        'img-src blob: data:',
+        'media-src blob: data:',
+        'font-src blob: data:',
+        "style-src blob: data: 'unsafe-inline'",
+        `script-src ${allowScripts ? 'blob:' : "'none'"}`,
+        "form-action 'none'"
+    ].join('; ');
+}
+
+/**
+ * Nettoie les attributs d'un élément
+ * @param {Element} el
+ * @param {boolean} allowScripts
+ * @returns {number} Nombre d'attributs retirés
+ * @private
+ */
+function cleanAttributes(el, allowScripts) {
+    const link = el.localName === 'a';
+    const form = ['form', 'button', 'input'].includes(el.localName);
+    let removed = 0;
+
+    Array.from(el.attributes).forEach(attr => {
+        const name = attr.localName.toLowerCase();
+        const value = attr.value || '';
+
+        const unsafe = (!allowScripts && name.startsWith('on'))
+            || (URL_ATTRIBUTES.includes(name) && SCRIPT_URL.test(value))
+            || (form && FORM_ATTRIBUTES.includes(name))
+            || (!link && LOAD_ATTRIBUTES.includes(name)
+                && value.split(',').some(url => REMOTE_URL.test(url)));
+
+        if (unsafe) {
+            el.removeAttributeNode(attr);
+            removed++;
+        }
+    });
+
+    return removed;
+}
+
+/**
+ * ContentSecurity - Politique de sécurité du contenu des livres
+ */
+export const ContentSecurity = {
+    /**
+     * Charge l'autorisation des scripts d'un livre à son ouverture
+     * (avant la création du lecteur)
+     * @param {Object} bookData - Fiche du livre
+     */
+    load(bookData) {
+        StateManager.set('allowScripts', bookData?.allowScripts === true);
+    },
+
+    /**
+     * Vérifie si le livre ouvert peut exécuter ses scripts
+     * @returns {boolean}
+     */
+    allowsScripts() {
+        return StateManager.get('allowScripts') === true;
+    },
+
+    /**
+     * Autorise ou non les scripts du livre ouvert (enregistré sur sa fiche)
+     * @param {boolean} enabled
+     * @returns {Promise<void>}
+     */
+    async setAllowScripts(enabled) {
+        const bookId = StateManager.get('currentBookId');
+        if (!bookId) return;
+
+        StateManager.set('allowScripts', enabled);
+        await DatabaseManager.update(bookId, { allowScripts: enabled });
+        logger.info(`Scripts ${enabled ? 'allowed' : 'blocked'} for book ${bookId}`);
+    },
+
+    /**
+     * Nettoie chaque chapitre du livre au chargement, avant son rendu
+     * @param {ePub.Book} book
+     */
+    attach(book) {
+        book?.spine?.hooks?.content.register((doc) => this.sanitize(doc));
+    },
+
+    /**
+     * Applique la politique de sécurité à un document de chapitre
+     * Les feuilles de style distantes (url(), @import) sont bloquées par la CSP.
+     * @param {Document} doc
+     */
+    sanitize(doc) {
+        if (!doc?.documentElement) return;
+
+        const allowScripts = this.allowsScripts();
+        let removed = 0;
+
+        Array.from(doc.getElementsByTagName('*')).forEach(el => {
+            if (isBlockedElement(el, allowScripts)) {
+                el.remove();
+                removed++;
+                return;
+            }
+            removed += cleanAttributes(el, allowScripts);
+        });
+
+        const head = doc.getElementsByTagNameNS(XHTML_NS, 'head')[0];
+        if (head) {
+            const meta = doc.createElementNS(XHTML_NS, 'meta');
+            meta.setAttribute('http-equiv', 'Content-Security-Policy');
+            meta.setAttribute('content', chapterPolicy(allowScripts));
+            head.insertBefore(meta, head.firstChild);
+        }
+
+        if (removed > 0) logger.debug(`${removed} unsafe elements or attributes removed`);
+    },
+
+    /**
+     * Analyse une archive EPUB à l'import
+     * @param {ArrayBuffer} buffer - Contenu du fichier
+     * @returns {Promise<{scripts: boolean, remote: boolean}>}
+     */
+    async scan(buffer) {
+        const report = { scripts: false, remote: false };
+        const zip = await new JSZip().loadAsync(buffer);
+
+        for (const file of Object.values(zip.files)) {
+            if (file.dir) continue;
+            if (/\.js$/i.test(file.name)) {
+                report.scripts = true;
+                continue;
+            }
+            if (!SCANNED_FILES.test(file.name)) continue;
+
+            const text = await file.async('string');
+            if (/\.opf$/i.test(file.name)) {
+                for (const [, property] of text.matchAll(MANIFEST_PROPERTIES)) {
+                    if (property === 'scripted') report.scripts = true;
+                    else report.remote = true;
+                }
+                continue;
+            }
+
+            report.scripts = report.scripts || SCRIPT_MARKUP.test(text);
+            report.remote = report.remote || REMOTE_MARKUP.test(text);
+            if (report.scripts && report.remote) break;
+        }
+
+        return report;
+    }
+};
+
+export default ContentSecurity;
@@ -0,0 +1,125 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ContentSecurity } from './content-security.js';
+import { StateManager } from './state.js';
+
+/**
+ * Analyse un chapitre XHTML
+ * @param {string} body - Contenu de <body>
+ * @param {string} [head] - Contenu de <head>
+ * @returns {Document}
+ */
+function chapter(body, head = '') {
+    return new DOMParser().parseFromString(
+        `<html xmlns="http://www.w3.org/1999/xhtml"><head>${head}</head><body>${body}</body></html>`,
+        'application/xhtml+xml'
+    );
+}
+
+/**
+ * Archive EPUB minimale
+ * @param {Object<string, string>} files - Chemin → contenu
+ * @returns {Promise<ArrayBuffer>}
+ */
+function archive(files) {
+    const zip = new JSZip();
+    Object.entries(files).forEach(([path, content]) => zip.file(path, content));
+    return zip.generateAsync({ type: 'arraybuffer' });
+}
+
+describe('ContentSecurity.sanitize', () => {
+    afterEach(() => StateManager.set('allowScripts', false));
+
+    it('removes scripts, plugins and event handlers', () => {
+        const doc = chapter('<p onclick="steal()">Texte</p><script>steal()</script><object data="x.swf"/>');
+        ContentSecurity.sanitize(doc);
+
+        assert.equal(doc.querySelector('script'), null);
+        assert.equal(doc.querySelector('object'), null);
+        assert.equal(doc.querySelector('p').hasAttribute('onclick'), false);
+    });
+
+    it('keeps scripts of a book allowed to run them', () => {
+        StateManager.set('allowScripts', true);
+        const doc = chapter('<p onclick="play()">Texte</p><script src="app.js"></script>');
+        ContentSecurity.sanitize(doc);
+
+        assert.ok(doc.querySelector('script'));
+        assert.equal(doc.querySelector('p').getAttribute('onclick'), 'play()');
+    });
+
+    it('removes meta refresh redirections, scripts allowed or not', () => {
+        [false, true].forEach(allowScripts => {
+            StateManager.set('allowScripts', allowScripts);
+            const doc = chapter('<p>Texte</p>', '<meta http-equiv="Refresh" content="0; url=https://example.com/"/>');
+            ContentSecurity.sanitize(doc);
+
+            assert.equal(doc.querySelector('meta[http-equiv="Refresh"]'), null);
+        });
+    });
+
+    it('blocks remote loads and javascript: links but keeps external links', () => {
+        const doc = chapter(
+            '<img src="https://example.com/pixel.png"/><img src="images/cover.jpg"/>'
+            + '<a href="https://example.com/">Site</a><a href="javascript:steal()">Piège</a>'
+        );
+        ContentSecurity.sanitize(doc);
+
+        const [remote, local] = doc.querySelectorAll('img');
+        const [site, trap] = doc.querySelectorAll('a');
+        assert.equal(remote.hasAttribute('src'), false);
+        assert.equal(local.getAttribute('src'), 'images/cover.jpg');
+        assert.equal(site.getAttribute('href'), 'https://example.com/');
+        assert.equal(trap.hasAttribute('href'), false);
+    });
+
+    it('disables form submission', () => {
+        const doc = chapter('<form action="https://example.com/" method="post"><button formaction="https://example.com/">Envoyer</button></form>');
+        ContentSecurity.sanitize(doc);
+
+        assert.equal(doc.querySelector('form').hasAttribute('action'), false);
+        assert.equal(doc.querySelector('form').hasAttribute('method'), false);
+        assert.equal(doc.querySelector('button').hasAttribute('formaction'), false);
+    });
+
+    it('adds the chapter CSP first in <head>', () => {
+        const doc = chapter('<p>Texte</p>', '<title>Chapitre</title>');
+        ContentSecurity.sanitize(doc);
+
+        const meta = doc.querySelector('head').firstElementChild;
+        assert.equal(meta.getAttribute('http-equiv'), 'Content-Security-Policy');
+        assert.match(meta.getAttribute('content'), /script-src 'none'/);
+    });
+});
+
+describe('ContentSecurity.scan', () => {
+    it('reports a plain book as safe', async () => {
+        const report = await ContentSecurity.scan(await archive({
+            'OEBPS/content.opf': '<package><manifest><item id="c1" href="c1.xhtml" media-type="application/xhtml+xml"/></manifest></package>',
+            'OEBPS/c1.xhtml': '<html><body><p>Texte</p><a href="https://example.com/">Site</a></body></html>'
+        }));
+
+        assert.deepEqual(report, { scripts: false, remote: false });
+    });
+
+    it('reports scripts and remote resources', async () => {
+        const report = await ContentSecurity.scan(await archive({
+            'OEBPS/c1.xhtml': '<html><body><p onclick="x()">Texte</p></body></html>',
+            'OEBPS/c2.xhtml': '<html><body><img src="https://example.com/pixel.png"/></body></html>'
+        }));
+
+        assert.deepEqual(report, { scripts: true, remote: true });
+    });
+
+    it('reads the scripted and remote-resources manifest properties', async () => {
+        const report = await ContentSecurity.scan(await archive({
+            'OEBPS/content.opf': '<package><manifest>'
+                + '<item id="c1" href="c1.xhtml" properties="scripted"/>'
+                + '<item id="c2" href="c2.xhtml" properties="remote-resources svg"/>'
+                + '</manifest></package>'
+        }));
+
+        assert.deepEqual(report, { scripts: true, remote: true });
+    });
+});
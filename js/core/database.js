@@ -20,15 +20,16 @@ let db = null;
 /**
  * Récupère l'object store pour les transactions
  * @param {string} mode - Mode de transaction ('readonly' ou 'readwrite')
+ * @param {string} [storeName=Config.STORE_NAME] - Nom du store ciblé
  * @returns {IDBObjectStore} L'object store
  * @private
  */
-function getStore(mode) {
+function getStore(mode, storeName = Config.STORE_NAME) {
     if (!db) {
         throw new Error('Database not initialized. Call init() first.');
     }
-    const transaction = db.transaction([Config.STORE_NAME], mode);
-    return transaction.objectStore(Config.STORE_NAME);
+    const transaction = db.transaction([storeName], mode);
+    return transaction.objectStore(storeName);
 }
 
 /**
@@ -172,6 +173,63 @@ export const DatabaseManager = {
                             logger.info('Statistics store created');
                         }
                     }
+                    
+                    // Migration V4 -> V5 : Création du store 'highlights'
+                    if (oldVersion < 5) {
+                        if (!database.objectStoreNames.contains(Config.HIGHLIGHTS_STORE_NAME)) {
+                            const highlightsStore = database.createObjectStore(Config.HIGHLIGHTS_STORE_NAME, {
+                                keyPath: 'id',
+                                autoIncrement: true
+                            });
+                            
+                            // Index pour récupérer les surlignages d'un livre
+                            highlightsStore.createIndex('bookId', 'bookId', { unique: false });
+                            highlightsStore.createIndex('createdAt', 'createdAt', { unique: false });
+                            
+                            logger.info('Highlights store created');
+                        }
+                    }
+                    
+                    // Migration V5 -> V6 : Création du store 'bookmarks'
+                    if (oldVersion < 6) {
+                        if (!database.objectStoreNames.contains(Config.BOOKMARKS_STORE_NAME)) {
+                            const bookmarksStore = database.createObjectStore(Config.BOOKMARKS_STORE_NAME, {
+                                keyPath: 'id',
+                                autoIncrement: true
+                            });
+                            
+                            // Index pour récupérer les signets d'un livre
+                            bookmarksStore.createIndex('bookId', 'bookId', { unique: false });
+                            
+                            logger.info('Bookmarks store created');
+                        }
+                    }
+                    
+                    // Migration V6 -> V7 : Création du store 'fonts'
+                    if (oldVersion < 7) {
+                        if (!database.objectStoreNames.contains(Config.FONTS_STORE_NAME)) {
+                            database.createObjectStore(Config.FONTS_STORE_NAME, {
+                                keyPath: 'id',
+                                autoIncrement: true
+                            });
+                            
+                            logger.info('Fonts store created');
+                        }
+                    }
+                    
+                    // Migration V7 -> V8 : Création du store 'locations'
+                    if (oldVersion < 8) {
+                        if (!database.objectStoreNames.contains(Config.LOCATIONS_STORE_NAME)) {
+                            const locationsStore = database.createObjectStore(Config.LOCATIONS_STORE_NAME, {
+                                keyPath: 'key'
+                            });
+                            
+                            // Index pour supprimer les locations d'un livre
+                            locationsStore.createIndex('bookId', 'bookId', { unique: false });
+                            
+                            logger.info('Locations store created');
+                        }
+                    }
                 };
             });
                 } catch (error) {
@@ -362,14 +420,26 @@ export const DatabaseManager = {
      */
     async update(id, updates) {
         try {
-            const book = await this.get(id);
-            if (!book) {
-                throw new Error(`Book ${id} not found`);
-            }
-            
-            // Fusionner les mises à jour
-            const updatedBook = { ...book, ...updates };
-            await promisify(getStore('readwrite').put(updatedBook));
+            // Lecture et écriture dans la même transaction : une sauvegarde de
+            // progression concurrente ne peut pas écraser ces mises à jour
+            await new Promise((resolve, reject) => {
+                const store = getStore('readwrite');
+                const transaction = store.transaction;
+                const request = store.get(id);
+                
+                request.onsuccess = () => {
+                    if (!request.result) {
+                        reject(new Error(`Book ${id} not found`));
+                        return;
+                    }
+                    
+                    // Fusionner les mises à jour
+                    store.put({ ...request.result, ...updates });
+                };
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
             
             logger.info(`📝 Book ${id} updated`);
         } catch (error) {
@@ -503,5 +573,249 @@ export const DatabaseManager = {
             logger.error(`Failed to delete statistics for book ${bookId}:`, error);
             // Ne pas propager l'erreur
         }
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // GESTION DES SURLIGNAGES
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Récupère les surlignages d'un livre
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<Array>} Surlignages triés par date de création
+     */
+    async getHighlights(bookId) {
+        try {
+            const store = getStore('readonly', Config.HIGHLIGHTS_STORE_NAME);
+            const highlights = await promisify(store.index('bookId').getAll(bookId));
+            return highlights.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        } catch (error) {
+            logger.error(`Failed to get highlights for book ${bookId}:`, error);
+            return [];
+        }
+    },
+    
+    /**
+     * Enregistre un surlignage (création ou mise à jour)
+     * @param {Object} highlight - Surlignage ({ id?, bookId, cfiRange, text, color, note })
+     * @returns {Promise<number>} ID du surlignage
+     */
+    async saveHighlight(highlight) {
+        try {
+            const store = getStore('readwrite', Config.HIGHLIGHTS_STORE_NAME);
+            const id = await promisify(store.put({
+                ...highlight,
+                updatedAt: Date.now()
+            }));
+            logger.info(`🖍️ Highlight ${id} saved for book ${highlight.bookId}`);
+            return id;
+        } catch (error) {
+            logger.error('Failed to save highlight:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Supprime un surlignage
+     * @param {number} id - ID du surlignage
+     * @returns {Promise<void>}
+     */
+    async deleteHighlight(id) {
+        try {
+            await promisify(getStore('readwrite', Config.HIGHLIGHTS_STORE_NAME).delete(id));
+            logger.info(`🗑️ Highlight ${id} deleted`);
+        } catch (error) {
+            logger.error(`Failed to delete highlight ${id}:`, error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Supprime tous les surlignages d'un livre
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<void>}
+     */
+    async deleteHighlightsForBook(bookId) {
+        try {
+            const store = getStore('readwrite', Config.HIGHLIGHTS_STORE_NAME);
+            const keys = await promisify(store.index('bookId').getAllKeys(bookId));
+            await Promise.all(keys.map(key => promisify(store.delete(key))));
+            logger.info(`🗑️ Highlights deleted for book ${bookId}`);
+        } catch (error) {
+            logger.error(`Failed to delete highlights for book ${bookId}:`, error);
+            // Ne pas propager l'erreur
+        }
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // GESTION DES SIGNETS
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Récupère les signets d'un livre
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<Array>} Signets triés par date de création
+     */
+    async getBookmarks(bookId) {
+        try {
+            const store = getStore('readonly', Config.BOOKMARKS_STORE_NAME);
+            const bookmarks = await promisify(store.index('bookId').getAll(bookId));
+            return bookmarks.sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+        } catch (error) {
+            logger.error(`Failed to get bookmarks for book ${bookId}:`, error);
+            return [];
+        }
+    },
+    
+    /**
+     * Enregistre un signet (création ou mise à jour)
+     * @param {Object} bookmark - Signet ({ id?, bookId, cfi, label, chapter, excerpt })
+     * @returns {Promise<number>} ID du signet
+     */
+    async saveBookmark(bookmark) {
+        try {
+            const store = getStore('readwrite', Config.BOOKMARKS_STORE_NAME);
+            const id = await promisify(store.put(bookmark));
+            logger.info(`🔖 Bookmark ${id} saved for book ${bookmark.bookId}`);
+            return id;
+        } catch (error) {
+            logger.error('Failed to save bookmark:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Supprime un signet
+     * @param {number} id - ID du signet
+     * @returns {Promise<void>}
+     */
+    async deleteBookmark(id) {
+        try {
+            await promisify(getStore('readwrite', Config.BOOKMARKS_STORE_NAME).delete(id));
+            logger.info(`🗑️ Bookmark ${id} deleted`);
+        } catch (error) {
+            logger.error(`Failed to delete bookmark ${id}:`, error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Supprime tous les signets d'un livre
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<void>}
+     */
+    async deleteBookmarksForBook(bookId) {
+        try {
+            const store = getStore('readwrite', Config.BOOKMARKS_STORE_NAME);
+            const keys = await promisify(store.index('bookId').getAllKeys(bookId));
+            await Promise.all(keys.map(key => promisify(store.delete(key))));
+            logger.info(`🗑️ Bookmarks deleted for book ${bookId}`);
+        } catch (error) {
+            logger.error(`Failed to delete bookmarks for book ${bookId}:`, error);
+            // Ne pas propager l'erreur
+        }
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // POLICES IMPORTÉES
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Récupère toutes les polices importées
+     * @returns {Promise<Array>} Polices ({ id, name, format, data, createdAt })
+     */
+    async getFonts() {
+        try {
+            const fonts = await promisify(getStore('readonly', Config.FONTS_STORE_NAME).getAll());
+            return fonts.sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            logger.error('Failed to get fonts:', error);
+            return [];
+        }
+    },
+    
+    /**
+     * Enregistre une police importée
+     * @param {Object} font - Police ({ name, format, data: Blob })
+     * @returns {Promise<number>} ID de la police
+     */
+    async saveFont(font) {
+        try {
+            const id = await promisify(getStore('readwrite', Config.FONTS_STORE_NAME).put(font));
+            logger.info(`🔤 Font ${id} saved (${font.name})`);
+            return id;
+        } catch (error) {
+            logger.error('Failed to save font:', error);
+            throw error;
+        }
+    },
+    
+    /**
+     * Supprime une police importée
+     * @param {number} id - ID de la police
+     * @returns {Promise<void>}
+     */
+    async deleteFont(id) {
+        try {
+            await promisify(getStore('readwrite', Config.FONTS_STORE_NAME).delete(id));
+            logger.info(`🗑️ Font ${id} deleted`);
+        } catch (error) {
+            logger.error(`Failed to delete font ${id}:`, error);
+            throw error;
+        }
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // LOCATIONS (PAGINATION)
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Récupère des locations mises en cache
+     * @param {string} key - Clé livre + mise en page
+     * @returns {Promise<Object|null>} { key, bookId, chars, locations, createdAt }
+     */
+    async getLocations(key) {
+        try {
+            const record = await promisify(getStore('readonly', Config.LOCATIONS_STORE_NAME).get(key));
+            return record || null;
+        } catch (error) {
+            logger.error(`Failed to get locations ${key}:`, error);
+            return null;
+        }
+    },
+    
+    /**
+     * Enregistre des locations générées
+     * @param {Object} record - { key, bookId, chars, locations }
+     * @returns {Promise<void>}
+     */
+    async saveLocations(record) {
+        try {
+            await promisify(getStore('readwrite', Config.LOCATIONS_STORE_NAME).put({
+                ...record,
+                createdAt: Date.now()
+            }));
+            logger.info(`📄 Locations ${record.key} saved`);
+        } catch (error) {
+            logger.error(`Failed to save locations ${record.key}:`, error);
+            // Ne pas propager l'erreur (simple cache)
+        }
+    },
+    
+    /**
+     * Supprime toutes les locations d'un livre
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<void>}
+     */
+    async deleteLocationsForBook(bookId) {
+        try {
+            const store = getStore('readwrite', Config.LOCATIONS_STORE_NAME);
+            const keys = await promisify(store.index('bookId').getAllKeys(bookId));
+            await Promise.all(keys.map(key => promisify(store.delete(key))));
+            logger.info(`🗑️ Locations deleted for book ${bookId}`);
+        } catch (error) {
+            logger.error(`Failed to delete locations for book ${bookId}:`, error);
+            // Ne pas propager l'erreur
+        }
     }
 };
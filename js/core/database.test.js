@@ -0,0 +1,83 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DatabaseManager } from './database.js';
+import { Config } from './config.js';
+
+/**
+ * Crée une base dans son état V2 (livres avec isFavorite)
+ * @param {Object[]} books
+ * @returns {Promise<void>}
+ */
+function createV2Database(books) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(Config.DB_NAME, 2);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(Config.STORE_NAME, { keyPath: 'id', autoIncrement: true });
+            ['title', 'author', 'timestamp', 'isFavorite'].forEach(name => {
+                store.createIndex(name, name, { unique: false });
+            });
+            books.forEach(book => store.add(book));
+        };
+        request.onsuccess = () => {
+            request.result.close();
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+describe('DatabaseManager', () => {
+    let database;
+
+    before(async () => {
+        await createV2Database([
+            { title: 'Favori', author: 'A', timestamp: 1, isFavorite: true },
+            { title: 'Autre', author: 'B', timestamp: 2, isFavorite: false }
+        ]);
+        database = await DatabaseManager.init();
+    });
+
+    it('migrates an older database to the current version', () => {
+        assert.equal(database.version, Config.DB_VERSION);
+        [
+            Config.STORE_NAME,
+            Config.STATS_STORE_NAME,
+            Config.HIGHLIGHTS_STORE_NAME,
+            Config.BOOKMARKS_STORE_NAME,
+            Config.FONTS_STORE_NAME,
+            Config.LOCATIONS_STORE_NAME
+        ].forEach(name => assert.ok(database.objectStoreNames.contains(name), name));
+
+        const store = database.transaction([Config.STORE_NAME]).objectStore(Config.STORE_NAME);
+        assert.ok(store.indexNames.contains('favoritedAt'));
+    });
+
+    it('replaces isFavorite with favoritedAt', async () => {
+        const books = await DatabaseManager.getAll();
+        const favorite = books.find(book => book.title === 'Favori');
+        const other = books.find(book => book.title === 'Autre');
+
+        assert.equal(typeof favorite.favoritedAt, 'number');
+        assert.equal(other.favoritedAt, null);
+    });
+
+    it('keeps concurrent updates of the same book', async () => {
+        const id = await DatabaseManager.add({ title: 'Livre', author: 'C', timestamp: 3 });
+
+        await Promise.all([
+            DatabaseManager.update(id, { allowScripts: true }),
+            DatabaseManager.saveProgress(id, 'epubcfi(/6/4!/4/2)', 'Chapitre 1'),
+            DatabaseManager.update(id, { publisherStyles: false })
+        ]);
+
+        const book = await DatabaseManager.get(id);
+        assert.equal(book.allowScripts, true);
+        assert.equal(book.publisherStyles, false);
+        assert.equal(book.lastCFI, 'epubcfi(/6/4!/4/2)');
+    });
+
+    it('rejects the update of a missing book', async () => {
+        await assert.rejects(DatabaseManager.update(9999, { title: 'Absent' }), /not found/);
+    });
+});
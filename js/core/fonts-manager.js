@@ -0,0 +1,230 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FONTS-MANAGER.JS
+ * Polices de lecture : polices importées par l'utilisateur (TTF/OTF/WOFF2)
+ * conservées dans IndexedDB, et police appliquée aux chapitres rendus.
+ * La police est injectée dans chaque chapitre (@font-face + font-family)
+ * via rendition.hooks.content, ce qui la conserve lors d'un switchFlow.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config, StorageKeys } from './config.js';
+import { StateManager } from './state.js';
+import { DatabaseManager } from './database.js';
+import { BookStylesManager } from './book-styles.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('FontsManager');
+
+/**
+ * ID de la balise <style> injectée dans les chapitres
+ * @private
+ */
+const STYLE_ID = 'reader-font-style';
+
+/**
+ * Éléments de texte dont la police est remplacée
+ * @private
+ */
+const TEXT_SELECTOR = 'body, p, li, td, h1, h2, h3, h4, h5, h6';
+
+/**
+ * Polices importées ({ id, name, format, data, url })
+ * @private
+ */
+let fonts = [];
+
+/**
+ * Rendition actuellement attachée
+ * @private
+ */
+let activeRendition = null;
+
+/**
+ * Nom CSS interne d'une police importée (évite les collisions avec le livre)
+ * @param {number} id - ID de la police
+ * @returns {string}
+ * @private
+ */
+function familyName(id) {
+    return `reader-font-${id}`;
+}
+
+/**
+ * Déduit le nom affiché d'une police depuis son fichier
+ * @param {string} fileName
+ * @returns {string}
+ * @private
+ */
+function displayName(fileName) {
+    return fileName
+        .replace(/\.[^.]+$/, '')
+        .replace(/[-_]+/g, ' ')
+        .replace(/["'\\]/g, '')
+        .trim() || 'Police importée';
+}
+
+/**
+ * Génère la feuille de style de la police choisie
+ * @returns {string} CSS (vide pour les polices de l'éditeur)
+ * @private
+ */
+function buildCss() {
+    const choice = StateManager.get('fontFamily');
+    // Styles de l'éditeur conservés (partiellement ou entièrement) : pas de police imposée
+    if (choice === 'publisher' || !BookStylesManager.isOverridden()) return '';
+
+    const font = fonts.find(f => String(f.id) === String(choice));
+    if (!font) {
+        return `${TEXT_SELECTOR} { font-family: ${Config.FONT_DEFAULT_STACK} !important; }`;
+    }
+
+    return `
+        @font-face {
+            font-family: "${familyName(font.id)}";
+            src: url("${font.url}") format("${font.format}");
+            font-display: swap;
+        }
+        ${TEXT_SELECTOR} { font-family: "${familyName(font.id)}", ${Config.FONT_DEFAULT_STACK} !important; }
+    `;
+}
+
+/**
+ * FontsManager - Polices importées et police de lecture
+ */
+export const FontsManager = {
+    /**
+     * Initialise le gestionnaire (charge les polices importées)
+     * @returns {Promise<void>}
+     */
+    async init() {
+        const stored = await DatabaseManager.getFonts();
+        fonts = stored.map(font => ({ ...font, url: URL.createObjectURL(font.data) }));
+
+        // Police supprimée entre temps : revenir à la police par défaut
+        const choice = StateManager.get('fontFamily');
+        if (!['publisher', 'default'].includes(choice) && !fonts.some(f => String(f.id) === String(choice))) {
+            StateManager.persist(StorageKeys.FONT_FAMILY, 'fontFamily', Config.FONT_FAMILY_DEFAULT);
+        }
+
+        StateManager.subscribe('publisherStyles', () => this.refresh());
+
+        logger.info(`FontsManager initialized (${fonts.length} imported fonts)`);
+    },
+
+    /**
+     * Retourne les polices importées
+     * @returns {Array}
+     */
+    getAll() {
+        return fonts.map(({ id, name, format }) => ({ id, name, format }));
+    },
+
+    /**
+     * Retourne la police choisie
+     * @returns {string} 'publisher', 'default' ou ID de police importée
+     */
+    getChoice() {
+        return String(StateManager.get('fontFamily'));
+    },
+
+    /**
+     * Choisit la police de lecture (persistée) et l'applique au chapitre affiché
+     * @param {string} choice - 'publisher', 'default' ou ID de police importée
+     */
+    select(choice) {
+        StateManager.persist(StorageKeys.FONT_FAMILY, 'fontFamily', String(choice));
+        this.refresh();
+    },
+
+    /**
+     * Importe un fichier de police
+     * @param {File} file - Fichier TTF, OTF ou WOFF2
+     * @returns {Promise<Object>} Police importée ({ id, name, format })
+     */
+    async import(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const format = Config.FONT_IMPORT_FORMATS[extension];
+        if (!format) {
+            throw new Error(`Format de police non supporté : ${extension}`);
+        }
+
+        // Vérifier que le fichier est une police lisible par le navigateur
+        const name = displayName(file.name);
+        await new FontFace(name, await file.arrayBuffer()).load();
+
+        const font = { name, format, data: file, createdAt: Date.now() };
+        font.id = await DatabaseManager.saveFont(font);
+        fonts.push({ ...font, url: URL.createObjectURL(file) });
+        fonts.sort((a, b) => a.name.localeCompare(b.name));
+
+        EventBus.emit(Events.FONTS_UPDATED, this.getAll());
+        return { id: font.id, name, format };
+    },
+
+    /**
+     * Supprime une police importée
+     * @param {number} id - ID de la police
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const font = fonts.find(f => f.id === id);
+        if (!font) return;
+
+        await DatabaseManager.deleteFont(id);
+        fonts = fonts.filter(f => f.id !== id);
+
+        if (this.getChoice() === String(id)) {
+            this.select(Config.FONT_FAMILY_DEFAULT);
+        }
+        URL.revokeObjectURL(font.url);
+
+        EventBus.emit(Events.FONTS_UPDATED, this.getAll());
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // RENDU EPUB.JS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Attache le gestionnaire à une rendition (injection à chaque chapitre)
+     * @param {ePub.Rendition} rendition
+     */
+    attach(rendition) {
+        if (!rendition) return;
+        activeRendition = rendition;
+        rendition.hooks.content.register((contents) => this.applyTo(contents));
+    },
+
+    /**
+     * Injecte la police choisie dans un chapitre
+     * @param {Object} contents - Contenu epub.js (iframe)
+     */
+    applyTo(contents) {
+        const doc = contents?.document;
+        if (!doc?.head) return;
+
+        let style = doc.getElementById(STYLE_ID);
+        if (!style) {
+            style = doc.createElement('style');
+            style.id = STYLE_ID;
+            doc.head.appendChild(style);
+        }
+        style.textContent = buildCss();
+    },
+
+    /**
+     * Réapplique la police aux chapitres affichés
+     */
+    refresh() {
+        if (!activeRendition) return;
+        try {
+            activeRendition.getContents().forEach(contents => this.applyTo(contents));
+        } catch (error) {
+            logger.debug('Font refresh failed', error);
+        }
+    }
+};
+
+export default FontsManager;
@@ -0,0 +1,365 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * HIGHLIGHTS-MANAGER.JS
+ * Gestion des surlignages et annotations du livre ouvert.
+ * Persiste les surlignages par CFI (store IndexedDB dédié) et les applique
+ * au rendu epub.js via rendition.annotations.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from './config.js';
+import { DatabaseManager } from './database.js';
+import { ThemeManager } from './themes.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('HighlightsManager');
+
+/**
+ * Surlignages du livre courant (triés par date de création)
+ * @private
+ */
+let highlights = [];
+
+/**
+ * ID du livre dont les surlignages sont chargés
+ * @private
+ */
+let loadedBookId = null;
+
+/**
+ * CFI déjà appliqués par rendition (évite les doublons dans epub.js)
+ * @private
+ */
+const appliedByRendition = new WeakMap();
+
+/**
+ * Rendition actuellement attachée
+ * @private
+ */
+let activeRendition = null;
+
+/**
+ * Retourne la couleur CSS d'un surlignage
+ * @param {string} color - Clé de couleur (Config.HIGHLIGHT_COLORS)
+ * @returns {string}
+ * @private
+ */
+function resolveColor(color) {
+    return Config.HIGHLIGHT_COLORS[color] || Config.HIGHLIGHT_COLORS[Config.HIGHLIGHT_DEFAULT_COLOR];
+}
+
+/**
+ * Styles SVG de la marque epub.js
+ * En thème sombre, le mode "multiply" rendrait le surlignage invisible.
+ * @param {string} color - Clé de couleur
+ * @returns {Object}
+ * @private
+ */
+function markStyles(color) {
+    return {
+        'fill': resolveColor(color),
+        'fill-opacity': Config.HIGHLIGHT_OPACITY,
+        'mix-blend-mode': ThemeManager.getCurrent() === 'dark' ? 'normal' : 'multiply'
+    };
+}
+
+/**
+ * Retourne l'ensemble des CFI appliqués à une rendition
+ * @param {ePub.Rendition} rendition
+ * @returns {Set<string>}
+ * @private
+ */
+function getApplied(rendition) {
+    if (!appliedByRendition.has(rendition)) {
+        appliedByRendition.set(rendition, new Set());
+    }
+    return appliedByRendition.get(rendition);
+}
+
+/**
+ * Ajoute un surlignage à une rendition (si pas déjà présent)
+ * @param {ePub.Rendition} rendition
+ * @param {Object} highlight
+ * @private
+ */
+function applyHighlight(rendition, highlight) {
+    const applied = getApplied(rendition);
+    if (applied.has(highlight.cfiRange)) return;
+
+    try {
+        rendition.annotations.highlight(
+            highlight.cfiRange,
+            { id: highlight.id },
+            null,
+            'epub-highlight',
+            markStyles(highlight.color)
+        );
+        applied.add(highlight.cfiRange);
+    } catch (error) {
+        logger.debug(`Highlight ${highlight.id} could not be applied`, error);
+    }
+}
+
+/**
+ * Retire un surlignage d'une rendition
+ * @param {ePub.Rendition} rendition
+ * @param {string} cfiRange
+ * @private
+ */
+function removeHighlight(rendition, cfiRange) {
+    const applied = getApplied(rendition);
+    if (!applied.has(cfiRange)) return;
+
+    try {
+        rendition.annotations.remove(cfiRange, 'highlight');
+    } catch (error) {
+        logger.debug('Highlight removal failed', error);
+    }
+    applied.delete(cfiRange);
+}
+
+/**
+ * HighlightsManager - Surlignages et notes du livre courant
+ */
+export const HighlightsManager = {
+    /**
+     * Initialise le gestionnaire
+     */
+    init() {
+        // Les couleurs dépendent du thème (mode de fusion)
+        EventBus.on(Events.THEME_CHANGED, () => this.refresh());
+        EventBus.on(Events.READER_CLOSED, () => this.reset());
+
+        logger.info('HighlightsManager initialized');
+    },
+
+    /**
+     * Charge les surlignages d'un livre
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<Array>}
+     */
+    async load(bookId) {
+        loadedBookId = bookId;
+        highlights = await DatabaseManager.getHighlights(bookId);
+
+        if (activeRendition) this.applyTo(activeRendition);
+        EventBus.emit(Events.HIGHLIGHTS_UPDATED, highlights);
+
+        return highlights;
+    },
+
+    /**
+     * Vide l'état (fermeture du livre)
+     */
+    reset() {
+        highlights = [];
+        loadedBookId = null;
+        activeRendition = null;
+        EventBus.emit(Events.HIGHLIGHTS_UPDATED, highlights);
+    },
+
+    /**
+     * Retourne les surlignages du livre courant
+     * @returns {Array}
+     */
+    getAll() {
+        return [...highlights];
+    },
+
+    /**
+     * Récupère un surlignage par son ID
+     * @param {number} id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return highlights.find(h => h.id === id);
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // RENDU EPUB.JS
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Attache le gestionnaire à une rendition (sélection de texte)
+     * @param {ePub.Rendition} rendition
+     */
+    attach(rendition) {
+        if (!rendition) return;
+        activeRendition = rendition;
+
+        rendition.on('selected', (cfiRange, contents) => {
+            const selection = contents?.window?.getSelection();
+            const text = selection?.toString().trim();
+            if (!text) return;
+
+            EventBus.emit(Events.HIGHLIGHT_SELECTED, {
+                cfiRange,
+                text,
+                rect: this._toParentRect(contents, selection.getRangeAt(0).getBoundingClientRect())
+            });
+        });
+    },
+
+    /**
+     * (Ré)applique tous les surlignages à une rendition
+     * Idempotent : epub.js réinjecte lui-même les marques à chaque rendu de section.
+     * @param {ePub.Rendition} rendition
+     */
+    applyTo(rendition) {
+        if (!rendition?.annotations) return;
+        highlights.forEach(highlight => applyHighlight(rendition, highlight));
+    },
+
+    /**
+     * Réapplique les surlignages avec les styles du thème courant
+     */
+    refresh() {
+        if (!activeRendition) return;
+        highlights.forEach(highlight => {
+            removeHighlight(activeRendition, highlight.cfiRange);
+            applyHighlight(activeRendition, highlight);
+        });
+    },
+
+    /**
+     * Annule la sélection de texte dans les chapitres affichés
+     */
+    clearSelection() {
+        activeRendition?.getContents().forEach(contents => {
+            contents.window?.getSelection()?.removeAllRanges();
+        });
+    },
+
+    /**
+     * Cherche un surlignage sous un point du document d'un chapitre
+     * @param {Contents} contents - Contenu epub.js du chapitre
+     * @param {number} x - Coordonnée X (viewport de l'iframe)
+     * @param {number} y - Coordonnée Y (viewport de l'iframe)
+     * @returns {{highlight: Object, rect: Object}|null}
+     */
+    hitTest(contents, x, y) {
+        if (!contents || highlights.length === 0) return null;
+
+        for (const highlight of highlights) {
+            // Ignorer les surlignages des autres sections
+            if (contents.cfiBase && !highlight.cfiRange.includes(`${contents.cfiBase}!`)) continue;
+
+            let range = null;
+            try {
+                range = contents.range(highlight.cfiRange);
+            } catch (e) {
+                continue;
+            }
+            if (!range) continue;
+
+            const hit = Array.from(range.getClientRects()).some(r =>
+                x >= r.left && x <= r.right && y >= r.top && y <= r.bottom
+            );
+            if (hit) {
+                return {
+                    highlight,
+                    rect: this._toParentRect(contents, range.getBoundingClientRect())
+                };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Convertit un rectangle de l'iframe en coordonnées de la page
+     * @param {Contents} contents
+     * @param {DOMRect} rect
+     * @returns {{top: number, left: number, bottom: number, width: number}}
+     * @private
+     */
+    _toParentRect(contents, rect) {
+        const frame = contents?.window?.frameElement;
+        const offset = frame ? frame.getBoundingClientRect() : { top: 0, left: 0 };
+        return {
+            top: offset.top + rect.top,
+            left: offset.left + rect.left,
+            bottom: offset.top + rect.bottom,
+            width: rect.width
+        };
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CRUD
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Crée un surlignage sur le livre courant
+     * @param {Object} data - { cfiRange, text, color, note, chapter, page, pageType }
+     * @returns {Promise<Object|null>} Surlignage créé
+     */
+    async add({ cfiRange, text, color = Config.HIGHLIGHT_DEFAULT_COLOR, note = '', chapter = null, page = null, pageType = null }) {
+        if (!loadedBookId || !cfiRange) return null;
+
+        const existing = highlights.find(h => h.cfiRange === cfiRange);
+        if (existing) {
+            return this.update(existing.id, { color, note });
+        }
+
+        const highlight = {
+            bookId: loadedBookId,
+            cfiRange,
+            text,
+            color,
+            note,
+            chapter,
+            page,
+            pageType,
+            createdAt: Date.now()
+        };
+
+        highlight.id = await DatabaseManager.saveHighlight(highlight);
+        highlights.push(highlight);
+
+        if (activeRendition) applyHighlight(activeRendition, highlight);
+        EventBus.emit(Events.HIGHLIGHTS_UPDATED, highlights);
+
+        return highlight;
+    },
+
+    /**
+     * Met à jour la couleur ou la note d'un surlignage
+     * @param {number} id - ID du surlignage
+     * @param {Object} updates - { color?, note? }
+     * @returns {Promise<Object|null>}
+     */
+    async update(id, updates) {
+        const highlight = this.get(id);
+        if (!highlight) return null;
+
+        const colorChanged = updates.color && updates.color !== highlight.color;
+        Object.assign(highlight, updates);
+        await DatabaseManager.saveHighlight(highlight);
+
+        if (colorChanged && activeRendition) {
+            removeHighlight(activeRendition, highlight.cfiRange);
+            applyHighlight(activeRendition, highlight);
+        }
+        EventBus.emit(Events.HIGHLIGHTS_UPDATED, highlights);
+
+        return highlight;
+    },
+
+    /**
+     * Supprime un surlignage
+     * @param {number} id - ID du surlignage
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const highlight = this.get(id);
+        if (!highlight) return;
+
+        await DatabaseManager.deleteHighlight(id);
+        highlights = highlights.filter(h => h.id !== id);
+
+        if (activeRendition) removeHighlight(activeRendition, highlight.cfiRange);
+        EventBus.emit(Events.HIGHLIGHTS_UPDATED, highlights);
+    }
+};
+
+export default HighlightsManager;
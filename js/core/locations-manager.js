@@ -0,0 +1,312 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LOCATIONS-MANAGER.JS
+ * Pagination du livre ouvert : locations epub.js (découpage du texte en
+ * "pages" de N caractères) mises en cache dans IndexedDB par livre et par
+ * mise en page, générées en arrière-plan quand elles manquent.
+ * Fournit "page X sur Y" et le nombre de pages restantes dans le chapitre.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from './config.js';
+import { StateManager } from './state.js';
+import { DatabaseManager } from './database.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('LocationsManager');
+
+/**
+ * Livre ouvert (instance epub.js) et son ID
+ * @private
+ */
+let activeBook = null;
+let activeBookId = null;
+
+/**
+ * Jeton de chargement (ignore les générations devenues obsolètes)
+ * @private
+ */
+let loadToken = 0;
+
+/**
+ * Clé des locations chargées dans le livre (null si aucune)
+ * @private
+ */
+let readyKey = null;
+
+/**
+ * Caractères par page des locations chargées
+ * @private
+ */
+let readyChars = 0;
+
+/**
+ * Index de la première location de chaque section (triés)
+ * @private
+ */
+let sectionStarts = [];
+
+/**
+ * Première location de chaque section, par base CFI ("epubcfi(/6/4[id]")
+ * @private
+ */
+let sectionStartsByBase = new Map();
+
+/**
+ * Temporisation de la régénération après un changement de mise en page
+ * @private
+ */
+let refreshTimer = null;
+
+/**
+ * Nombre de caractères d'une page pour la mise en page actuelle
+ * (texte plus grand ou interligne plus haut : moins de texte par page)
+ * @returns {number}
+ * @private
+ */
+function charsPerPage() {
+    const fontScale = (StateManager.get('fontSize') || Config.FONT.DEFAULT) / Config.FONT.DEFAULT;
+    const lineScale = (StateManager.get('typography')?.lineHeight || Config.TYPOGRAPHY_DEFAULTS.lineHeight)
+        / Config.TYPOGRAPHY_DEFAULTS.lineHeight;
+
+    const chars = Config.LOCATIONS_CHARS_PER_PAGE / (fontScale * fontScale * lineScale);
+    return Math.max(Config.LOCATIONS_MIN_CHARS, Math.round(chars / 100) * 100);
+}
+
+/**
+ * Clé de cache : livre + paramètres de mise en page
+ * @param {number} bookId
+ * @param {number} chars
+ * @returns {string}
+ * @private
+ */
+function cacheKey(bookId, chars) {
+    return `${bookId}:${chars}`;
+}
+
+/**
+ * Calcule la première location de chaque section (base CFI)
+ * @param {string[]} locations - CFI des locations
+ * @returns {Map<string, number>} Base CFI → index de la première location
+ * @private
+ */
+function computeSectionStarts(locations) {
+    const starts = new Map();
+
+    locations.forEach((cfi, index) => {
+        const base = cfi.slice(0, cfi.indexOf('!'));
+        if (!starts.has(base)) starts.set(base, index);
+    });
+    return starts;
+}
+
+/**
+ * LocationsManager - Pages du livre ouvert
+ */
+export const LocationsManager = {
+    /**
+     * Initialise le gestionnaire
+     */
+    init() {
+        // La taille du texte et l'interligne changent le nombre de pages
+        ['fontSize', 'typography'].forEach(key => {
+            StateManager.subscribe(key, () => this._scheduleRefresh());
+        });
+
+        EventBus.on(Events.READER_CLOSED, () => this.reset());
+
+        logger.info('LocationsManager initialized');
+    },
+
+    /**
+     * Charge les locations d'un livre (cache ou génération en arrière-plan)
+     * @param {ePub.Book} book - Livre epub.js
+     * @param {number} bookId - ID du livre
+     * @returns {Promise<void>}
+     */
+    async load(book, bookId) {
+        if (!book || !bookId) return;
+
+        activeBook = book;
+        activeBookId = bookId;
+
+        const token = ++loadToken;
+        const chars = charsPerPage();
+        const key = cacheKey(bookId, chars);
+        if (key === readyKey) return;
+
+        const cached = await DatabaseManager.getLocations(key);
+        if (token !== loadToken) return;
+
+        if (cached?.locations) {
+            this._use(key, cached.chars, cached.locations);
+            logger.info(`Locations ${key} loaded from cache`);
+            return;
+        }
+
+        await this._generate(token, key, chars);
+    },
+
+    /**
+     * Oublie le livre fermé (les générations en cours sont abandonnées)
+     */
+    reset() {
+        loadToken++;
+        clearTimeout(refreshTimer);
+        activeBook = null;
+        activeBookId = null;
+        readyKey = null;
+        readyChars = 0;
+        sectionStarts = [];
+        sectionStartsByBase = new Map();
+    },
+
+    /**
+     * Vérifie si les pages du livre ouvert sont disponibles
+     * @returns {boolean}
+     */
+    isReady() {
+        return readyKey !== null;
+    },
+
+    /**
+     * Décrit une position en pages
+     * @param {string} cfi - Position CFI
+     * @returns {{page: number, total: number, chapterPagesLeft: number, percentage: number, chars: number}|null}
+     */
+    describe(cfi) {
+        const locations = activeBook?.locations;
+        if (!readyKey || !cfi || !locations?.length()) return null;
+
+        // locationFromCfi() donne la position d'insertion de la CFI : la
+        // location qui la contient est la précédente si elle commence après
+        let location;
+        try {
+            location = locations.locationFromCfi(cfi);
+            if (location > 0 && locations.epubcfi.compare(locations.cfiFromLocation(location), cfi) > 0) {
+                location--;
+            }
+        } catch (e) {
+            return null;
+        }
+        if (location < 0) return null;
+
+        // La page N correspond à la location N - 1
+        const total = locations.length();
+        location = Math.min(location, total - 1);
+        const page = location + 1;
+        const nextSectionStart = sectionStarts.find(start => start > location) ?? total;
+
+        return {
+            page,
+            total,
+            chapterPagesLeft: Math.max(0, nextSectionStart - page),
+            percentage: locations.percentageFromLocation(location),
+            chars: readyChars
+        };
+    },
+
+    /**
+     * Nombre de pages du livre ouvert (0 tant que les pages sont inconnues)
+     * @returns {number}
+     */
+    getTotal() {
+        return readyKey ? activeBook?.locations?.length() || 0 : 0;
+    },
+
+    /**
+     * Position (0-1) du début d'une section dans le livre
+     * @param {Object} section - Section epub.js (spine)
+     * @returns {number|null} null si les pages sont inconnues
+     */
+    sectionPercentage(section) {
+        const total = this.getTotal();
+        const start = section && sectionStartsByBase.get(`epubcfi(${section.cfiBase}`);
+        if (!total || start === undefined) return null;
+        return start / total;
+    },
+
+    /**
+     * Position CFI d'un pourcentage du livre
+     * @param {number} percentage - Entre 0 et 1
+     * @returns {string|null}
+     */
+    cfiFromPercentage(percentage) {
+        if (!this.getTotal()) return null;
+        const cfi = activeBook.locations.cfiFromPercentage(Math.min(1, Math.max(0, percentage)));
+        return typeof cfi === 'string' ? cfi : null;
+    },
+
+    /**
+     * Position CFI d'une page ("page X sur Y")
+     * @param {number} page - Numéro de page (à partir de 1)
+     * @returns {string|null}
+     */
+    cfiFromPage(page) {
+        const total = this.getTotal();
+        if (!total) return null;
+        // Même numérotation que describe() : la page N commence à la location N - 1
+        const cfi = activeBook.locations.cfiFromLocation(Math.min(total, Math.max(1, page)) - 1);
+        return typeof cfi === 'string' ? cfi : null;
+    },
+
+    /**
+     * Génère les locations sans bloquer la lecture
+     * Une instance Locations séparée est utilisée : les locations du livre ne
+     * sont remplacées qu'une fois la génération terminée.
+     * @param {number} token - Jeton du chargement
+     * @param {string} key - Clé de cache
+     * @param {number} chars - Caractères par page
+     * @private
+     */
+    async _generate(token, key, chars) {
+        const book = activeBook;
+        const bookId = activeBookId;
+        const Locations = book.locations.constructor;
+        const generator = new Locations(book.spine, book.load.bind(book));
+
+        logger.info(`Generating locations ${key}...`);
+        try {
+            const locations = await generator.generate(chars);
+            if (token !== loadToken) return;
+
+            this._use(key, chars, locations);
+            await DatabaseManager.saveLocations({ key, bookId, chars, locations });
+        } catch (error) {
+            if (token === loadToken) logger.warn('Locations generation failed', error);
+        } finally {
+            generator.destroy();
+        }
+    },
+
+    /**
+     * Charge des locations dans le livre et prévient le lecteur
+     * @param {string} key - Clé de cache
+     * @param {number} chars - Caractères par page
+     * @param {string[]} locations - CFI des locations
+     * @private
+     */
+    _use(key, chars, locations) {
+        activeBook.locations.load(locations);
+        sectionStartsByBase = computeSectionStarts(locations);
+        sectionStarts = [...sectionStartsByBase.values()];
+        readyKey = key;
+        readyChars = chars;
+        EventBus.emit(Events.LOCATIONS_READY, { bookId: activeBookId, total: locations.length });
+    },
+
+    /**
+     * Recharge les locations après un changement de mise en page
+     * @private
+     */
+    _scheduleRefresh() {
+        if (!activeBook) return;
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(() => {
+            this.load(activeBook, activeBookId);
+        }, Config.LOCATIONS_REFRESH_DELAY);
+    }
+};
+
+export default LocationsManager;
@@ -0,0 +1,107 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LocationsManager } from './locations-manager.js';
+
+/**
+ * CFI de début de la location n (sections de 3 et 2 locations)
+ * Les CFI factices se comparent dans l'ordre du texte comme des chaînes.
+ * @param {number} n
+ * @returns {string}
+ */
+function cfiAt(n) {
+    const section = n < 3 ? 2 : 4;
+    return `epubcfi(/6/${section}!/4/${String(n).padStart(3, '0')})`;
+}
+
+/**
+ * CFI d'une position à l'intérieur de la location n
+ * @param {number} n
+ * @returns {string}
+ */
+function insideLocation(n) {
+    return cfiAt(n).replace(')', ':5)');
+}
+
+const CFIS = [0, 1, 2, 3, 4].map(cfiAt);
+
+/**
+ * Locations epub.js minimales (mêmes règles que epub.js 0.3.93 :
+ * locationFromCfi() retourne la position d'insertion, bornée à total)
+ */
+class FakeLocations {
+    constructor() {
+        this._locations = [];
+        this.epubcfi = { compare: (a, b) => (a === b ? 0 : a > b ? 1 : -1) };
+    }
+
+    generate() {
+        return Promise.resolve([...CFIS]);
+    }
+
+    load(locations) {
+        this._locations = locations;
+        this.total = locations.length - 1;
+    }
+
+    length() {
+        return this._locations.length;
+    }
+
+    locationFromCfi(cfi) {
+        const index = this._locations.findIndex(location => this.epubcfi.compare(location, cfi) >= 0);
+        return Math.min(index === -1 ? this._locations.length : index, this.total);
+    }
+
+    cfiFromLocation(loc) {
+        return loc >= 0 && loc < this._locations.length ? this._locations[loc] : -1;
+    }
+
+    percentageFromLocation(loc) {
+        return loc && this.total ? loc / this.total : 0;
+    }
+
+    destroy() {}
+}
+
+describe('LocationsManager pages', () => {
+    before(async () => {
+        const book = { spine: {}, load() {}, locations: new FakeLocations() };
+        await LocationsManager.load(book, 1);
+        assert.ok(LocationsManager.isReady());
+    });
+
+    it('numbers each location as its own page', () => {
+        const pages = CFIS.map(cfi => LocationsManager.describe(cfi).page);
+        assert.deepEqual(pages, [1, 2, 3, 4, 5]);
+    });
+
+    it('keeps a position inside a location on that page', () => {
+        assert.equal(LocationsManager.describe(insideLocation(0)).page, 1);
+        assert.equal(LocationsManager.describe(insideLocation(3)).page, 4);
+        assert.equal(LocationsManager.describe(insideLocation(4)).page, 5);
+    });
+
+    it('counts the pages left after the current one in the chapter', () => {
+        const left = CFIS.map(cfi => LocationsManager.describe(cfi).chapterPagesLeft);
+        assert.deepEqual(left, [2, 1, 0, 1, 0]);
+    });
+
+    it('puts the last page at 100 %', () => {
+        assert.equal(LocationsManager.describe(CFIS[0]).percentage, 0);
+        assert.equal(LocationsManager.describe(CFIS[4]).percentage, 1);
+    });
+
+    it('reaches the first and last pages with cfiFromPage', () => {
+        assert.equal(LocationsManager.cfiFromPage(1), CFIS[0]);
+        assert.equal(LocationsManager.cfiFromPage(5), CFIS[4]);
+        assert.equal(LocationsManager.cfiFromPage(0), CFIS[0]);
+        assert.equal(LocationsManager.cfiFromPage(99), CFIS[4]);
+    });
+
+    it('maps pages and positions back and forth', () => {
+        for (let page = 1; page <= LocationsManager.getTotal(); page++) {
+            assert.equal(LocationsManager.describe(LocationsManager.cfiFromPage(page)).page, page);
+        }
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READING-PROFILE.JS
+ * Profils de lecture par livre : thème, taille du texte et mode de lecture
+ * propres à un livre, enregistrés sur sa fiche (champ readingProfile).
+ * Les réglages globaux sont sauvegardés à l'ouverture d'un livre qui a un
+ * profil, puis restaurés à la fermeture.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { StorageKeys } from './config.js';
+import { StateManager } from './state.js';
+import { DatabaseManager } from './database.js';
+import { ThemeManager } from './themes.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ReadingProfile');
+
+/**
+ * Profil du livre ouvert ({ theme, fontSize, readerFlow }) ou null
+ * @private
+ */
+let profile = null;
+
+/**
+ * ID du livre dont le profil est actif
+ * @private
+ */
+let profileBookId = null;
+
+/**
+ * Vrai pendant l'application d'un profil ou des réglages globaux
+ * (les changements ne doivent pas être enregistrés dans le profil)
+ * @private
+ */
+let applying = false;
+
+/**
+ * Lit les réglages globaux actuels
+ * @returns {{theme: string, fontSize: number, readerFlow: string}}
+ * @private
+ */
+function readCurrentSettings() {
+    return {
+        theme: ThemeManager.getPreference() || 'auto',
+        fontSize: StateManager.get('fontSize'),
+        readerFlow: StateManager.get('readerFlow')
+    };
+}
+
+/**
+ * Applique un ensemble de réglages (thème, taille, mode)
+ * Les setters existants persistent dans localStorage : les globaux sont
+ * sauvegardés à part (StorageKeys.PROFILE_GLOBALS) pour être restaurés.
+ * @param {Object} settings
+ * @private
+ */
+function applySettings(settings) {
+    applying = true;
+    try {
+        if (settings.theme) ThemeManager.set(settings.theme);
+        if (settings.fontSize) StateManager.persist(StorageKeys.FONT_SIZE, 'fontSize', parseInt(settings.fontSize));
+        if (settings.readerFlow) StateManager.persist(StorageKeys.READER_FLOW, 'readerFlow', settings.readerFlow);
+    } finally {
+        applying = false;
+    }
+}
+
+/**
+ * ReadingProfileManager - Réglages propres à un livre
+ */
+export const ReadingProfileManager = {
+    /**
+     * Initialise le gestionnaire
+     * Restaure les réglages globaux si l'application a été fermée livre ouvert.
+     */
+    init() {
+        this._restoreSavedGlobals();
+
+        // Enregistrer dans le profil les réglages modifiés pendant la lecture
+        ['theme', 'fontSize', 'readerFlow'].forEach(key => {
+            StateManager.subscribe(key, () => this._capture());
+        });
+
+        logger.info('ReadingProfileManager initialized');
+    },
+
+    /**
+     * Applique le profil d'un livre à son ouverture (avant la création du lecteur)
+     * @param {number} bookId - ID du livre
+     * @param {Object|null} bookProfile - Profil enregistré sur la fiche du livre
+     */
+    apply(bookId, bookProfile) {
+        // Un livre précédent n'a pas été fermé proprement
+        if (profile) this.restore();
+
+        if (!bookProfile) return;
+
+        localStorage.setItem(StorageKeys.PROFILE_GLOBALS, JSON.stringify(readCurrentSettings()));
+        profile = { ...bookProfile };
+        profileBookId = bookId;
+        applySettings(profile);
+
+        logger.info(`Reading profile applied for book ${bookId}`);
+    },
+
+    /**
+     * Restaure les réglages globaux (fermeture du livre)
+     */
+    restore() {
+        profile = null;
+        profileBookId = null;
+        this._restoreSavedGlobals();
+    },
+
+    /**
+     * Indique si le livre ouvert a des réglages propres
+     * @returns {boolean}
+     */
+    isScoped() {
+        return profile !== null;
+    },
+
+    /**
+     * Active ou désactive les réglages propres au livre ouvert
+     * Activé : les réglages actuels deviennent le profil du livre et les
+     * modifications suivantes ne touchent plus les réglages globaux.
+     * Désactivé : le profil est supprimé et les réglages globaux reviennent.
+     * @param {boolean} enabled
+     * @returns {Promise<void>}
+     */
+    async setScoped(enabled) {
+        const bookId = StateManager.get('currentBookId');
+        if (!bookId || enabled === this.isScoped()) return;
+
+        if (enabled) {
+            const current = readCurrentSettings();
+            localStorage.setItem(StorageKeys.PROFILE_GLOBALS, JSON.stringify(current));
+            profile = current;
+            profileBookId = bookId;
+            await DatabaseManager.update(bookId, { readingProfile: profile });
+        } else {
+            this.restore();
+            await DatabaseManager.update(bookId, { readingProfile: null });
+        }
+
+        logger.info(`Reading profile ${enabled ? 'enabled' : 'disabled'} for book ${bookId}`);
+    },
+
+    /**
+     * Enregistre les réglages courants dans le profil du livre
+     * @private
+     */
+    async _capture() {
+        if (applying || !profile || profileBookId !== StateManager.get('currentBookId')) return;
+
+        const current = readCurrentSettings();
+        if (current.theme === profile.theme && current.fontSize === profile.fontSize && current.readerFlow === profile.readerFlow) {
+            return;
+        }
+
+        profile = current;
+        try {
+            await DatabaseManager.update(profileBookId, { readingProfile: profile });
+        } catch (error) {
+            logger.error('Reading profile save failed', error);
+        }
+    },
+
+    /**
+     * Réapplique les réglages globaux sauvegardés, s'il y en a
+     * @private
+     */
+    _restoreSavedGlobals() {
+        const saved = localStorage.getItem(StorageKeys.PROFILE_GLOBALS);
+        if (!saved) return;
+
+        localStorage.removeItem(StorageKeys.PROFILE_GLOBALS);
+        try {
+            applySettings(JSON.parse(saved));
+        } catch (error) {
+            logger.warn('Saved global settings unreadable', error);
+        }
+    }
+};
+
+export default ReadingProfileManager;
@@ -11,6 +11,22 @@ import Logger from '../utils/logger.js';
 
 const logger = new Logger('StateManager');
 
+/**
+ * Lit un groupe de réglages persisté en JSON (complété par les valeurs par défaut)
+ * @param {string} storageKey - Clé localStorage
+ * @param {Object} defaults - Valeurs par défaut
+ * @returns {Object}
+ * @private
+ */
+function loadSettings(storageKey, defaults) {
+    try {
+        const stored = JSON.parse(localStorage.getItem(storageKey) || '{}');
+        return { ...defaults, ...stored };
+    } catch (e) {
+        return { ...defaults };
+    }
+}
+
 /**
  * État interne de l'application
  * @private
@@ -22,6 +38,15 @@ const state = {
     // Taille de police en pourcentage
     fontSize: parseInt(localStorage.getItem(StorageKeys.FONT_SIZE)) || Config.FONT.DEFAULT,
     
+    // Police de lecture ('publisher', 'default' ou ID de police importée)
+    fontFamily: localStorage.getItem(StorageKeys.FONT_FAMILY) || Config.FONT_FAMILY_DEFAULT,
+    
+    // Réglages de typographie (interligne, marges, alignement...)
+    typography: loadSettings(StorageKeys.TYPOGRAPHY, Config.TYPOGRAPHY_DEFAULTS),
+    
+    // Gestes tactiles du lecteur (zones de tap, actions des gestes)
+    gestures: loadSettings(StorageKeys.GESTURES, Config.GESTURE_DEFAULTS),
+    
     // ID du livre actuellement ouvert
     currentBookId: null,
     
@@ -37,9 +62,36 @@ const state = {
     // État d'ouverture du sommaire
     tocOpen: false,
     
+    // Sens de progression des pages du livre ouvert ('ltr' ou 'rtl')
+    readingDirection: 'ltr',
+    
+    // Mode d'écriture du livre ouvert ('horizontal-tb', 'vertical-rl', 'vertical-lr')
+    writingMode: 'horizontal-tb',
+    
+    // Livre ouvert à mise en page fixe (rendition:layout="pre-paginated")
+    fixedLayout: false,
+    
+    // Zoom de la mise en page fixe (%)
+    fixedLayoutZoom: 100,
+    
+    // Styles de l'éditeur du livre ouvert ('override', 'partial', 'original')
+    publisherStyles: Config.PUBLISHER_STYLES_DEFAULT,
+    
+    // CSS personnalisé du livre ouvert
+    customCSS: '',
+    
+    // Scripts du livre ouvert autorisés (désactivés par défaut)
+    allowScripts: false,
+    
     // Mode de lecture (scrolled ou paginated) - récupéré depuis localStorage
     readerFlow: localStorage.getItem(StorageKeys.READER_FLOW) || Config.READER_FLOW_DEFAULT,
     
+    // Mode scroll : chapitres enchaînés dans un seul défilement
+    continuousScroll: localStorage.getItem(StorageKeys.SCROLL_CONTINUOUS) === 'true',
+    
+    // Mode paginé : animation de changement de page ('none', 'slide', 'fade', 'curl')
+    pageTurnAnimation: localStorage.getItem(StorageKeys.PAGE_TURN_ANIMATION) || Config.PAGE_TURN_ANIMATION_DEFAULT,
+    
     // Vue de bibliothèque active (all, favorites, stats)
     libraryView: 'all'
 };
@@ -132,6 +184,13 @@ export const StateManager = {
         this.set('currentChapterIndex', -1);
         this.set('chapters', []);
         this.set('tocOpen', false);
+        this.set('readingDirection', 'ltr');
+        this.set('writingMode', 'horizontal-tb');
+        this.set('fixedLayout', false);
+        this.set('fixedLayoutZoom', 100);
+        this.set('publisherStyles', Config.PUBLISHER_STYLES_DEFAULT);
+        this.set('customCSS', '');
+        this.set('allowScripts', false);
     },
     
     /**
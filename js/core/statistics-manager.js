@@ -6,7 +6,9 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+import { Config } from './config.js';
 import { DatabaseManager } from './database.js';
+import { LocationsManager } from './locations-manager.js';
 import { EventBus, Events } from '../events/event-bus.js';
 import Logger from '../utils/logger.js';
 
@@ -27,10 +29,25 @@ let sessionStartTime = null;
 let lastActivityTime = null;
 let currentSessionSeconds = 0;
 let isPaused = false;
+let autoScrolling = false; // Défilement automatique : lecture sans interaction
 let idleTimer = null;
 let saveTimer = null;
 let chapterSet = new Set();
 
+/**
+ * Mesure de la vitesse de lecture (pages tournées pendant la session)
+ * sessionChars / sessionTimedSeconds : texte lu et temps passé, non encore sauvegardés
+ * lastPage / lastPageTime : dernière page vue (null après un changement de mise en page)
+ * bookSpeed / globalSpeed : totaux sauvegardés ({ chars, seconds })
+ * @private
+ */
+let sessionChars = 0;
+let sessionTimedSeconds = 0;
+let lastPage = null;
+let lastPageTime = null;
+let bookSpeed = { chars: 0, seconds: 0 };
+let globalSpeed = { chars: 0, seconds: 0 };
+
 /**
  * StatisticsManager - Gestionnaire des statistiques de lecture
  * Singleton qui suit le temps de lecture et persiste les données
@@ -50,6 +67,13 @@ export const StatisticsManager = {
         // Écouter les changements de chapitre
         EventBus.on(Events.CHAPTER_CHANGED, (data) => this._onChapterChanged(data));
         
+        // Mesurer la vitesse de lecture (pages tournées)
+        EventBus.on(Events.READER_RELOCATED, (data) => this._onRelocated(data));
+        EventBus.on(Events.LOCATIONS_READY, () => { lastPage = null; });
+        
+        // Défilement automatique : pas de pause pour inactivité
+        EventBus.on(Events.AUTO_SCROLL_STATE, (state) => this._onAutoScroll(state.status === 'running'));
+        
         // Écouter les événements de visibilité de la page
         document.addEventListener('visibilitychange', () => {
             if (document.hidden) {
@@ -89,6 +113,9 @@ export const StatisticsManager = {
                 chapterSet = new Set();
             }
             
+            // Vitesse de lecture mesurée (ce livre et tous les livres)
+            await this._loadReadingSpeed(bookId);
+            
             // Démarrer le timer d'inactivité
             this._startIdleTimer();
             
@@ -132,6 +159,8 @@ export const StatisticsManager = {
             currentSessionSeconds = 0;
             isPaused = false;
             chapterSet = new Set();
+            lastPage = null;
+            lastPageTime = null;
             
         } catch (error) {
             logger.error('Failed to end reading session', error);
@@ -262,6 +291,58 @@ export const StatisticsManager = {
         return `${minutes}min`;
     },
     
+    // ═══════════════════════════════════════════════════════════════════════
+    // VITESSE DE LECTURE
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Vitesse de lecture du livre ouvert
+     * Vitesse mesurée sur ce livre, à défaut sur tous les livres, à défaut
+     * une vitesse moyenne.
+     * @returns {number} Caractères par seconde
+     */
+    getReadingSpeed() {
+        const book = {
+            chars: bookSpeed.chars + sessionChars,
+            seconds: bookSpeed.seconds + sessionTimedSeconds
+        };
+        const global = {
+            chars: globalSpeed.chars + sessionChars,
+            seconds: globalSpeed.seconds + sessionTimedSeconds
+        };
+        
+        for (const sample of [book, global]) {
+            if (sample.seconds >= Config.READING_SPEED_MIN_SAMPLE && sample.chars > 0) {
+                return sample.chars / sample.seconds;
+            }
+        }
+        return Config.READING_SPEED_DEFAULT;
+    },
+    
+    /**
+     * Estime le temps de lecture d'une quantité de texte
+     * @param {number} chars - Nombre de caractères
+     * @returns {number} Secondes
+     */
+    estimateSeconds(chars) {
+        return Math.max(0, chars) / this.getReadingSpeed();
+    },
+    
+    /**
+     * Formate un temps restant ("< 1 min", "~12 min", "4 h 10")
+     * @param {number} seconds - Durée en secondes
+     * @returns {string}
+     */
+    formatTimeLeft(seconds) {
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 1) return '< 1 min';
+        if (minutes < 60) return `~${minutes} min`;
+        
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return rest > 0 ? `${hours} h ${String(rest).padStart(2, '0')}` : `${hours} h`;
+    },
+    
     // ═══════════════════════════════════════════════════════════════════════
     // MÉTHODES PRIVÉES
     // ═══════════════════════════════════════════════════════════════════════
@@ -310,6 +391,60 @@ export const StatisticsManager = {
         }
     },
     
+    /**
+     * Compte le texte lu à chaque page tournée
+     * Les sauts (sommaire, recherche, retour en arrière) ne sont pas comptés.
+     * @param {{cfi: string}} data
+     * @private
+     */
+    _onRelocated(data) {
+        if (!currentBookId || !data?.cfi) return;
+        
+        const pages = LocationsManager.describe(data.cfi);
+        if (!pages) return;
+        
+        const now = Date.now();
+        const step = lastPage === null ? 0 : pages.page - lastPage;
+        
+        if (step > 0 && step <= Config.READING_SPEED_MAX_PAGE_STEP && !isPaused && lastPageTime) {
+            const seconds = Math.min((now - lastPageTime) / 1000, Config.READING_SPEED_MAX_PAGE_SECONDS * step);
+            sessionChars += step * pages.chars;
+            sessionTimedSeconds += seconds;
+        }
+        
+        if (step !== 0 || lastPage === null) {
+            lastPage = pages.page;
+            lastPageTime = now;
+        }
+    },
+    
+    /**
+     * Charge la vitesse de lecture mesurée
+     * @param {number} bookId - ID du livre ouvert
+     * @private
+     */
+    async _loadReadingSpeed(bookId) {
+        sessionChars = 0;
+        sessionTimedSeconds = 0;
+        lastPage = null;
+        lastPageTime = null;
+        bookSpeed = { chars: 0, seconds: 0 };
+        globalSpeed = { chars: 0, seconds: 0 };
+        
+        try {
+            const allStats = await DatabaseManager.getAllStatistics();
+            allStats.forEach(stat => {
+                globalSpeed.chars += stat.charsRead || 0;
+                globalSpeed.seconds += stat.timedSeconds || 0;
+                if (stat.bookId === bookId) {
+                    bookSpeed = { chars: stat.charsRead || 0, seconds: stat.timedSeconds || 0 };
+                }
+            });
+        } catch (error) {
+            logger.warn('Failed to load reading speed', error);
+        }
+    },
+    
     /**
      * Gère l'activité utilisateur
      * @private
@@ -329,11 +464,32 @@ export const StatisticsManager = {
     },
     
     /**
-     * Démarre le timer d'inactivité
+     * Lance ou arrête le défilement automatique
+     * Le lecteur lit sans toucher l'écran : le temps compte dans la session
+     * @param {boolean} running - Défilement en cours
+     * @private
+     */
+    _onAutoScroll(running) {
+        autoScrolling = running;
+        if (!currentBookId) return;
+        
+        if (running) {
+            this._stopIdleTimer();
+            if (isPaused && !document.hidden) {
+                this.resumeSession();
+            }
+        } else {
+            this._startIdleTimer();
+        }
+    },
+    
+    /**
+     * Démarre le timer d'inactivité (sauf pendant le défilement automatique)
      * @private
      */
     _startIdleTimer() {
         this._stopIdleTimer();
+        if (autoScrolling) return;
         
         idleTimer = setTimeout(() => {
             if (currentBookId && !isPaused) {
@@ -403,11 +559,16 @@ export const StatisticsManager = {
             // Date du jour (YYYY-MM-DD)
             const today = new Date().toISOString().split('T')[0];
             
+            // Texte lu pendant la session (vitesse de lecture)
+            const chars = Math.round(sessionChars);
+            const timedSeconds = Math.round(sessionTimedSeconds);
+            
             // Créer une nouvelle session
             const newSession = {
                 date: Date.now(),
                 duration: totalSessionTime,
-                dayString: today
+                dayString: today,
+                chars
             };
             
             // Mettre à jour les statistiques
@@ -422,7 +583,9 @@ export const StatisticsManager = {
                 firstRead: existingStats.firstRead || Date.now(),
                 lastRead: Date.now(),
                 chaptersRead: existingStats.chaptersRead || [],
-                chaptersReadCount: existingStats.chaptersReadCount || 0
+                chaptersReadCount: existingStats.chaptersReadCount || 0,
+                charsRead: (existingStats.charsRead || 0) + chars,
+                timedSeconds: (existingStats.timedSeconds || 0) + timedSeconds
             };
             
             // Sauvegarder dans la base
@@ -432,6 +595,15 @@ export const StatisticsManager = {
             currentSessionSeconds = 0;
             sessionStartTime = Date.now();
             
+            // Reporter la mesure dans les totaux de vitesse
+            sessionChars -= chars;
+            sessionTimedSeconds -= timedSeconds;
+            bookSpeed = { chars: updatedStats.charsRead, seconds: updatedStats.timedSeconds };
+            globalSpeed = {
+                chars: globalSpeed.chars + chars,
+                seconds: globalSpeed.seconds + timedSeconds
+            };
+            
             // Émettre un événement de mise à jour
             EventBus.emit(Events.STATISTICS_UPDATED, { bookId: currentBookId });
             
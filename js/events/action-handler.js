@@ -9,9 +9,18 @@
 import { Config } from '../core/config.js';
 import { StateManager } from '../core/state.js';
 import { ThemeManager } from '../core/themes.js';
+import { HighlightsManager } from '../core/highlights-manager.js';
+import { BookmarksManager } from '../core/bookmarks-manager.js';
 import { UIManager } from '../ui/ui-manager.js';
 import { LibraryManager } from '../library/library-manager.js';
 import { ReaderEngine } from '../reader/reader-engine.js';
+import { BookSearch } from '../reader/book-search.js';
+import { ReadAloud } from '../reader/read-aloud.js';
+import { MediaOverlay } from '../reader/media-overlay.js';
+import { AutoScroll } from '../reader/auto-scroll.js';
+import { BookmarksUI } from '../ui/bookmarks-ui.js';
+import { SearchUI } from '../ui/search-ui.js';
+import { ProgressScrubberUI } from '../ui/progress-scrubber-ui.js';
 import { EventBus, Events } from './event-bus.js';
 import Logger from '../utils/logger.js';
 
@@ -82,6 +91,165 @@ function registerDefaultActions() {
         }
     });
     
+    actions.set('show-toc-tab', (e, target) => {
+        const tab = target.dataset.tab;
+        if (tab) {
+            UIManager.showTocTab(tab);
+        }
+    });
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // ACTIONS SIGNETS
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    actions.set('add-bookmark', () => {
+        BookmarksUI.addCurrent();
+    });
+    
+    actions.set('goto-bookmark', (e, target) => {
+        const cfi = target.dataset.cfi;
+        if (cfi) {
+            ReaderEngine.goToLocation(cfi);
+        }
+    });
+    
+    actions.set('rename-bookmark', (e, target) => {
+        e.stopPropagation();
+        const id = parseInt(target.dataset.id);
+        if (!isNaN(id)) {
+            BookmarksUI.rename(id);
+        }
+    });
+    
+    actions.set('delete-bookmark', (e, target) => {
+        e.stopPropagation();
+        const id = parseInt(target.dataset.id);
+        if (!isNaN(id)) {
+            BookmarksManager.remove(id);
+        }
+    });
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // ACTIONS RECHERCHE DANS LE LIVRE
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    actions.set('toggle-search', () => {
+        const panel = UIManager.get('searchPanel');
+        if (panel?.classList.contains('open')) {
+            UIManager.closePanels();
+        } else {
+            SearchUI.open();
+        }
+    });
+    
+    actions.set('goto-search-result', (e, target) => {
+        const index = parseInt(target.dataset.index);
+        if (!isNaN(index)) {
+            UIManager.closePanels();
+            BookSearch.goTo(index);
+        }
+    });
+    
+    actions.set('search-next', () => {
+        BookSearch.next();
+    });
+    
+    actions.set('search-prev', () => {
+        BookSearch.prev();
+    });
+    
+    actions.set('search-close', () => {
+        SearchUI.close();
+    });
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // ACTIONS LECTURE À VOIX HAUTE
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    // Livre narré (EPUB3) : sa narration remplace la synthèse vocale
+    actions.set('read-aloud-toggle', () => {
+        UIManager.closeAllDropdowns();
+        if (MediaOverlay.hasOverlays()) MediaOverlay.toggle();
+        else ReadAloud.toggle();
+    });
+    
+    actions.set('read-aloud-stop', () => {
+        ReadAloud.stop();
+    });
+    
+    actions.set('read-aloud-rate', () => {
+        ReadAloud.cycleRate();
+    });
+    
+    actions.set('read-aloud-sleep', () => {
+        ReadAloud.cycleSleepTimer();
+    });
+    
+    actions.set('narration-toggle', () => {
+        MediaOverlay.toggle();
+    });
+    
+    actions.set('narration-prev', () => {
+        MediaOverlay.prev();
+    });
+    
+    actions.set('narration-next', () => {
+        MediaOverlay.next();
+    });
+    
+    actions.set('narration-rate', () => {
+        MediaOverlay.cycleRate();
+    });
+    
+    actions.set('narration-stop', () => {
+        MediaOverlay.stop();
+    });
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // ACTIONS DÉFILEMENT AUTOMATIQUE
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    actions.set('auto-scroll-toggle', () => {
+        UIManager.closeAllDropdowns();
+        AutoScroll.toggle();
+    });
+    
+    actions.set('auto-scroll-stop', () => {
+        AutoScroll.stop();
+    });
+    
+    actions.set('auto-scroll-faster', () => {
+        AutoScroll.changeSpeed(Config.AUTO_SCROLL_SPEED.STEP);
+    });
+    
+    actions.set('auto-scroll-slower', () => {
+        AutoScroll.changeSpeed(-Config.AUTO_SCROLL_SPEED.STEP);
+    });
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // ACTIONS SURLIGNAGES
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    actions.set('toggle-highlights', () => {
+        UIManager.togglePanel('highlightsPanel');
+    });
+    
+    actions.set('goto-highlight', (e, target) => {
+        const cfi = target.dataset.cfi;
+        if (cfi) {
+            UIManager.closePanels();
+            ReaderEngine.goToLocation(cfi);
+        }
+    });
+    
+    actions.set('delete-highlight', (e, target) => {
+        e.stopPropagation();
+        const id = parseInt(target.dataset.id);
+        if (!isNaN(id)) {
+            HighlightsManager.remove(id);
+        }
+    });
+    
     // ═══════════════════════════════════════════════════════════════════════
     // ACTIONS POLICE
     // ═══════════════════════════════════════════════════════════════════════
@@ -128,6 +296,10 @@ function registerDefaultActions() {
         UIManager.toggleMobileSettings();
     });
     
+    actions.set('toggle-interface', () => {
+        EventBus.emit('ui:toggle-interface');
+    });
+    
     // ═══════════════════════════════════════════════════════════════════════
     // ACTIONS LECTEUR
     // ═══════════════════════════════════════════════════════════════════════
@@ -153,6 +325,19 @@ function registerDefaultActions() {
         ReaderEngine.nextChapter();
     });
     
+    actions.set('goto-position', () => {
+        UIManager.closeAllDropdowns();
+        ProgressScrubberUI.promptPosition();
+    });
+    
+    actions.set('history-back', () => {
+        ReaderEngine.goBack();
+    });
+    
+    actions.set('history-forward', () => {
+        ReaderEngine.goForward();
+    });
+    
     // ═══════════════════════════════════════════════════════════════════════
     // ACTIONS MODAL
     // ═══════════════════════════════════════════════════════════════════════
@@ -154,6 +154,7 @@ export const Events = {
     READER_FLOW_CHANGED: 'reader:flow-changed',
     READER_RELOCATED: 'reader:relocated',
     READER_FONT_CHANGED: 'reader:font-changed',
+    READER_HISTORY_CHANGED: 'reader:history-changed',
     
     // Livre
     BOOK_LOADED: 'book:loaded',
@@ -170,6 +171,43 @@ export const Events = {
     PROGRESS_SAVED: 'progress:saved',
     CHAPTER_CHANGED: 'chapter:changed',
     
+    // Surlignages
+    HIGHLIGHT_SELECTED: 'highlight:selected',
+    HIGHLIGHT_CLICKED: 'highlight:clicked',
+    HIGHLIGHTS_UPDATED: 'highlights:updated',
+    
+    // Signets
+    BOOKMARKS_UPDATED: 'bookmarks:updated',
+    
+    // Recherche dans le livre
+    SEARCH_RESULTS: 'search:results',
+    SEARCH_CLEARED: 'search:cleared',
+    SEARCH_NAVIGATED: 'search:navigated',
+    
+    // Polices importées
+    FONTS_UPDATED: 'fonts:updated',
+    
+    // Lecture à voix haute
+    READ_ALOUD_STATE: 'readaloud:state',
+    READ_ALOUD_VOICES: 'readaloud:voices',
+    
+    // Narration du livre (media overlays EPUB3)
+    MEDIA_OVERLAY_STATE: 'mediaoverlay:state',
+    
+    // Défilement automatique
+    AUTO_SCROLL_STATE: 'autoscroll:state',
+    
+    // Pagination (locations epub.js)
+    LOCATIONS_READY: 'locations:ready',
+    
+    // Notes de bas de page
+    FOOTNOTE_OPENED: 'footnote:opened',
+    FOOTNOTE_CLOSED: 'footnote:closed',
+    
+    // Visionneuse d'images et de tableaux
+    MEDIA_VIEWER_OPENED: 'media:opened',
+    MEDIA_VIEWER_CLOSED: 'media:closed',
+    
     // Statistiques
     STATS_OPEN_REQUEST: 'stats:open-request',
     STATISTICS_UPDATED: 'stats:updated',
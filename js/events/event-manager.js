@@ -6,6 +6,7 @@
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+import { StateManager } from '../core/state.js';
 import { UIManager } from '../ui/ui-manager.js';
 import { LibraryManager } from '../library/library-manager.js';
 import { EventBus, Events } from './event-bus.js';
@@ -179,6 +180,9 @@ export const EventManager = {
             LibraryManager.load();
         });
         
+        // Chapitre en cours (titre de la barre du haut)
+        StateManager.subscribe('currentChapter', (label) => UIManager.setReaderChapter(label));
+        
         // Mise à jour du sommaire
         EventBus.on('reader:toc-ready', (chapters) => {
             UIManager.updateToc(chapters);       // Desktop
@@ -1,12 +1,19 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════════
  * EVENTS/GESTURE-HANDLER.JS
- * Gestionnaire des gestes tactiles (swipe, tap, etc.).
- * Optimisé pour la navigation mobile.
+ * Gestionnaire des gestes tactiles (tap, swipe, pincement, appui long).
+ * Optimisé pour la navigation mobile. Les gestes sont reconnus dans l'iframe
+ * par ReaderEngine.setupInteraction ; leurs actions sont réglables
+ * (StateManager 'gestures').
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
+import { Config } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { ActionHandler } from './action-handler.js';
 import { EventBus } from './event-bus.js';
+import { ReadingDirection } from '../reader/reading-direction.js';
 import Logger from '../utils/logger.js';
 
 const logger = new Logger('GestureHandler');
@@ -16,12 +23,35 @@ export const GestureHandler = {
     tapTimer: null,
     DOUBLE_TAP_DELAY: 300, // ms
 
+    /**
+     * Écartement des doigts au dernier cran de taille (pincement en cours)
+     * @private
+     */
+    pinchBase: null,
+
     init() {
         EventBus.on('reader:tap', (data) => this.handleTap(data));
+        EventBus.on('reader:swipe', (data) => this.handleSwipe(data));
+        EventBus.on('reader:pinch', (data) => this.handlePinch(data));
+        EventBus.on('reader:long-press', () => this.handleLongPress());
         logger.info('GestureHandler: Listening to reader events');
     },
 
+    /**
+     * Réglages des gestes
+     * @returns {Object} Voir Config.GESTURE_DEFAULTS
+     */
+    getSettings() {
+        return StateManager.get('gestures');
+    },
+
     handleTap(data) {
+        // Pas de double tap : inutile d'attendre un second tap
+        if (this.getSettings().doubleTap === 'none') {
+            this._processSimpleTap(data);
+            return;
+        }
+
         const now = Date.now();
         const timeSinceLast = now - this.lastTapTime;
 
@@ -30,12 +60,12 @@ export const GestureHandler = {
             logger.debug('Double Tap detected');
             if (this.tapTimer) clearTimeout(this.tapTimer);
             this.lastTapTime = 0; // Reset
-            
-            EventBus.emit('ui:toggle-interface');
+
+            this._runAction(this.getSettings().doubleTap);
         } else {
             // --- POTENTIEL SIMPLE TAP ---
             this.lastTapTime = now;
-            
+
             // Attendre pour voir si un second tap arrive
             this.tapTimer = setTimeout(() => {
                 this._processSimpleTap(data);
@@ -45,17 +75,21 @@ export const GestureHandler = {
 
     _processSimpleTap(data) {
         const { x, width } = data;
-        const leftZone = width * 0.2;
-        const rightZone = width * 0.8;
+        const zone = width * this.getSettings().tapZone / 100;
+        const leftZone = zone;
+        const rightZone = width - zone;
 
+        // Sens droite à gauche : la zone gauche avance, la zone droite recule
         if (x < leftZone) {
             // Zone Gauche
-            logger.debug('Tap Zone: Left (Prev)');
-            EventBus.emit('reader:prev');
+            const step = ReadingDirection.sideToStep('left');
+            logger.debug(`Tap Zone: Left (${step})`);
+            EventBus.emit(`reader:${step}`);
         } else if (x > rightZone) {
             // Zone Droite
-            logger.debug('Tap Zone: Right (Next)');
-            EventBus.emit('reader:next');
+            const step = ReadingDirection.sideToStep('right');
+            logger.debug(`Tap Zone: Right (${step})`);
+            EventBus.emit(`reader:${step}`);
         } else {
             // Zone Centre - comportement "Option 1" :
             // 1) si un panneau/overlay est ouvert -> on ferme tout
@@ -63,5 +97,78 @@ export const GestureHandler = {
             logger.debug('Tap Zone: Center (Simple tap)');
             EventBus.emit('ui:center-tap');
         }
+    },
+
+    /**
+     * Glissement horizontal : tourne la page (modes paginés seulement,
+     * le mode scroll défile verticalement)
+     * @param {Object} data - { direction: 'left' ou 'right' }
+     */
+    handleSwipe({ direction }) {
+        const { swipe } = this.getSettings();
+        if (swipe === 'none') return;
+
+        const fixedLayout = StateManager.get('fixedLayout');
+        if (!fixedLayout && ReaderEngine.getFlow() !== 'paginated') return;
+
+        // Page zoomée : le doigt déplace la page
+        if (fixedLayout && StateManager.get('fixedLayoutZoom') > Config.FIXED_LAYOUT_ZOOM.MIN) return;
+
+        // Glisser vers la gauche découvre la page de droite
+        const step = ReadingDirection.sideToStep(direction === 'left' ? 'right' : 'left');
+        logger.debug(`Swipe ${direction} (${step})`);
+
+        if (swipe === 'chapter') {
+            step === 'next' ? ReaderEngine.nextChapter() : ReaderEngine.prevChapter();
+        } else {
+            EventBus.emit(`reader:${step}`);
+        }
+    },
+
+    /**
+     * Pincement : un cran de taille du texte chaque fois que l'écartement
+     * des doigts varie de Config.PINCH_STEP
+     * @param {Object} data - { phase: 'start', 'move' ou 'end', scale }
+     */
+    handlePinch({ phase, scale }) {
+        if (this.getSettings().pinch !== 'font-size') return;
+
+        if (phase === 'start') {
+            this.pinchBase = 1;
+            return;
+        }
+        if (phase === 'end' || this.pinchBase === null) {
+            this.pinchBase = null;
+            return;
+        }
+
+        const ratio = scale / this.pinchBase;
+        if (ratio >= Config.PINCH_STEP) {
+            this.pinchBase = scale;
+            ActionHandler.execute('font-increase');
+        } else if (ratio <= 1 / Config.PINCH_STEP) {
+            this.pinchBase = scale;
+            ActionHandler.execute('font-decrease');
+        }
+    },
+
+    /**
+     * Appui long : action réglée (marque-page par défaut)
+     */
+    handleLongPress() {
+        logger.debug('Long press detected');
+        this._runAction(this.getSettings().longPress);
+    },
+
+    /**
+     * Exécute l'action associée à un geste
+     * @param {string} action - Nom d'action de ActionHandler ou 'none'
+     * @private
+     */
+    _runAction(action) {
+        if (!action || action === 'none') return;
+        ActionHandler.execute(action);
     }
 };
+
+export default GestureHandler;
@@ -10,6 +10,16 @@ import { Config } from '../core/config.js';
 import { ThemeManager } from '../core/themes.js';
 import { UIManager } from '../ui/ui-manager.js';
 import { ReaderEngine } from '../reader/reader-engine.js';
+import { BookSearch } from '../reader/book-search.js';
+import { ReadAloud } from '../reader/read-aloud.js';
+import { MediaOverlay } from '../reader/media-overlay.js';
+import { AutoScroll } from '../reader/auto-scroll.js';
+import { Footnotes } from '../reader/footnotes.js';
+import { MediaViewer } from '../reader/media-viewer.js';
+import { ReadingDirection } from '../reader/reading-direction.js';
+import { BookmarksUI } from '../ui/bookmarks-ui.js';
+import { SearchUI } from '../ui/search-ui.js';
+import { ProgressScrubberUI } from '../ui/progress-scrubber-ui.js';
 import { EventBus } from './event-bus.js';
 import Logger from '../utils/logger.js';
 
@@ -21,6 +31,39 @@ const logger = new Logger('KeyboardHandler');
  */
 const shortcuts = new Map();
 
+/**
+ * Tourne la page (ou change de chapitre en mode scroll) vers un côté de l'écran
+ * @param {string} side - 'left' ou 'right'
+ * @returns {boolean}
+ * @private
+ */
+function stepToward(side) {
+    const forward = ReadingDirection.sideToStep(side) === 'next';
+    if (ReaderEngine.getFlow() === 'paginated') {
+        forward ? ReaderEngine.nextPage() : ReaderEngine.prevPage();
+    } else {
+        forward ? ReaderEngine.nextChapter() : ReaderEngine.prevChapter();
+    }
+    return true;
+}
+
+/**
+ * Agrandit ou réduit le texte, ou change la vitesse du défilement automatique
+ * s'il est lancé
+ * @param {number} direction - 1 (plus grand / plus rapide) ou -1
+ * @returns {boolean}
+ * @private
+ */
+function changeSizeOrSpeed(direction) {
+    if (AutoScroll.isActive()) {
+        AutoScroll.changeSpeed(direction * Config.AUTO_SCROLL_SPEED.STEP);
+    } else {
+        ReaderEngine.changeFontSize(direction * Config.FONT.STEP);
+        UIManager.updateDropdownFontSize();
+    }
+    return true;
+}
+
 /**
  * Enregistre les raccourcis par défaut
  * @private
@@ -34,17 +77,30 @@ function registerDefaultShortcuts() {
     shortcuts.set('Escape', {
         global: true,
         handler: () => {
-            // Priorité 1: Fermer la modale si ouverte
+            // Priorité 1: Fermer la visionneuse ou la note affichée
+            if (MediaViewer.isOpen()) {
+                MediaViewer.close();
+                return true;
+            }
+            if (Footnotes.isOpen()) {
+                Footnotes.close();
+                return true;
+            }
+            // Priorité 2: Fermer la modale si ouverte
             if (UIManager.get('bookModal')?.classList.contains('active')) {
                 UIManager.closeModal();
                 return true;
             }
-            // Priorité 2: Fermer le sommaire si ouvert
+            // Priorité 3: Fermer le sommaire si ouvert
             if (UIManager.get('tocSidebar')?.classList.contains('open')) {
                 UIManager.closeTOC();
                 return true;
             }
-            // Priorité 3: Fermer les dropdowns mobiles si ouverts
+            // Priorité 4: Fermer les panneaux latéraux (surlignages...)
+            if (UIManager.closePanels()) {
+                return true;
+            }
+            // Priorité 5: Fermer les dropdowns mobiles si ouverts
             if (UIManager.isMobile()) {
                 const settingsDropdown = UIManager.get('settingsDropdown');
                 const tocDropdown = UIManager.get('tocDropdown');
@@ -55,7 +111,7 @@ function registerDefaultShortcuts() {
                     return true;
                 }
             }
-            // Priorité 4: Fermer le lecteur si actif
+            // Priorité 6: Fermer le lecteur si actif
             if (ReaderEngine.isActive()) {
                 ReaderEngine.close();
                 return true;
@@ -68,59 +124,47 @@ function registerDefaultShortcuts() {
     // RACCOURCIS LECTEUR
     // ═══════════════════════════════════════════════════════════════════════
     
-    // Flèche gauche - Page/Chapitre précédent
+    // Flèche gauche - Page/Chapitre précédent (suivant en sens droite à gauche)
+    // Alt + Flèche gauche - Revenir avant le dernier saut (sommaire, lien...)
     shortcuts.set('ArrowLeft', {
         readerOnly: true,
-        handler: () => {
-            if (ReaderEngine.getFlow() === 'paginated') {
-                ReaderEngine.prevPage();
-            } else {
-                ReaderEngine.prevChapter();
+        handler: (e) => {
+            if (e.altKey) {
+                ReaderEngine.goBack();
+                return true;
             }
-            return true;
+            return stepToward('left');
         }
     });
     
-    // Flèche droite - Page/Chapitre suivant
+    // Flèche droite - Page/Chapitre suivant (précédent en sens droite à gauche)
+    // Alt + Flèche droite - Annuler le retour
     shortcuts.set('ArrowRight', {
         readerOnly: true,
-        handler: () => {
-            if (ReaderEngine.getFlow() === 'paginated') {
-                ReaderEngine.nextPage();
-            } else {
-                ReaderEngine.nextChapter();
+        handler: (e) => {
+            if (e.altKey) {
+                ReaderEngine.goForward();
+                return true;
             }
-            return true;
+            return stepToward('right');
         }
     });
     
-    // + ou = - Augmenter police
+    // + ou = - Augmenter police (vitesse pendant le défilement automatique)
     shortcuts.set('+', {
         readerOnly: true,
-        handler: () => {
-            ReaderEngine.changeFontSize(Config.FONT.STEP);
-            UIManager.updateDropdownFontSize();
-            return true;
-        }
+        handler: () => changeSizeOrSpeed(1)
     });
     
     shortcuts.set('=', {
         readerOnly: true,
-        handler: () => {
-            ReaderEngine.changeFontSize(Config.FONT.STEP);
-            UIManager.updateDropdownFontSize();
-            return true;
-        }
+        handler: () => changeSizeOrSpeed(1)
     });
     
-    // - Diminuer police
+    // - Diminuer police (vitesse pendant le défilement automatique)
     shortcuts.set('-', {
         readerOnly: true,
-        handler: () => {
-            ReaderEngine.changeFontSize(-Config.FONT.STEP);
-            UIManager.updateDropdownFontSize();
-            return true;
-        }
+        handler: () => changeSizeOrSpeed(-1)
     });
     
     // T - Basculer thème
@@ -144,6 +188,104 @@ function registerDefaultShortcuts() {
         }
     });
     
+    // B - Ajouter un signet à la position courante
+    shortcuts.set('b', {
+        readerOnly: true,
+        handler: () => {
+            BookmarksUI.addCurrent();
+            return true;
+        }
+    });
+    
+    shortcuts.set('B', {
+        readerOnly: true,
+        handler: () => {
+            BookmarksUI.addCurrent();
+            return true;
+        }
+    });
+    
+    // G - Aller à une page ou un pourcentage
+    shortcuts.set('g', {
+        readerOnly: true,
+        handler: () => {
+            ProgressScrubberUI.promptPosition();
+            return true;
+        }
+    });
+    
+    shortcuts.set('G', {
+        readerOnly: true,
+        handler: () => {
+            ProgressScrubberUI.promptPosition();
+            return true;
+        }
+    });
+    
+    // R - Lecture à voix haute (lecture / pause)
+    shortcuts.set('r', {
+        readerOnly: true,
+        handler: () => {
+            if (MediaOverlay.hasOverlays()) MediaOverlay.toggle();
+            else ReadAloud.toggle();
+            return true;
+        }
+    });
+    
+    shortcuts.set('R', {
+        readerOnly: true,
+        handler: () => {
+            if (MediaOverlay.hasOverlays()) MediaOverlay.toggle();
+            else ReadAloud.toggle();
+            return true;
+        }
+    });
+    
+    // A - Défilement automatique (défilement / pause, mode scroll)
+    shortcuts.set('a', {
+        readerOnly: true,
+        handler: () => {
+            AutoScroll.toggle();
+            return true;
+        }
+    });
+    
+    shortcuts.set('A', {
+        readerOnly: true,
+        handler: () => {
+            AutoScroll.toggle();
+            return true;
+        }
+    });
+    
+    // / - Rechercher dans le livre
+    shortcuts.set('/', {
+        readerOnly: true,
+        handler: () => {
+            SearchUI.open();
+            return true;
+        }
+    });
+    
+    // N / Maj+N - Résultat de recherche suivant / précédent
+    shortcuts.set('n', {
+        readerOnly: true,
+        handler: () => {
+            if (BookSearch.getResults().length === 0) return false;
+            BookSearch.next();
+            return true;
+        }
+    });
+    
+    shortcuts.set('N', {
+        readerOnly: true,
+        handler: () => {
+            if (BookSearch.getResults().length === 0) return false;
+            BookSearch.prev();
+            return true;
+        }
+    });
+    
     // Espace - Page suivante (mode pagination)
     shortcuts.set(' ', {
         readerOnly: true,
@@ -208,6 +350,13 @@ export const KeyboardHandler = {
             return;
         }
         
+        // Lettre avec Ctrl/Cmd : raccourci du navigateur
+        // (Ctrl+R recharger, Ctrl+A tout sélectionner, Ctrl+N nouvelle fenêtre...)
+        // Ctrl/Cmd + '+', '-' ou '=' restent à la taille du texte
+        if ((e.ctrlKey || e.metaKey) && /^[a-z]$/i.test(e.key)) {
+            return;
+        }
+        
         // Chercher un raccourci correspondant
         const shortcut = shortcuts.get(e.key);
         if (!shortcut) return;
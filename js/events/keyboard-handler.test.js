@@ -0,0 +1,97 @@
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeyboardHandler } from './keyboard-handler.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { StateManager } from '../core/state.js';
+
+/**
+ * Envoie une touche au document
+ * @param {Object} init - Options du KeyboardEvent
+ * @returns {KeyboardEvent}
+ */
+function press(init) {
+    const event = new window.KeyboardEvent('keydown', { bubbles: true, cancelable: true, ...init });
+    document.body.dispatchEvent(event);
+    return event;
+}
+
+describe('KeyboardHandler', () => {
+    let calls = 0;
+
+    before(() => {
+        KeyboardHandler.init();
+        KeyboardHandler.register('x', {
+            handler: () => {
+                calls++;
+                return true;
+            }
+        });
+    });
+
+    it('runs a letter shortcut pressed alone', () => {
+        calls = 0;
+        const event = press({ key: 'x' });
+
+        assert.equal(calls, 1);
+        assert.equal(event.defaultPrevented, true);
+    });
+
+    it('leaves Ctrl/Cmd + letter to the browser', () => {
+        calls = 0;
+        const withCtrl = press({ key: 'x', ctrlKey: true });
+        const withMeta = press({ key: 'x', metaKey: true });
+
+        assert.equal(calls, 0);
+        assert.equal(withCtrl.defaultPrevented, false);
+        assert.equal(withMeta.defaultPrevented, false);
+    });
+
+    it('keeps Ctrl/Cmd + \'+\' for the text size', () => {
+        let sizes = 0;
+        KeyboardHandler.register('+', {
+            handler: () => {
+                sizes++;
+                return true;
+            }
+        });
+
+        const withCtrl = press({ key: '+', ctrlKey: true });
+        const withMeta = press({ key: '+', metaKey: true });
+
+        assert.equal(sizes, 2);
+        assert.equal(withCtrl.defaultPrevented, true);
+        assert.equal(withMeta.defaultPrevented, true);
+    });
+
+    describe('in a fixed-layout book', () => {
+        const original = {};
+        let steps;
+
+        before(() => {
+            ['isActive', 'nextPage', 'prevPage', 'nextChapter', 'prevChapter'].forEach(name => {
+                original[name] = ReaderEngine[name];
+            });
+        });
+
+        afterEach(() => {
+            Object.assign(ReaderEngine, original);
+            StateManager.set('fixedLayout', false);
+        });
+
+        it('turns exactly one page even when the reading flow is scrolled', () => {
+            StateManager.set('readerFlow', 'scrolled');
+            StateManager.set('fixedLayout', true);
+
+            steps = [];
+            ReaderEngine.isActive = () => true;
+            ['nextPage', 'prevPage', 'nextChapter', 'prevChapter'].forEach(name => {
+                ReaderEngine[name] = () => steps.push(name);
+            });
+
+            press({ key: 'ArrowRight' });
+
+            assert.deepEqual(steps, ['nextPage']);
+        });
+    });
+});
@@ -7,6 +7,7 @@
  */
 
 import { DatabaseManager } from '../core/database.js';
+import { ContentSecurity } from '../core/content-security.js';
 import { UIManager } from '../ui/ui-manager.js';
 import { FavoritesManager } from './favorites-manager.js';
 import { SearchEngine, debounce } from '../utils/search-engine.js';
@@ -1092,6 +1093,15 @@ export const LibraryManager = {
                 coverUrl = await blobToBase64(coverBlob);
             }
             
+            // Scripts et ressources distantes (désactivés à la lecture)
+            UIManager.showLoader('Analyse de sécurité');
+            let security = { scripts: false, remote: false };
+            try {
+                security = await ContentSecurity.scan(buffer);
+            } catch (scanError) {
+                logger.debug('Security scan failed', scanError);
+            }
+            
             // Étape 3: Sauvegarde en base de données
             UIManager.showLoader('Sauvegarde en base');
             await DatabaseManager.add({
@@ -1107,15 +1117,23 @@ export const LibraryManager = {
                 progress: 0,
                 lastCFI: null,
                 lastChapter: null,
-                favoritedAt: null
+                favoritedAt: null,
+                security,
+                allowScripts: false
             });
             
             // Masquer le loader avec un léger délai pour le feedback
             UIManager.hideLoader(200);
             
             // Message de succès
+            const warnings = [
+                security.scripts ? 'scripts désactivés' : '',
+                security.remote ? 'ressources externes bloquées' : ''
+            ].filter(Boolean);
             setTimeout(() => {
-                UIManager.showStatus('📖 Livre importé avec succès !');
+                UIManager.showStatus(warnings.length > 0
+                    ? `⚠️ Livre importé : ${warnings.join(', ')}`
+                    : '📖 Livre importé avec succès !');
             }, 400);
             
             await this.load();
@@ -1135,6 +1153,9 @@ export const LibraryManager = {
         try {
             await DatabaseManager.delete(id);
             await DatabaseManager.deleteStatistics(id);
+            await DatabaseManager.deleteHighlightsForBook(id);
+            await DatabaseManager.deleteBookmarksForBook(id);
+            await DatabaseManager.deleteLocationsForBook(id);
             UIManager.showStatus('🗑️ Livre supprimé');
             await this.load();
         } catch (error) {
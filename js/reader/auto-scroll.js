@@ -0,0 +1,292 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/AUTO-SCROLL.JS
+ * Défilement automatique du mode scroll (lecture mains libres).
+ * Fait défiler le chapitre à vitesse réglable, puis enchaîne sur le chapitre
+ * suivant via ScrollReader.nextChapter une fois le bas atteint.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config, StorageKeys } from '../core/config.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { getReader } from './reader-factory.js';
+import { ReadAloud } from './read-aloud.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('AutoScroll');
+
+/**
+ * Marge (px) en dessous de laquelle le bas du chapitre est atteint
+ * @private
+ */
+const BOTTOM_TOLERANCE = 1;
+
+/**
+ * Intervalle maximal pris en compte entre deux images (onglet en arrière-plan)
+ * @private
+ */
+const MAX_FRAME_DELTA = 100;
+
+/**
+ * État du défilement : 'idle', 'running' ou 'paused'
+ * @private
+ */
+let status = 'idle';
+
+/**
+ * Vitesse de défilement (px/s)
+ * @private
+ */
+let speed = parseInt(localStorage.getItem(StorageKeys.AUTO_SCROLL_SPEED), 10) || Config.AUTO_SCROLL_SPEED.DEFAULT;
+
+/**
+ * Image d'animation en attente et horodatage de la précédente
+ * @private
+ */
+let frameId = null;
+let lastFrame = null;
+
+/**
+ * Fraction de pixel non encore défilée (vitesses lentes)
+ * @private
+ */
+let carry = 0;
+
+/**
+ * Passage au chapitre suivant en cours
+ * @private
+ */
+let advancing = false;
+
+/**
+ * Reprise du défilement après le changement de chapitre (horodatage)
+ * @private
+ */
+let holdUntil = 0;
+
+/**
+ * Conteneur défilant du rendu epub.js (mode scroll)
+ * @returns {HTMLElement|null}
+ * @private
+ */
+function scrollContainer() {
+    return getReader()?.rendition?.manager?.container || null;
+}
+
+/**
+ * AutoScroll - Défilement automatique
+ */
+export const AutoScroll = {
+    /**
+     * Initialise le module
+     */
+    init() {
+        EventBus.on(Events.READER_CLOSED, () => this.stop());
+        EventBus.on(Events.READER_FLOW_CHANGED, () => this.stop());
+
+        // La lecture à voix haute fait elle-même défiler le texte lu
+        EventBus.on(Events.READ_ALOUD_STATE, (state) => {
+            if (state.status === 'playing') this.stop();
+        });
+
+        logger.info('AutoScroll initialized');
+    },
+
+    /**
+     * Indique si le défilement automatique est possible (mode scroll)
+     * @returns {boolean}
+     */
+    isAvailable() {
+        const reader = getReader();
+        return !!reader?.isActive() && reader.flow === 'scrolled';
+    },
+
+    /**
+     * Indique si le défilement est en cours
+     * @returns {boolean}
+     */
+    isRunning() {
+        return status === 'running';
+    },
+
+    /**
+     * Indique si le défilement est lancé (en cours ou en pause)
+     * @returns {boolean}
+     */
+    isActive() {
+        return status !== 'idle';
+    },
+
+    /**
+     * Retourne l'état courant du défilement
+     * @returns {{status: string, speed: number}}
+     */
+    getState() {
+        return { status, speed };
+    },
+
+    /**
+     * Lance ou reprend le défilement depuis la position affichée
+     */
+    start() {
+        if (status === 'running') return;
+
+        if (!this.isAvailable()) {
+            if (getReader()?.isActive()) {
+                EventBus.emit('status-message', 'Défilement automatique disponible en mode défilement');
+            }
+            return;
+        }
+
+        ReadAloud.stop();
+        lastFrame = null;
+        carry = 0;
+        this._setStatus('running');
+        frameId = requestAnimationFrame((time) => this._tick(time));
+    },
+
+    /**
+     * Met le défilement en pause
+     */
+    pause() {
+        if (status !== 'running') return;
+
+        this._cancelFrame();
+        this._setStatus('paused');
+    },
+
+    /**
+     * Bascule défilement / pause
+     */
+    toggle() {
+        return status === 'running' ? this.pause() : this.start();
+    },
+
+    /**
+     * Arrête le défilement
+     */
+    stop() {
+        if (status === 'idle') return;
+
+        this._cancelFrame();
+        advancing = false;
+        holdUntil = 0;
+        this._setStatus('idle');
+    },
+
+    /**
+     * Accélère ou ralentit le défilement (persisté)
+     * @param {number} delta - Variation de vitesse (px/s)
+     */
+    changeSpeed(delta) {
+        const { MIN, MAX } = Config.AUTO_SCROLL_SPEED;
+        speed = Math.min(MAX, Math.max(MIN, speed + delta));
+        localStorage.setItem(StorageKeys.AUTO_SCROLL_SPEED, speed);
+        this._emitState();
+    },
+
+    /**
+     * Fait défiler d'une image d'animation
+     * @param {number} time - Horodatage de l'image
+     * @private
+     */
+    _tick(time) {
+        if (status !== 'running') return;
+
+        const container = scrollContainer();
+        if (!container) {
+            this.stop();
+            return;
+        }
+
+        const delta = lastFrame === null ? 0 : Math.min(time - lastFrame, MAX_FRAME_DELTA);
+        lastFrame = time;
+
+        if (!advancing && time >= holdUntil) {
+            // scrollTop est arrondi au pixel : cumuler les fractions
+            carry += speed * delta / 1000;
+            const step = Math.floor(carry);
+            if (step > 0) {
+                carry -= step;
+                container.scrollTop += step;
+            }
+
+            if (container.scrollTop + container.clientHeight >= container.scrollHeight - BOTTOM_TOLERANCE) {
+                this._advance();
+            }
+        }
+
+        frameId = requestAnimationFrame((next) => this._tick(next));
+    },
+
+    /**
+     * Bas du chapitre atteint : passe au chapitre suivant
+     * @private
+     */
+    async _advance() {
+        const reader = getReader();
+
+        // Défilement continu : epub.js ajoute lui-même le chapitre suivant
+        if (reader?.continuous) {
+            if (reader.isLastSectionLoaded()) this._finish();
+            return;
+        }
+
+        // Pas de promesse d'affichage : il n'y a pas de chapitre suivant
+        const displayed = reader?.nextChapter(true);
+        if (!displayed) {
+            this._finish();
+            return;
+        }
+
+        advancing = true;
+        try {
+            await displayed;
+        } finally {
+            advancing = false;
+            carry = 0;
+            // Laisser le temps de voir le titre du chapitre
+            holdUntil = performance.now() + Config.AUTO_SCROLL_CHAPTER_PAUSE;
+        }
+    },
+
+    /**
+     * Fin du livre atteinte
+     * @private
+     */
+    _finish() {
+        this.stop();
+        EventBus.emit('status-message', '📜 Fin du livre');
+    },
+
+    /**
+     * Annule l'image d'animation en attente
+     * @private
+     */
+    _cancelFrame() {
+        if (frameId !== null) {
+            cancelAnimationFrame(frameId);
+            frameId = null;
+        }
+    },
+
+    /**
+     * Change l'état et le notifie
+     * @param {string} value
+     * @private
+     */
+    _setStatus(value) {
+        status = value;
+        this._emitState();
+    },
+
+    /**
+     * Notifie l'état courant
+     * @private
+     */
+    _emitState() {
+        EventBus.emit(Events.AUTO_SCROLL_STATE, this.getState());
+    }
+};
+
+export default AutoScroll;
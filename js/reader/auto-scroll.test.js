@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AutoScroll } from './auto-scroll.js';
+import { createReader } from './reader-factory.js';
+import { StateManager } from '../core/state.js';
+import { EventBus } from '../events/event-bus.js';
+
+/**
+ * Rendition epub.js minimale : enregistre les sections affichées
+ * @returns {Object}
+ */
+function fakeRendition() {
+    return {
+        displayed: [],
+        display(href) {
+            this.displayed.push(href);
+            return Promise.resolve();
+        },
+        getContents: () => [],
+        themes: { register() {}, select() {}, override() {} },
+        annotations: { highlight() {}, remove() {} }
+    };
+}
+
+describe('AutoScroll chapter advance', () => {
+    let reader;
+    let messages;
+    let listener;
+
+    beforeEach(() => {
+        StateManager.set('readerFlow', 'scrolled');
+        StateManager.set('continuousScroll', false);
+        StateManager.set('chapters', [{ href: 'c1.xhtml' }, { href: 'c2.xhtml' }]);
+        StateManager.set('currentChapterIndex', 0);
+
+        reader = createReader('scrolled');
+        reader.rendition = fakeRendition();
+
+        messages = [];
+        listener = EventBus.on('status-message', (message) => messages.push(message));
+    });
+
+    afterEach(() => {
+        AutoScroll.stop();
+        EventBus.off('status-message', listener);
+    });
+
+    it('returns the display promise of an explicit chapter change', async () => {
+        assert.equal(reader.nextChapter(), undefined);
+
+        const displayed = reader.nextChapter(true);
+        assert.ok(displayed instanceof Promise);
+        await displayed;
+        assert.deepEqual(reader.rendition.displayed, ['c2.xhtml']);
+    });
+
+    it('continues into the next chapter at the bottom of a chapter', async () => {
+        AutoScroll.start();
+        await AutoScroll._advance();
+
+        assert.deepEqual(reader.rendition.displayed, ['c2.xhtml']);
+        assert.equal(AutoScroll.isActive(), true);
+        assert.deepEqual(messages, []);
+    });
+
+    it('stops at the end of the last chapter', async () => {
+        StateManager.set('currentChapterIndex', 1);
+
+        AutoScroll.start();
+        await AutoScroll._advance();
+
+        assert.deepEqual(reader.rendition.displayed, []);
+        assert.equal(AutoScroll.isActive(), false);
+        assert.deepEqual(messages, ['📜 Fin du livre']);
+    });
+});
@@ -2,13 +2,24 @@
  * ═══════════════════════════════════════════════════════════════════════════
  * READER/BASE-READER.JS
  * Classe de base abstraite pour les modes de lecture.
- * Contient les fonctionnalités communes entre ScrollReader et PagedReader.
+ * Contient les fonctionnalités communes entre ScrollReader, PagedReader
+ * et FixedLayoutReader.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
 import { Config, StorageKeys } from '../core/config.js';
 import { StateManager } from '../core/state.js';
 import { ThemeManager } from '../core/themes.js';
+import { HighlightsManager } from '../core/highlights-manager.js';
+import { FontsManager } from '../core/fonts-manager.js';
+import { BookStylesManager } from '../core/book-styles.js';
+import { LocationsManager } from '../core/locations-manager.js';
+import { StatisticsManager } from '../core/statistics-manager.js';
+import { ReadingDirection } from './reading-direction.js';
+import { StartOfContent } from './start-of-content.js';
+import { PrintPages } from './print-pages.js';
+import { MediaOverlay } from './media-overlay.js';
+import { EventBus, Events } from '../events/event-bus.js';
 import { UIManager } from '../ui/ui-manager.js';
 import Logger from '../utils/logger.js';
 
@@ -27,6 +38,7 @@ export class BaseReader {
         this.book = null;
         this.rendition = null;
         this.flow = 'scrolled'; // Doit être surchargé
+        this.reflowable = true; // Faux pour la mise en page fixe (pas de police imposée)
     }
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -47,6 +59,24 @@ export class BaseReader {
         // Créer le rendu - surchargé dans les sous-classes
         this.rendition = this._createRendition();
         
+        // Sélection de texte et surlignages
+        HighlightsManager.attach(this.rendition);
+        
+        // Police de lecture (injectée à chaque chapitre)
+        if (this.reflowable) FontsManager.attach(this.rendition);
+        
+        // CSS personnalisé du livre (injecté après les styles de lecture)
+        BookStylesManager.attach(this.rendition);
+        
+        // Mode d'écriture réel des chapitres (vertical : sens droite à gauche)
+        ReadingDirection.attach(this.rendition);
+        
+        // Position des sauts de page de l'édition imprimée
+        PrintPages.attach(this.rendition);
+        
+        // Surlignage par défaut du passage narré
+        MediaOverlay.attach(this.rendition);
+        
         // Appliquer le thème
         this.applyTheme();
         
@@ -54,17 +84,19 @@ export class BaseReader {
         this._setupModeSpecific();
         
         // Afficher à la position
-        const toc = this.book.navigation?.toc || [];
-        const firstChapter = this._findFirstChapter(toc);
-        const startLocation = startCFI || firstChapter || undefined;
+        const startLocation = startCFI || StartOfContent.getHref() || undefined;
         
         await this.rendition.display(startLocation);
+        HighlightsManager.applyTo(this.rendition);
         
         // Écouter les changements de position
         this.rendition.on('relocated', (location) => {
             this._onRelocated(location);
         });
         
+        // Pages disponibles (cache ou génération terminée) : afficher "page X sur Y"
+        this._locationsHandler = EventBus.on(Events.LOCATIONS_READY, () => this.refreshProgress());
+        
         logger.info(`${this.name} initialized`);
     }
 
@@ -72,6 +104,11 @@ export class BaseReader {
      * Détruit le lecteur et nettoie les ressources
      */
     async destroy() {
+        if (this._locationsHandler) {
+            EventBus.off(Events.LOCATIONS_READY, this._locationsHandler);
+            this._locationsHandler = null;
+        }
+
         if (this.rendition) {
             // epub.js's destroy() handles DOM removal and internal listeners.
             this.rendition.destroy();
@@ -123,6 +160,10 @@ export class BaseReader {
 
     /**
      * Génère les styles CSS pour le contenu du livre
+     * La police du texte est injectée à part par FontsManager : un thème
+     * epub.js ne peut pas retirer une règle (choix "police de l'éditeur").
+     * Styles de l'éditeur conservés (BookStylesManager) : seules les couleurs
+     * (et la taille du texte en remplacement partiel) sont imposées.
      * @returns {Object} Objet de styles pour epub.js
      */
     generateReadingStyles() {
@@ -136,28 +177,42 @@ export class BaseReader {
         // Taille de police adaptative
         const baseFontSize = isMobile ? fontSize - 10 : fontSize + 40;
         
-        return {
+        const mode = BookStylesManager.getMode();
+        if (mode !== 'override') {
+            return this._generatePublisherStyles(colors, mode === 'partial' ? baseFontSize : null, bodyPadding);
+        }
+        
+        // Réglages de typographie (alignement "éditeur" : pas de règle)
+        const typography = StateManager.get('typography');
+        const hyphens = typography.hyphenation ? 'auto !important' : 'manual !important';
+        // "À gauche" suit le sens du texte (à droite pour l'arabe, l'hébreu...)
+        const textAlign = typography.textAlign === 'left' ? 'start' : typography.textAlign;
+        const alignment = typography.textAlign === 'publisher'
+            ? {}
+            : { 'text-align': `${textAlign} !important` };
+        // En écriture verticale, la largeur max limiterait le nombre de colonnes
+        const maxWidth = ReadingDirection.isVertical() ? null : Config.TYPOGRAPHY_MAX_WIDTHS[typography.maxWidth];
+        
+        const styles = {
             'body': {
-                'font-family': 'Georgia, "Times New Roman", serif !important',
-                'line-height': '1.8 !important',
+                'line-height': `${typography.lineHeight} !important`,
                 'font-size': `${baseFontSize}% !important`,
                 'padding': bodyPadding,
-                'text-align': 'left !important',
+                ...(typography.textAlign === 'publisher' ? {} : { 'text-align': 'start !important' }),
                 'color': colors.text,
                 'background': colors.bg,
                 'margin': '0 !important',
                 'overflow-x': 'hidden !important'
             },
             'p, li, td': {
-                'font-family': 'Georgia, "Times New Roman", serif !important',
-                'line-height': '1.6 !important',
-                'margin-bottom': '1.2em !important',
-                'text-align': 'justify !important',
-                'text-indent': '0 !important',
-                'hyphens': 'auto !important'
+                'line-height': `${typography.lineHeight} !important`,
+                'margin-bottom': `${typography.paragraphSpacing}em !important`,
+                ...alignment,
+                'text-indent': `${typography.textIndent}em !important`,
+                '-webkit-hyphens': hyphens,
+                'hyphens': hyphens
             },
             'h1, h2, h3, h4, h5, h6': {
-                'font-family': 'Georgia, "Times New Roman", serif !important',
                 'line-height': '1.3 !important',
                 'font-size': `${fontSize + 80}% !important`,
                 'margin-top': '1.5em !important',
@@ -192,8 +247,32 @@ export class BaseReader {
                 'display': 'block !important',
                 'margin': '1em auto !important'
             },
-            // Styles pour les boutons de navigation de chapitre
+            ...this._getChapterNavigationStyles(colors)
+        };
+        
+        // Largeur maximale : blocs centrés dans la colonne de texte
+        if (maxWidth) {
+            styles['body > *'] = {
+                'max-width': `${maxWidth} !important`,
+                'margin-left': 'auto !important',
+                'margin-right': 'auto !important'
+            };
+        }
+        
+        return styles;
+    }
+
+    /**
+     * Styles des boutons de navigation de chapitre (injectés par le lecteur,
+     * quels que soient les styles de l'éditeur)
+     * @param {Object} colors - Couleurs de lecture du thème
+     * @returns {Object}
+     * @protected
+     */
+    _getChapterNavigationStyles(colors) {
+        return {
             '.chapter-navigation': {
+                'writing-mode': 'horizontal-tb !important',
                 'display': 'flex !important',
                 'justify-content': 'center !important',
                 'gap': '16px !important',
@@ -234,16 +313,62 @@ export class BaseReader {
         };
     }
 
+    /**
+     * Styles de lecture minimaux : le CSS du livre est conservé
+     * @param {Object} colors - Couleurs de lecture du thème
+     * @param {number|null} fontSize - Taille du texte imposée (%), null pour
+     *   garder celle du livre
+     * @param {string} bodyPadding - Marges de page du lecteur
+     * @returns {Object}
+     * @protected
+     */
+    _generatePublisherStyles(colors, fontSize, bodyPadding) {
+        const styles = {
+            'body': {
+                // Marges de page : les boutons flottants ne doivent pas masquer le texte
+                'padding': bodyPadding,
+                'margin': '0 !important',
+                'color': `${colors.text} !important`,
+                'background': `${colors.bg} !important`
+            },
+            ...this._getChapterNavigationStyles(colors)
+        };
+
+        // Remplacement partiel : couleurs et taille du texte imposées partout
+        if (fontSize !== null) {
+            styles.body['font-size'] = `${fontSize}% !important`;
+            styles['h1, h2, h3, h4, h5, h6'] = {
+                'color': `${colors.heading} !important`
+            };
+            styles['a'] = {
+                'color': `${colors.link} !important`
+            };
+        }
+
+        return styles;
+    }
+
     /**
      * Retourne le padding du body selon le mode
      * @param {boolean} isMobile
      * @returns {string}
      */
     _getBodyPadding(isMobile) {
+        const margin = this._getHorizontalMargin(isMobile);
         if (isMobile) {
-            return '70px 5vw 0 5vw !important';
+            return `70px ${margin} 0 ${margin} !important`;
         }
-        return '60px 10% 200px 10% !important';
+        return `60px ${margin} 200px ${margin} !important`;
+    }
+
+    /**
+     * Retourne la marge latérale selon l'appareil et le réglage "Marges"
+     * @param {boolean} isMobile
+     * @returns {string}
+     */
+    _getHorizontalMargin(isMobile) {
+        const factor = Config.TYPOGRAPHY_MARGINS[StateManager.get('typography').margins] ?? 1;
+        return isMobile ? `${5 * factor}vw` : `${10 * factor}%`;
     }
 
     /**
@@ -264,8 +389,18 @@ export class BaseReader {
     applyTheme() {
         if (!this.rendition) return;
         
+        // epub.js ajoute les règles à la suite de la feuille existante :
+        // la retirer pour qu'un réglage supprimé (alignement "éditeur",
+        // largeur max...) ne persiste pas dans le chapitre affiché
+        this.rendition.getContents().forEach(contents => {
+            contents.document?.getElementById('epubjs-inserted-css-reading-theme')?.remove();
+        });
+        
         this.rendition.themes.register('reading-theme', this.generateReadingStyles());
         this.rendition.themes.select('reading-theme');
+        
+        // Le CSS personnalisé du livre reste après la feuille du thème
+        BookStylesManager.refresh();
     }
 
     /**
@@ -305,14 +440,32 @@ export class BaseReader {
         UIManager.closeTOC();
         UIManager.closeAllDropdowns();
 
-        return this.rendition.display(href).then(() => {
-            this.applyTheme();
-            this._scrollToTop();
-        }).catch(err => logger.error('goToChapter error', err));
+        return this.rendition.display(href)
+            .then(() => this._onDisplayed())
+            .catch(err => logger.error('goToChapter error', err));
+    }
+
+    /**
+     * Navigue vers une position précise (CFI) sans remonter en haut du chapitre
+     * @param {string} target - CFI ou href
+     */
+    goToLocation(target) {
+        if (!this.rendition || !target) return;
+
+        UIManager.closeTOC();
+        UIManager.closeAllDropdowns();
+
+        return this.rendition.display(target)
+            .then(() => {
+                this.applyTheme();
+                HighlightsManager.applyTo(this.rendition);
+            })
+            .catch(err => logger.error('goToLocation error', err));
     }
 
     /**
      * Va au chapitre précédent
+     * @returns {Promise|undefined} Affichage du chapitre, undefined s'il n'y en a pas
      */
     prevChapter() {
         const chapters = StateManager.get('chapters');
@@ -328,15 +481,15 @@ export class BaseReader {
         if (href) {
             StateManager.set('currentChapterIndex', newIndex);
             UIManager.closeAllDropdowns();
-            return this.rendition.display(href).then(() => {
-                this.applyTheme();
-                this._scrollToTop();
-            }).catch(err => logger.error('Display error', err));
+            return this.rendition.display(href)
+                .then(() => this._onDisplayed())
+                .catch(err => logger.error('Display error', err));
         }
     }
 
     /**
      * Va au chapitre suivant
+     * @returns {Promise|undefined} Affichage du chapitre, undefined s'il n'y en a pas
      */
     nextChapter() {
         const chapters = StateManager.get('chapters');
@@ -352,13 +505,77 @@ export class BaseReader {
         if (href) {
             StateManager.set('currentChapterIndex', newIndex);
             UIManager.closeAllDropdowns();
-            return this.rendition.display(href).then(() => {
-                this.applyTheme();
-                this._scrollToTop();
-            }).catch(err => logger.error('Display error', err));
+            return this.rendition.display(href)
+                .then(() => this._onDisplayed())
+                .catch(err => logger.error('Display error', err));
+        }
+    }
+
+    /**
+     * Décrit la position de lecture courante (signets, citations...)
+     * @returns {{cfi: string, chapter: string|null, excerpt: string, percentage: number, page?: string, pageType?: string}|null}
+     */
+    getCurrentLocation() {
+        const location = this.rendition?.currentLocation();
+        const cfi = location?.start?.cfi;
+        if (!cfi) return null;
+
+        return {
+            cfi,
+            chapter: StateManager.get('currentChapter'),
+            excerpt: this._getExcerptAt(cfi),
+            percentage: location.start.percentage || 0,
+            ...PrintPages.describe(cfi)
+        };
+    }
+
+    /**
+     * Extrait le texte qui suit une position CFI dans le chapitre affiché
+     * @param {string} cfi - Position CFI
+     * @returns {string}
+     * @protected
+     */
+    _getExcerptAt(cfi) {
+        const maxLength = Config.BOOKMARK_EXCERPT_LENGTH;
+
+        try {
+            const contents = this.rendition.getContents()
+                .find(c => !c.cfiBase || cfi.includes(`${c.cfiBase}!`));
+            const range = contents?.range(cfi);
+            if (!range) return '';
+
+            const doc = contents.document;
+            const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+            walker.currentNode = range.startContainer;
+
+            let text = '';
+            let node = range.startContainer.nodeType === Node.TEXT_NODE ? range.startContainer : walker.nextNode();
+            let offset = node === range.startContainer ? range.startOffset : 0;
+
+            while (node && text.length < maxLength) {
+                text += node.textContent.slice(offset) + ' ';
+                offset = 0;
+                node = walker.nextNode();
+            }
+
+            text = text.replace(/\s+/g, ' ').trim();
+            return text.length > maxLength ? `${text.slice(0, maxLength).trim()}…` : text;
+        } catch (e) {
+            logger.debug('Excerpt extraction failed', e);
+            return '';
         }
     }
 
+    /**
+     * Finalise l'affichage d'un chapitre (thème, surlignages, scroll)
+     * @protected
+     */
+    _onDisplayed() {
+        this.applyTheme();
+        HighlightsManager.applyTo(this.rendition);
+        this._scrollToTop();
+    }
+
     /**
      * Scroll vers le haut du viewer
      * @protected
@@ -405,6 +622,8 @@ export class BaseReader {
 
             const nav = doc.createElement('div');
             nav.className = 'chapter-navigation';
+            // Ordre des boutons imposé ici (le livre peut être en dir="rtl")
+            nav.setAttribute('dir', 'ltr');
 
             const hasPrev = currentIndex > 0;
             const hasNext = currentIndex < chapters.length - 1;
@@ -471,18 +690,29 @@ export class BaseReader {
                 return btn;
             };
 
+            // Sens droite à gauche : le chapitre suivant est à gauche
+            const rtl = ReadingDirection.isRtl();
+            const buttons = [];
+
             if (hasPrev) {
-                const btnPrev = createNavButton('<span>←</span><span>Chapitre précédent</span>', this.prevChapter);
+                const btnPrev = createNavButton(rtl
+                    ? '<span>Chapitre précédent</span><span>→</span>'
+                    : '<span>←</span><span>Chapitre précédent</span>', this.prevChapter);
                 btnPrev.setAttribute('aria-label', 'Chapitre précédent');
-                nav.appendChild(btnPrev);
+                buttons.push(btnPrev);
             }
 
             if (hasNext) {
-                const btnNext = createNavButton('<span>Chapitre suivant</span><span>→</span>', this.nextChapter);
+                const btnNext = createNavButton(rtl
+                    ? '<span>←</span><span>Chapitre suivant</span>'
+                    : '<span>Chapitre suivant</span><span>→</span>', this.nextChapter);
                 btnNext.setAttribute('aria-label', 'Chapitre suivant');
-                nav.appendChild(btnNext);
+                buttons.push(btnNext);
             }
 
+            if (rtl) buttons.reverse();
+            buttons.forEach(btn => nav.appendChild(btn));
+
             if (hasPrev || hasNext) {
                 body.appendChild(nav);
             }
@@ -495,25 +725,6 @@ export class BaseReader {
     // UTILITAIRES
     // ═══════════════════════════════════════════════════════════════════════
 
-    /**
-     * Trouve le premier chapitre dans la TOC
-     * @param {Array} items - Items de la TOC
-     * @returns {string|null}
-     */
-    _findFirstChapter(items) {
-        for (const item of items) {
-            const label = item.label?.toLowerCase() || '';
-            if (label.includes('chapter') || label.includes('chapitre')) {
-                return item.href;
-            }
-            if (item.subitems) {
-                const found = this._findFirstChapter(item.subitems);
-                if (found) return found;
-            }
-        }
-        return null;
-    }
-
     /**
      * Handler appelé lors du changement de position
      * @param {Object} location - Objet location d'epub.js
@@ -522,6 +733,7 @@ export class BaseReader {
     _onRelocated(location) {
         if (location?.start?.cfi) {
             this._saveProgress(location.start.cfi);
+            EventBus.emit(Events.READER_RELOCATED, { cfi: location.start.cfi });
             this._updateProgressIndicator(location);
         }
     }
@@ -540,32 +752,20 @@ export class BaseReader {
         if (!bookId || !cfi) return;
         
         try {
-            const toc = this.book?.navigation?.toc || [];
+            // Sommaire à plat (celui du livre ou le sommaire généré)
+            const chapters = StateManager.get('chapters');
             const currentHref = this.book?.spine?.get(cfi)?.href || '';
+            const currentBase = currentHref.split('#')[0] || '';
             
-            let chapterName = null;
-            
-            const findChapter = (items) => {
-                for (const item of items) {
-                    const itemHref = item.href?.split('#')[0] || '';
-                    const currentBase = currentHref.split('#')[0] || '';
-                    
-                    if (itemHref && currentBase && 
-                        (itemHref.includes(currentBase) || currentBase.includes(itemHref))) {
-                        chapterName = item.label;
-                        return true;
-                    }
-                    if (item.subitems && findChapter(item.subitems)) return true;
-                }
-                return false;
-            };
-            
-            findChapter(toc);
+            const index = chapters.findIndex(item => {
+                const itemHref = item.href?.split('#')[0] || '';
+                return itemHref && currentBase &&
+                    (itemHref.includes(currentBase) || currentBase.includes(itemHref));
+            });
+            const chapterName = index !== -1 ? chapters[index].label : null;
             StateManager.set('currentChapter', chapterName);
             
             if (chapterName) {
-                const chapters = StateManager.get('chapters');
-                const index = chapters.findIndex(ch => ch.label === chapterName);
                 StateManager.set('currentChapterIndex', index);
             }
             
@@ -589,15 +789,56 @@ export class BaseReader {
      * @protected
      */
     _updateProgressIndicator(location) {
-        if (!location) return;
-        const percent = Math.round((location.percentage || 0) * 100);
+        if (!location?.start) return;
+
+        const pages = LocationsManager.describe(location.start.cfi);
+        const percent = Math.round((pages ? pages.percentage : location.start.percentage || 0) * 100);
         StateManager.set('readerProgress', percent);
+
         const ui = (typeof UIManager.getUIInstance === 'function') ? UIManager.getUIInstance() : null;
         if (ui && typeof ui.updateProgress === 'function') {
             ui.updateProgress(percent);
         }
         if (ui && typeof ui.updateProgressText === 'function') {
-            ui.updateProgressText(`${percent}%`);
+            // Page-list du livre : page imprimée à côté du pourcentage
+            const printPage = PrintPages.pageAt(location.start.cfi);
+            let text = pages ? this._formatPages(pages) : `${percent}%`;
+            if (printPage) text = `Page imprimée ${printPage} · ${percent}%`;
+
+            ui.updateProgressText(text, pages ? this._formatTimeLeft(pages) : '');
         }
     }
+
+    /**
+     * Formate la position en pages
+     * @param {Object} pages - { page, total, chapterPagesLeft }
+     * @returns {string}
+     * @protected
+     */
+    _formatPages({ page, total, chapterPagesLeft }) {
+        const chapter = chapterPagesLeft === 0
+            ? 'fin du chapitre'
+            : `${chapterPagesLeft} page${chapterPagesLeft > 1 ? 's' : ''} restante${chapterPagesLeft > 1 ? 's' : ''} dans le chapitre`;
+        return `Page ${page} sur ${total} · ${chapter}`;
+    }
+
+    /**
+     * Estime le temps restant (chapitre et livre) selon la vitesse de lecture
+     * @param {Object} pages - { page, total, chapterPagesLeft, chars }
+     * @returns {string}
+     * @protected
+     */
+    _formatTimeLeft({ page, total, chapterPagesLeft, chars }) {
+        const chapter = StatisticsManager.estimateSeconds(chapterPagesLeft * chars);
+        const book = StatisticsManager.estimateSeconds((total - page) * chars);
+        return `${StatisticsManager.formatTimeLeft(chapter)} pour finir le chapitre · ${StatisticsManager.formatTimeLeft(book)} pour finir le livre`;
+    }
+
+    /**
+     * Réaffiche la progression de la position actuelle
+     */
+    refreshProgress() {
+        const location = this.rendition?.location;
+        if (location?.start) this._updateProgressIndicator(location);
+    }
 }
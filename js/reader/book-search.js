@@ -0,0 +1,246 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/BOOK-SEARCH.JS
+ * Recherche plein texte dans le livre ouvert.
+ * Parcourt book.spine section par section en rendant la main au navigateur
+ * entre chaque chapitre, puis navigue de résultat en résultat.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { getBook, getReader } from './reader-factory.js';
+import { ReaderEngine } from './reader-engine.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('BookSearch');
+
+/**
+ * Résultats de la dernière recherche ({ cfi, excerpt, chapter, sectionIndex })
+ * @private
+ */
+let results = [];
+
+/**
+ * Requête de la dernière recherche
+ * @private
+ */
+let currentQuery = '';
+
+/**
+ * Index du résultat affiché (-1 si aucun)
+ * @private
+ */
+let currentIndex = -1;
+
+/**
+ * Identifiant de la recherche en cours (annule les recherches obsolètes)
+ * @private
+ */
+let searchToken = 0;
+
+/**
+ * Surlignage du résultat affiché ({ rendition, cfi })
+ * @private
+ */
+let activeHit = null;
+
+/**
+ * Rend la main au navigateur (évite de figer l'interface)
+ * @returns {Promise<void>}
+ * @private
+ */
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Retrouve le libellé du chapitre (sommaire) d'une section
+ * @param {string} href - Href de la section
+ * @returns {string|null}
+ * @private
+ */
+function findChapterLabel(href) {
+    const base = href?.split('#')[0] || '';
+    if (!base) return null;
+
+    const chapter = StateManager.get('chapters').find(ch => {
+        const chapterBase = ch.href?.split('#')[0] || '';
+        return chapterBase && (chapterBase.includes(base) || base.includes(chapterBase));
+    });
+    return chapter?.label?.trim() || null;
+}
+
+/**
+ * Retire le surlignage du résultat précédemment affiché
+ * @private
+ */
+function clearActiveHit() {
+    if (!activeHit) return;
+    try {
+        activeHit.rendition.annotations.remove(activeHit.cfi, 'highlight');
+    } catch (e) {
+        // Rendition détruite entre temps
+    }
+    activeHit = null;
+}
+
+/**
+ * BookSearch - Recherche plein texte dans le livre courant
+ */
+export const BookSearch = {
+    /**
+     * Initialise le module
+     */
+    init() {
+        EventBus.on(Events.READER_CLOSED, () => this.clear());
+        logger.info('BookSearch initialized');
+    },
+
+    /**
+     * Lance une recherche dans tout le livre
+     * Les résultats sont émis progressivement (Events.SEARCH_RESULTS).
+     * @param {string} query - Texte recherché
+     * @returns {Promise<Array>} Résultats complets
+     */
+    async search(query) {
+        const book = getBook();
+        const normalized = query?.trim() || '';
+
+        this.clear();
+        if (!book || normalized.length < Config.BOOK_SEARCH_MIN_LENGTH) return [];
+
+        const token = ++searchToken;
+        currentQuery = normalized;
+        const sections = book.spine.spineItems;
+
+        for (let i = 0; i < sections.length; i++) {
+            const section = sections[i];
+
+            try {
+                await section.load(book.load.bind(book));
+                if (token !== searchToken) return results;
+
+                const chapter = findChapterLabel(section.href);
+                section.find(normalized).forEach(match => {
+                    results.push({
+                        cfi: match.cfi,
+                        excerpt: match.excerpt.replace(/\s+/g, ' ').trim(),
+                        chapter,
+                        sectionIndex: section.index
+                    });
+                });
+                results = results.slice(0, Config.BOOK_SEARCH_MAX_RESULTS);
+            } catch (error) {
+                logger.debug(`Search skipped section ${section.href}`, error);
+            } finally {
+                section.unload();
+            }
+
+            const done = i === sections.length - 1 || results.length >= Config.BOOK_SEARCH_MAX_RESULTS;
+            EventBus.emit(Events.SEARCH_RESULTS, {
+                query: normalized,
+                results: this.getResults(),
+                progress: (i + 1) / sections.length,
+                done
+            });
+
+            if (done) break;
+            await yieldToBrowser();
+            if (token !== searchToken) return results;
+        }
+
+        logger.info(`Search "${normalized}": ${results.length} results`);
+        return this.getResults();
+    },
+
+    /**
+     * Annule la recherche et efface les résultats
+     */
+    clear() {
+        searchToken++;
+        clearActiveHit();
+        results = [];
+        currentQuery = '';
+        currentIndex = -1;
+        EventBus.emit(Events.SEARCH_CLEARED);
+    },
+
+    /**
+     * Retourne les résultats de la dernière recherche
+     * @returns {Array}
+     */
+    getResults() {
+        return [...results];
+    },
+
+    /**
+     * Retourne la requête courante
+     * @returns {string}
+     */
+    getQuery() {
+        return currentQuery;
+    },
+
+    /**
+     * Retourne l'index du résultat affiché
+     * @returns {number}
+     */
+    getCurrentIndex() {
+        return currentIndex;
+    },
+
+    /**
+     * Affiche un résultat : navigation vers son CFI puis surlignage
+     * @param {number} index - Index du résultat
+     * @returns {Promise<void>}
+     */
+    async goTo(index) {
+        const result = results[index];
+        const reader = getReader();
+        if (!result || !reader) return;
+
+        // Premier résultat affiché : la position de lecture entre dans l'historique
+        if (currentIndex === -1) ReaderEngine.recordJump();
+
+        currentIndex = index;
+        clearActiveHit();
+
+        await reader.goToLocation(result.cfi);
+
+        const rendition = reader.rendition;
+        if (rendition) {
+            try {
+                rendition.annotations.highlight(result.cfi, {}, null, 'search-hit', {
+                    'fill': Config.BOOK_SEARCH_HIT_COLOR,
+                    'fill-opacity': '0.45',
+                    'mix-blend-mode': 'normal'
+                });
+                activeHit = { rendition, cfi: result.cfi };
+            } catch (error) {
+                logger.debug('Search hit highlight failed', error);
+            }
+        }
+
+        EventBus.emit(Events.SEARCH_NAVIGATED, { index, total: results.length, result });
+    },
+
+    /**
+     * Résultat suivant (boucle en fin de liste)
+     */
+    next() {
+        if (results.length === 0) return;
+        return this.goTo((currentIndex + 1) % results.length);
+    },
+
+    /**
+     * Résultat précédent (boucle en début de liste)
+     */
+    prev() {
+        if (results.length === 0) return;
+        return this.goTo((currentIndex - 1 + results.length) % results.length);
+    }
+};
+
+export default BookSearch;
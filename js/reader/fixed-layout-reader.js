@@ -0,0 +1,352 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/FIXED-LAYOUT-READER.JS
+ * Mode de lecture des livres à mise en page fixe (BD, albums, livres de
+ * cuisine : rendition:layout="pre-paginated").
+ * Chaque page (ou double page) est ajustée à l'écran par epub.js, sans les
+ * styles de lecture (police, marges, taille des images). Zoom et déplacement
+ * dans la page zoomée.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { BaseReader } from './base-reader.js';
+import { ReadingDirection } from './reading-direction.js';
+import { ContentSecurity } from '../core/content-security.js';
+import { PrintPages } from './print-pages.js';
+import { Config } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { UIManager } from '../ui/ui-manager.js';
+import { EventBus } from '../events/event-bus.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('FixedLayoutReader');
+
+/**
+ * Déplacement minimal (px) pour qu'un glisser ne soit plus un tap
+ * @private
+ */
+const DRAG_THRESHOLD = 10;
+
+/**
+ * Durée (ms) pendant laquelle le clic de fin de glisser est ignoré
+ * @private
+ */
+const CLICK_SUPPRESS_DELAY = 400;
+
+/**
+ * Mode double page selon rendition:spread et l'orientation de l'écran
+ * ('none' : toujours une page, 'both' : toujours deux, 'landscape'/'auto' :
+ * deux pages en paysage uniquement)
+ * @param {string} declared - Valeur rendition:spread de l'OPF
+ * @returns {{spread: string, minWidth: number}}
+ * @private
+ */
+function spreadFor(declared) {
+    if (declared === 'none') return { spread: 'none', minWidth: 0 };
+    if (declared === 'both' || declared === 'portrait') return { spread: 'always', minWidth: 0 };
+
+    const landscape = window.innerWidth > window.innerHeight;
+    return landscape && !UIManager.isMobile()
+        ? { spread: 'auto', minWidth: 0 }
+        : { spread: 'none', minWidth: 0 };
+}
+
+/**
+ * FixedLayoutReader - Mode de lecture à mise en page fixe
+ */
+export class FixedLayoutReader extends BaseReader {
+    constructor() {
+        super();
+        this.name = 'FixedLayoutReader';
+        this.flow = 'paginated';
+        this.reflowable = false;
+        this._zoom = Config.FIXED_LAYOUT_ZOOM.MIN;
+        this._spread = null;
+        this._resizedHandler = null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CRÉATION DU RENDU
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Crée le rendu epub.js (epub.js ajuste chaque page à l'écran et place
+     * les pages page-spread-left/right de part et d'autre de la reliure)
+     * @returns {ePub.Rendition}
+     */
+    _createRendition() {
+        const { spread, minWidth } = spreadFor(this.book.package?.metadata?.spread);
+        this._spread = spread;
+
+        return this.book.renderTo('viewer', {
+            flow: 'paginated',
+            layout: 'pre-paginated',
+            width: '100%',
+            height: '100%',
+            spread,
+            minSpreadWidth: minWidth,
+            direction: ReadingDirection.get(),
+            allowScriptedContent: ContentSecurity.allowsScripts()
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // CONFIGURATION SPÉCIFIQUE
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Configuration spécifique à la mise en page fixe
+     */
+    _setupModeSpecific() {
+        // Les zones de tap (reader:prev / reader:next) tournent la page via
+        // ReaderEngine.getFlow(), toujours 'paginated' ici
+        UIManager.updateReaderMode('paginated');
+
+        // Double page selon l'orientation (rotation, redimensionnement)
+        this._resizedHandler = () => this._updateSpread();
+        this.rendition.on('resized', this._resizedHandler);
+
+        // Zoom (Ctrl + molette, pincement du pavé tactile) et déplacement
+        this.rendition.hooks.content.register((contents) => this._attachZoom(contents));
+
+        this._setZoom(Config.FIXED_LAYOUT_ZOOM.MIN);
+    }
+
+    /**
+     * Détruit le lecteur et nettoie les ressources
+     */
+    async destroy() {
+        if (this._resizedHandler) {
+            this.rendition?.off('resized', this._resizedHandler);
+            this._resizedHandler = null;
+        }
+
+        this._setZoom(Config.FIXED_LAYOUT_ZOOM.MIN);
+        await super.destroy();
+    }
+
+    /**
+     * Recalcule le mode double page après un changement de taille
+     * @private
+     */
+    _updateSpread() {
+        if (!this.rendition) return;
+
+        const { spread, minWidth } = spreadFor(this.book?.package?.metadata?.spread);
+        if (spread === this._spread) return;
+
+        this._spread = spread;
+        this.rendition.spread(spread, minWidth);
+        logger.debug(`Spread: ${spread}`);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // STYLES
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Aucun style de lecture : la page est affichée telle que l'éditeur l'a
+     * composée (police, marges et taille des images comprises)
+     * @returns {Object}
+     */
+    generateReadingStyles() {
+        return {};
+    }
+
+    /**
+     * La taille du texte est figée dans la page : les boutons A- / A+ zooment
+     * @param {number} delta - Changement demandé (seul le signe compte)
+     */
+    changeFontSize(delta) {
+        const step = Config.FIXED_LAYOUT_ZOOM.STEP;
+        this.zoom(delta > 0 ? step : -step);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // ZOOM ET DÉPLACEMENT
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Zoome ou dézoome autour du centre de l'écran
+     * @param {number} delta - Variation du zoom (%)
+     */
+    zoom(delta) {
+        const { MIN, MAX } = Config.FIXED_LAYOUT_ZOOM;
+        this._setZoom(Math.min(MAX, Math.max(MIN, this._zoom + delta)));
+    }
+
+    /**
+     * Revient à la page entière
+     */
+    resetZoom() {
+        if (this._zoom !== Config.FIXED_LAYOUT_ZOOM.MIN) {
+            this._setZoom(Config.FIXED_LAYOUT_ZOOM.MIN);
+        }
+    }
+
+    /**
+     * Applique un niveau de zoom en gardant le centre de l'écran en place
+     * @param {number} zoom - Zoom (%)
+     * @private
+     */
+    _setZoom(zoom) {
+        const viewer = UIManager.get('viewer');
+        const container = viewer?.querySelector('.epub-container');
+        const previous = this._zoom / 100;
+        const scale = zoom / 100;
+        const zoomed = scale > 1;
+
+        this._zoom = zoom;
+        StateManager.set('fixedLayoutZoom', zoom);
+        if (!viewer) return;
+
+        const centerX = (viewer.scrollLeft + viewer.clientWidth / 2) / previous;
+        const centerY = (viewer.scrollTop + viewer.clientHeight / 2) / previous;
+
+        viewer.classList.toggle('is-zoomed', zoomed);
+        if (container) {
+            container.style.transformOrigin = '0 0';
+            container.style.transform = zoomed ? `scale(${scale})` : '';
+        }
+
+        viewer.scrollLeft = zoomed ? centerX * scale - viewer.clientWidth / 2 : 0;
+        viewer.scrollTop = zoomed ? centerY * scale - viewer.clientHeight / 2 : 0;
+
+        // Page zoomée : le doigt déplace la page au lieu de faire défiler le navigateur
+        this.rendition?.getContents().forEach(contents => {
+            const root = contents.document?.documentElement;
+            if (root) root.style.touchAction = zoomed ? 'none' : '';
+        });
+    }
+
+    /**
+     * Attache le zoom (Ctrl + molette) et le déplacement à la souris ou au
+     * doigt dans une page
+     * @param {Object} contents - Contenu epub.js (iframe)
+     * @private
+     */
+    _attachZoom(contents) {
+        const doc = contents.document;
+        if (!doc) return;
+
+        if (this._zoom > Config.FIXED_LAYOUT_ZOOM.MIN) {
+            doc.documentElement.style.touchAction = 'none';
+        }
+
+        doc.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey) return;
+            e.preventDefault();
+            this.zoom(e.deltaY < 0 ? Config.FIXED_LAYOUT_ZOOM.STEP : -Config.FIXED_LAYOUT_ZOOM.STEP);
+            UIManager.updateDropdownFontSize();
+        }, { passive: false });
+
+        // Coordonnées écran : l'iframe se déplace avec la page pendant le glisser
+        let drag = null;
+
+        doc.addEventListener('pointerdown', (e) => {
+            if (this._zoom <= Config.FIXED_LAYOUT_ZOOM.MIN || !e.isPrimary) return;
+            const viewer = UIManager.get('viewer');
+            drag = {
+                x: e.screenX,
+                y: e.screenY,
+                left: viewer.scrollLeft,
+                top: viewer.scrollTop,
+                moved: false
+            };
+        });
+
+        doc.addEventListener('pointermove', (e) => {
+            if (!drag) return;
+            const dx = e.screenX - drag.x;
+            const dy = e.screenY - drag.y;
+            if (Math.abs(dx) > DRAG_THRESHOLD || Math.abs(dy) > DRAG_THRESHOLD) drag.moved = true;
+
+            const viewer = UIManager.get('viewer');
+            viewer.scrollLeft = drag.left - dx;
+            viewer.scrollTop = drag.top - dy;
+        });
+
+        const endDrag = () => {
+            // Le clic qui suit un déplacement ne doit pas tourner la page
+            // (capture sur window : avant les écouteurs du document)
+            if (drag?.moved) {
+                const swallow = (e) => {
+                    e.preventDefault();
+                    e.stopImmediatePropagation();
+                };
+                contents.window.addEventListener('click', swallow, true);
+                setTimeout(() => contents.window?.removeEventListener('click', swallow, true), CLICK_SUPPRESS_DELAY);
+            }
+            drag = null;
+        };
+
+        doc.addEventListener('pointerup', endDrag);
+        doc.addEventListener('pointercancel', () => {
+            drag = null;
+        });
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // NAVIGATION PAR PAGES
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Va à la page (ou double page) précédente
+     */
+    prevPage() {
+        if (!this.rendition) return;
+        return this.rendition.prev();
+    }
+
+    /**
+     * Va à la page (ou double page) suivante
+     */
+    nextPage() {
+        if (!this.rendition) return;
+        return this.rendition.next();
+    }
+
+    /**
+     * Nouvelle page : retour à la page entière
+     * @param {Object} location
+     * @protected
+     */
+    _onRelocated(location) {
+        this.resetZoom();
+        super._onRelocated(location);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PROGRESSION
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Une page du livre = un document de la spine (pas de locations : les
+     * pages sont souvent des images sans texte)
+     * @param {Object} location
+     * @protected
+     */
+    _updateProgressIndicator(location) {
+        if (!location?.start) return;
+
+        const total = this.book?.spine?.length || 0;
+        const first = location.start.index + 1;
+        const last = (location.end?.index ?? location.start.index) + 1;
+        const percent = total ? Math.round((last / total) * 100) : 0;
+        StateManager.set('readerProgress', percent);
+
+        const ui = (typeof UIManager.getUIInstance === 'function') ? UIManager.getUIInstance() : null;
+        if (ui && typeof ui.updateProgress === 'function') {
+            ui.updateProgress(percent);
+        }
+        if (ui && typeof ui.updateProgressText === 'function') {
+            const pages = last > first ? `Pages ${first}-${last}` : `Page ${first}`;
+            const printPage = PrintPages.pageAt(location.start.cfi);
+            if (printPage) {
+                ui.updateProgressText(`Page imprimée ${printPage} · ${percent}%`);
+            } else {
+                ui.updateProgressText(total ? `${pages} sur ${total}` : `${percent}%`);
+            }
+        }
+    }
+}
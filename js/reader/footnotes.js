@@ -0,0 +1,306 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FOOTNOTES.JS
+ * Notes de bas de page et de fin : détection des appels de note (EPUB3
+ * epub:type="noteref", heuristiques pour les EPUB2) et extraction du texte
+ * de la note, affiché dans un pop-over au lieu de quitter la page.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { EventBus, Events } from '../events/event-bus.js';
+import { getBook } from './reader-factory.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('Footnotes');
+
+/**
+ * Espace de noms des attributs epub:*
+ * @private
+ */
+const OPS_NS = 'http://www.idpf.org/2007/ops';
+
+/**
+ * Valeurs epub:type / role d'un élément de note
+ * @private
+ */
+const NOTE_TYPES = ['footnote', 'endnote', 'rearnote', 'note', 'doc-footnote', 'doc-endnote'];
+
+/**
+ * Classes ou IDs évoquant une note (EPUB2)
+ * @private
+ */
+const NOTE_HINT = /(^|[^a-z])(foot|end)?notes?([^a-z]|$)|(^|[^a-z])(fn|ftn|fnref|ftnref|noteref|nt)\d*([^a-z]|$)/i;
+
+/**
+ * Texte d'un appel de note : 1, [12], (iv), *, †...
+ * @private
+ */
+const NOTE_LABEL = /^[([]?([0-9]{1,4}|[ivxlc]{1,6}|[a-z]|[*†‡§¶]{1,3})[)\]]?$/i;
+
+/**
+ * Fichiers de notes (EPUB2) : notes.xhtml, footnotes.html...
+ * @private
+ */
+const NOTES_FILE = /(foot|end)?notes?[^/]*$/i;
+
+/**
+ * Éléments de bloc pouvant contenir une note
+ * @private
+ */
+const NOTE_BLOCKS = 'aside, li, dd, p, div, section, blockquote, td';
+
+/**
+ * Éléments retirés du contenu affiché
+ * @private
+ */
+const UNSAFE_ELEMENTS = 'script, style, link, iframe, object, embed, form, input, button, textarea, select';
+
+/**
+ * Note affichée ({ href, label }) ou null
+ * @private
+ */
+let activeNote = null;
+
+/**
+ * Valeurs epub:type et role d'un élément
+ * @param {Element} el
+ * @returns {string[]}
+ * @private
+ */
+function semanticTypes(el) {
+    if (!el?.getAttribute) return [];
+    const epubType = el.getAttributeNS?.(OPS_NS, 'type') || el.getAttribute('epub:type') || '';
+    return `${epubType} ${el.getAttribute('role') || ''}`.trim().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Vérifie si un élément est (ou est dans) une note
+ * @param {Element} el
+ * @returns {Element|null} Élément de note
+ * @private
+ */
+function closestNote(el) {
+    for (let node = el; node && node.nodeType === 1; node = node.parentNode) {
+        if (semanticTypes(node).some(type => NOTE_TYPES.includes(type))) return node;
+    }
+    return null;
+}
+
+/**
+ * Résout le lien d'un chapitre comme epub.js (relativement à la balise <base>)
+ * @param {Document} doc - Document du chapitre
+ * @param {string} href - Attribut href du lien
+ * @returns {{path: string, id: string}|null}
+ * @private
+ */
+function resolveLink(doc, href) {
+    try {
+        const base = doc.querySelector('base')?.getAttribute('href') || '';
+        const url = new URL(href, new URL(base, 'http://epub.local/'));
+        return {
+            path: decodeURIComponent(url.pathname),
+            id: decodeURIComponent(url.hash.slice(1))
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Chemin du chapitre affiché
+ * @param {Document} doc
+ * @returns {string}
+ * @private
+ */
+function documentPath(doc) {
+    return resolveLink(doc, '#')?.path || '';
+}
+
+/**
+ * Trouve l'élément contenant le texte d'une note à partir de sa cible
+ * (la cible est souvent une ancre vide ou le numéro de la note)
+ * @param {Element} target
+ * @returns {Element}
+ * @private
+ */
+function noteContainer(target) {
+    const note = closestNote(target);
+    if (note) return note;
+
+    if (target.matches(NOTE_BLOCKS) && target.textContent.trim().length > 3) return target;
+    return target.closest(NOTE_BLOCKS) || target;
+}
+
+/**
+ * Copie le contenu d'une note dans le document de l'application, sans
+ * scripts, liens ni ressources externes
+ * @param {Element} note
+ * @param {string} refId - ID de l'appel de note (lien retour à retirer)
+ * @returns {string} HTML
+ * @private
+ */
+function sanitizeNote(note, refId) {
+    const container = document.createElement('div');
+    container.appendChild(document.importNode(note, true));
+
+    container.querySelectorAll(UNSAFE_ELEMENTS).forEach(el => el.remove());
+
+    container.querySelectorAll('a').forEach(link => {
+        const href = link.getAttribute('href') || '';
+        const isBacklink = semanticTypes(link).some(type => ['backlink', 'doc-backlink'].includes(type))
+            || (refId && href.endsWith(`#${refId}`))
+            || /^[↩↑⤴^]+$/.test(link.textContent.trim());
+
+        if (isBacklink) {
+            link.remove();
+            return;
+        }
+        const span = document.createElement('span');
+        span.append(...link.childNodes);
+        link.replaceWith(span);
+    });
+
+    container.querySelectorAll('img, image').forEach(img => {
+        const src = img.getAttribute('src') || img.getAttribute('xlink:href') || '';
+        if (!/^(blob|data):/.test(src)) img.remove();
+    });
+
+    container.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            if (/^on/i.test(attr.name) || ['id', 'style'].includes(attr.name)) {
+                el.removeAttribute(attr.name);
+            }
+        });
+    });
+
+    return container.innerHTML.trim();
+}
+
+/**
+ * Position d'un élément du chapitre dans la page
+ * @param {Object} contents - Contenu epub.js
+ * @param {Element} el
+ * @returns {{top: number, left: number, bottom: number, width: number}}
+ * @private
+ */
+function parentRect(contents, el) {
+    const rect = el.getBoundingClientRect();
+    const frame = contents.window?.frameElement;
+    const offset = frame ? frame.getBoundingClientRect() : { top: 0, left: 0 };
+    return {
+        top: offset.top + rect.top,
+        left: offset.left + rect.left,
+        bottom: offset.top + rect.bottom,
+        width: rect.width
+    };
+}
+
+/**
+ * Footnotes - Pop-over des notes de bas de page
+ */
+export const Footnotes = {
+    /**
+     * Initialise le module
+     */
+    init() {
+        EventBus.on(Events.READER_CLOSED, () => this.close());
+        logger.info('Footnotes initialized');
+    },
+
+    /**
+     * Vérifie si un lien est un appel de note
+     * @param {HTMLAnchorElement} link - Lien du chapitre
+     * @returns {boolean}
+     */
+    isNoteRef(link) {
+        const href = link?.getAttribute('href');
+        if (!href || !href.includes('#') || /^[a-z]+:/i.test(href)) return false;
+
+        const types = semanticTypes(link);
+        if (types.includes('noteref') || types.includes('doc-noteref')) return true;
+
+        // Liens retour d'une note vers son appel
+        if (types.includes('backlink') || types.includes('doc-backlink') || closestNote(link)) return false;
+
+        // ─── Heuristiques EPUB2 ───
+        const sup = link.closest('sup') || link.querySelector('sup');
+        const hints = [link, sup, link.parentElement]
+            .filter(Boolean)
+            .map(el => `${el.getAttribute('class') || ''} ${el.getAttribute('id') || ''}`)
+            .join(' ');
+        if (NOTE_HINT.test(hints)) return true;
+
+        if (!NOTE_LABEL.test(link.textContent.trim())) return false;
+
+        const [path, id] = href.split('#');
+        return Boolean(sup) || NOTE_HINT.test(id) || (path && NOTES_FILE.test(path));
+    },
+
+    /**
+     * Affiche la note ciblée par un appel de note
+     * @param {Object} contents - Contenu epub.js du chapitre
+     * @param {HTMLAnchorElement} link - Appel de note
+     * @returns {Promise<boolean>} false si la note est introuvable
+     */
+    async open(contents, link) {
+        const doc = contents?.document;
+        const book = getBook();
+        const target = doc && resolveLink(doc, link.getAttribute('href'));
+        if (!book || !target?.id) return false;
+
+        const href = book.path.relative(target.path);
+        const section = book.spine.get(href);
+
+        try {
+            let html = '';
+            if (target.path === documentPath(doc)) {
+                const el = doc.getElementById(target.id);
+                if (el) html = sanitizeNote(noteContainer(el), link.getAttribute('id'));
+            } else if (section) {
+                await section.load(book.load.bind(book));
+                try {
+                    const el = section.document?.getElementById(target.id);
+                    if (el) html = sanitizeNote(noteContainer(el), link.getAttribute('id'));
+                } finally {
+                    section.unload();
+                }
+            }
+
+            if (!html) return false;
+
+            activeNote = { href: `${section?.href || href}#${target.id}`, label: link.textContent.trim() };
+            EventBus.emit(Events.FOOTNOTE_OPENED, { ...activeNote, html, rect: parentRect(contents, link) });
+            return true;
+        } catch (error) {
+            logger.warn(`Note not found: ${href}#${target.id}`, error);
+            return false;
+        }
+    },
+
+    /**
+     * Ferme la note affichée
+     */
+    close() {
+        if (!activeNote) return;
+        activeNote = null;
+        EventBus.emit(Events.FOOTNOTE_CLOSED);
+    },
+
+    /**
+     * Vérifie si une note est affichée
+     * @returns {boolean}
+     */
+    isOpen() {
+        return activeNote !== null;
+    },
+
+    /**
+     * Lien de la note affichée (pour s'y rendre)
+     * @returns {string|null}
+     */
+    getActiveHref() {
+        return activeNote?.href || null;
+    }
+};
+
+export default Footnotes;
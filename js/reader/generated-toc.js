@@ -0,0 +1,153 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/GENERATED-TOC.JS
+ * Sommaire généré pour les livres sans sommaire exploitable (NCX vide ou
+ * réduit à une entrée) : titres h1 à h3 de chaque document de la spine, à
+ * défaut son <title>. Les documents sont lus un par un en arrière-plan.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('GeneratedToc');
+
+/**
+ * Identifiant de la génération en cours (annule les générations obsolètes)
+ * @private
+ */
+let buildToken = 0;
+
+/**
+ * Rend la main au navigateur (évite de figer l'interface)
+ * @returns {Promise<void>}
+ * @private
+ */
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * Libellé d'entrée : espaces normalisés, longueur limitée
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function cleanLabel(text) {
+    const label = String(text || '').replace(/\s+/g, ' ').trim();
+    const max = Config.GENERATED_TOC_LABEL_LENGTH;
+    return label.length > max ? `${label.slice(0, max - 1)}…` : label;
+}
+
+/**
+ * Liens (href) des entrées du sommaire epub.js
+ * @param {Array} items
+ * @param {Array<string>} hrefs
+ * @returns {Array<string>}
+ * @private
+ */
+function collectHrefs(items = [], hrefs = []) {
+    items.forEach(item => {
+        if (item.href) hrefs.push(item.href);
+        collectHrefs(item.subitems, hrefs);
+    });
+    return hrefs;
+}
+
+/**
+ * Entrées d'un document de la spine : ses titres h1 à h3, sinon son titre
+ * Un titre sans id n'est atteignable qu'en tête de document.
+ * @param {Document} doc
+ * @param {Object} section - Section epub.js
+ * @param {string} bookTitle - Titre du livre (souvent répété dans <title>)
+ * @returns {Array<{label: string, href: string, level: number}>}
+ * @private
+ */
+function readSection(doc, section, bookTitle) {
+    const entries = [];
+
+    doc.querySelectorAll('h1, h2, h3').forEach(heading => {
+        const label = cleanLabel(heading.textContent);
+        if (!label) return;
+
+        const level = parseInt(heading.localName.slice(1), 10);
+        if (heading.id) {
+            entries.push({ label, href: `${section.href}#${heading.id}`, level });
+        } else if (entries.length === 0) {
+            entries.push({ label, href: section.href, level });
+        }
+    });
+    if (entries.length) return entries;
+
+    const title = cleanLabel(doc.querySelector('title')?.textContent);
+    const label = title && title !== bookTitle ? title : `Section ${section.index + 1}`;
+    return [{ label, href: section.href, level: 1 }];
+}
+
+/**
+ * GeneratedToc - Sommaire généré depuis le contenu du livre
+ */
+export const GeneratedToc = {
+    /**
+     * Indique si le sommaire du livre est inutilisable : moins de deux
+     * entrées, ou toutes vers le même document d'un livre qui en a plusieurs
+     * @param {ePub.Book} book
+     * @param {Array} toc - Sommaire epub.js
+     * @returns {boolean}
+     */
+    isDegenerate(book, toc) {
+        const linear = (book?.spine?.spineItems || []).filter(item => item.linear);
+        if (linear.length < 2) return false;
+
+        const hrefs = collectHrefs(toc);
+        if (hrefs.length < 2) return true;
+
+        // Liens non résolus (sommaire dans un autre dossier) : dans le doute,
+        // le sommaire du livre est conservé
+        const sections = hrefs.map(href => book.spine.get(href));
+        if (sections.some(section => !section)) return false;
+        return new Set(sections.map(section => section.index)).size < 2;
+    },
+
+    /**
+     * Génère le sommaire à partir des titres des documents linéaires
+     * @param {ePub.Book} book
+     * @returns {Promise<Array<{label: string, href: string, level: number, generated: boolean}>>}
+     *   Entrées à plat, vide si la génération a été annulée
+     */
+    async build(book) {
+        const token = ++buildToken;
+        const bookTitle = cleanLabel(book?.packaging?.metadata?.title);
+        const sections = (book?.spine?.spineItems || []).filter(item => item.linear);
+        const entries = [];
+
+        for (const section of sections) {
+            try {
+                await section.load(book.load.bind(book));
+                if (token !== buildToken) return [];
+                if (section.document) entries.push(...readSection(section.document, section, bookTitle));
+            } catch (error) {
+                logger.debug(`TOC skipped section ${section.href}`, error);
+            } finally {
+                section.unload();
+            }
+
+            await yieldToBrowser();
+            if (token !== buildToken) return [];
+        }
+
+        // Niveaux relatifs : le plus haut niveau trouvé devient le niveau 1
+        const top = Math.min(...entries.map(entry => entry.level));
+        logger.info(`Generated TOC: ${entries.length} entries`);
+        return entries.map(entry => ({ ...entry, level: entry.level - top + 1, generated: true }));
+    },
+
+    /**
+     * Annule la génération en cours (livre fermé)
+     */
+    cancel() {
+        buildToken++;
+    }
+};
+
+export default GeneratedToc;
@@ -8,11 +8,13 @@
 export { BaseReader } from './base-reader.js';
 export { ScrollReader } from './scroll-reader.js';
 export { PagedReader } from './paged-reader.js';
+export { FixedLayoutReader } from './fixed-layout-reader.js';
 export { 
     default as ReaderFactory,
     getFlow,
     isScrollMode,
     isPagedMode,
+    isFixedLayout,
     createReader,
     getReader,
     setBook,
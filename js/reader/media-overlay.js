@@ -0,0 +1,625 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/MEDIA-OVERLAY.JS
+ * Narration des livres EPUB3 à "media overlays" (fichiers SMIL du manifeste) :
+ * l'audio est lu depuis l'archive, passage par passage, en appliquant au
+ * passage lu la classe -epub-media-overlay-active (ou celle déclarée par le
+ * livre, media:active-class). La narration enchaîne les chapitres et fait
+ * avancer le lecteur (BaseReader.goToLocation).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { getBook, getReader } from './reader-factory.js';
+import { ReadAloud } from './read-aloud.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('MediaOverlay');
+
+/**
+ * ID de la balise <style> injectée dans les chapitres narrés
+ * @private
+ */
+const STYLE_ID = 'media-overlay-style';
+
+/**
+ * Écart (secondes) en dessous duquel l'audio n'est pas repositionné entre
+ * deux passages consécutifs
+ * @private
+ */
+const SEEK_TOLERANCE = 0.25;
+
+/**
+ * Narration de chaque section de la spine (index → chemin du fichier SMIL)
+ * @private
+ */
+let overlays = new Map();
+
+/**
+ * Classe du passage lu et classe du document pendant la lecture
+ * @private
+ */
+let activeClass = Config.MEDIA_OVERLAY_ACTIVE_CLASS;
+let playbackClass = '';
+
+/**
+ * Passages de la section narrée ({ id, audio, begin, end })
+ * @private
+ */
+let fragments = [];
+
+/**
+ * Section narrée et passage en cours
+ * @private
+ */
+let sectionIndex = -1;
+let fragmentIndex = 0;
+
+/**
+ * État de la narration : 'idle', 'playing' ou 'paused'
+ * @private
+ */
+let status = 'idle';
+
+/**
+ * Vitesse de lecture
+ * @private
+ */
+let rate = 1;
+
+/**
+ * Lecteur audio (créé à la première lecture)
+ * @private
+ */
+let audio = null;
+
+/**
+ * Changement de passage en cours (l'audio n'est pas encore positionné)
+ * @private
+ */
+let switching = false;
+
+/**
+ * Identifiant de la narration en cours (ignore les chargements obsolètes)
+ * @private
+ */
+let playToken = 0;
+
+/**
+ * Passage mis en évidence ({ element, root })
+ * @private
+ */
+let active = null;
+
+/**
+ * Comparateur de CFI epub.js
+ * @private
+ */
+let cfiComparator = null;
+
+/**
+ * Convertit une valeur d'horloge SMIL en secondes
+ * ("0:01:02.5", "01:02.5", "62.5s", "1500ms", "2min", "1h", "62.5")
+ * @param {string|null} value
+ * @returns {number|null}
+ * @private
+ */
+function parseClock(value) {
+    const text = (value || '').trim();
+    if (!text) return null;
+
+    const timed = text.match(/^(\d+(?:\.\d+)?)(h|min|s|ms)?$/);
+    if (timed) {
+        const units = { h: 3600, min: 60, s: 1, ms: 0.001 };
+        return parseFloat(timed[1]) * units[timed[2] || 's'];
+    }
+
+    const parts = text.split(':').map(Number);
+    if (parts.length > 3 || parts.some(isNaN)) return null;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+/**
+ * Résout un lien relatif à un fichier de l'archive
+ * @param {string} base - Chemin absolu du fichier (ex : /OEBPS/smil/ch1.smil)
+ * @param {string} href
+ * @returns {{path: string, id: string}|null}
+ * @private
+ */
+function resolvePath(base, href) {
+    if (!href) return null;
+    try {
+        const url = new URL(href, new URL(base, 'http://epub.local/'));
+        return {
+            path: decodeURIComponent(url.pathname),
+            id: decodeURIComponent(url.hash.slice(1))
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Lit les passages (<par>) du fichier SMIL d'une section
+ * @param {ePub.Book} book
+ * @param {number} index - Index de la section dans la spine
+ * @returns {Promise<Array<{id: string, audio: string, begin: number, end: number|null}>>}
+ * @private
+ */
+async function loadFragments(book, index) {
+    const path = overlays.get(index);
+    if (!path) return [];
+
+    // Les fichiers .smil ne sont pas analysés par epub.js
+    let doc = await book.load(path);
+    if (typeof doc === 'string') doc = new DOMParser().parseFromString(doc, 'application/xml');
+
+    return Array.from(doc.getElementsByTagNameNS('*', 'par')).map(par => {
+        const text = par.getElementsByTagNameNS('*', 'text')[0];
+        const clip = par.getElementsByTagNameNS('*', 'audio')[0];
+        const target = resolvePath(path, text?.getAttribute('src'));
+        const source = resolvePath(path, clip?.getAttribute('src'));
+        if (!target?.id || !source?.path) return null;
+
+        return {
+            id: target.id,
+            audio: source.path,
+            begin: parseClock(clip.getAttribute('clipBegin')) ?? 0,
+            end: parseClock(clip.getAttribute('clipEnd'))
+        };
+    }).filter(Boolean);
+}
+
+/**
+ * Section narrée suivante ou précédente
+ * @param {number} index - Section de départ (exclue)
+ * @param {number} step - 1 (suivante) ou -1 (précédente)
+ * @returns {number|null}
+ * @private
+ */
+function nextSection(index, step) {
+    const indexes = [...overlays.keys()].sort((a, b) => a - b);
+    return step > 0
+        ? indexes.find(i => i > index) ?? null
+        : [...indexes].reverse().find(i => i < index) ?? null;
+}
+
+/**
+ * Contenu (iframe) affiché d'une section
+ * @param {BaseReader} reader
+ * @param {number} index
+ * @returns {Object|null}
+ * @private
+ */
+function findContents(reader, index) {
+    return reader.rendition?.getContents().find(c => c.sectionIndex === index) || null;
+}
+
+/**
+ * Premier passage visible à partir d'une position
+ * @param {Object} contents - Contenu epub.js (iframe)
+ * @param {string} cfi - Début de la page affichée
+ * @returns {number}
+ * @private
+ */
+function firstVisibleFragment(contents, cfi) {
+    let start;
+    try {
+        start = contents.range(cfi);
+    } catch (e) {
+        return 0;
+    }
+
+    const index = fragments.findIndex(fragment => {
+        const el = contents.document.getElementById(fragment.id);
+        return el && start.comparePoint(el, el.childNodes.length) >= 0;
+    });
+    return Math.max(0, index);
+}
+
+/**
+ * Met en évidence le passage lu
+ * @param {Object} contents
+ * @param {Element} element
+ * @private
+ */
+function highlightFragment(contents, element) {
+    clearFragment();
+    const root = contents.document.documentElement;
+    element.classList.add(activeClass);
+    if (playbackClass) root.classList.add(playbackClass);
+    active = { element, root };
+}
+
+/**
+ * Retire la mise en évidence du passage lu
+ * @private
+ */
+function clearFragment() {
+    if (!active) return;
+    active.element.classList.remove(activeClass);
+    if (playbackClass) active.root.classList.remove(playbackClass);
+    active = null;
+}
+
+/**
+ * MediaOverlay - Narration synchronisée des livres EPUB3
+ */
+export const MediaOverlay = {
+    /**
+     * Initialise le module
+     */
+    init() {
+        EventBus.on(Events.READER_CLOSED, () => {
+            this.stop();
+            overlays = new Map();
+        });
+        EventBus.on(Events.READER_FLOW_CHANGED, () => this.stop());
+        EventBus.on(Events.READ_ALOUD_STATE, (state) => {
+            if (state.status === 'playing') this.pause();
+        });
+
+        logger.info('MediaOverlay initialized');
+    },
+
+    /**
+     * Repère les narrations du livre (après book.ready)
+     * @param {ePub.Book} book
+     * @returns {Promise<boolean>} true si le livre est narré
+     */
+    async load(book) {
+        this.stop();
+        overlays = new Map();
+        activeClass = Config.MEDIA_OVERLAY_ACTIVE_CLASS;
+        playbackClass = '';
+
+        const manifest = book?.packaging?.manifest || {};
+        (book?.spine?.spineItems || []).forEach(section => {
+            const overlay = manifest[manifest[section.idref]?.overlay];
+            if (overlay?.href) overlays.set(section.index, book.path.resolve(overlay.href));
+        });
+        if (overlays.size === 0) return false;
+
+        // Classes déclarées par le livre (métadonnées de l'OPF, ignorées par epub.js)
+        try {
+            const opf = await book.load(book.path.toString());
+            Array.from(opf?.getElementsByTagNameNS?.('*', 'meta') || []).forEach(meta => {
+                const value = meta.textContent.trim();
+                const property = meta.getAttribute('property');
+                if (!value) return;
+                if (property === 'media:active-class') activeClass = value;
+                if (property === 'media:playback-active-class') playbackClass = value;
+            });
+        } catch (error) {
+            logger.debug('OPF metadata unavailable', error);
+        }
+
+        logger.info(`${overlays.size} narrated sections`);
+        return true;
+    },
+
+    /**
+     * Attache le surlignage par défaut à une rendition : le livre peut
+     * définir le sien pour la classe du passage lu, qui l'emporte
+     * @param {ePub.Rendition} rendition
+     */
+    attach(rendition) {
+        if (!rendition) return;
+        rendition.hooks.content.register((contents) => this.applyTo(contents));
+    },
+
+    /**
+     * Injecte le surlignage par défaut dans un chapitre narré
+     * @param {Object} contents - Contenu epub.js (iframe)
+     */
+    applyTo(contents) {
+        const doc = contents?.document;
+        if (!doc?.head || !overlays.has(contents.sectionIndex) || doc.getElementById(STYLE_ID)) return;
+
+        const style = doc.createElement('style');
+        style.id = STYLE_ID;
+        style.textContent = `:where(.${CSS.escape(activeClass)}) { background-color: ${Config.MEDIA_OVERLAY_COLOR}; border-radius: 2px; }`;
+        doc.head.appendChild(style);
+    },
+
+    /**
+     * Indique si le livre ouvert est narré
+     * @returns {boolean}
+     */
+    hasOverlays() {
+        return overlays.size > 0;
+    },
+
+    /**
+     * Retourne l'état courant de la narration
+     * @returns {{status: string, rate: number}}
+     */
+    getState() {
+        return { status, rate };
+    },
+
+    /**
+     * Lance la narration à partir de la page affichée, ou la reprend
+     */
+    async play() {
+        if (!this.hasOverlays() || status === 'playing') return;
+
+        const reader = getReader();
+        if (!reader?.isActive()) return;
+
+        ReadAloud.stop();
+
+        if (status === 'paused' && fragments.length > 0) {
+            this._setStatus('playing');
+            this._playFragment();
+            return;
+        }
+
+        this._setStatus('playing');
+        const token = playToken;
+        const location = reader.rendition.currentLocation()?.start;
+        const displayed = location?.index ?? 0;
+        const start = overlays.has(displayed) ? displayed : nextSection(displayed, 1);
+
+        if (start === null || !(await this._openFrom(start, 1))) {
+            if (token !== playToken) return;
+            this.stop();
+            EventBus.emit('status-message', '🎧 Pas de narration à partir de cette page');
+            return;
+        }
+        if (token !== playToken) return;
+
+        // Section affichée : premier passage visible
+        const contents = sectionIndex === displayed ? findContents(reader, displayed) : null;
+        if (contents && location?.cfi) fragmentIndex = firstVisibleFragment(contents, location.cfi);
+
+        EventBus.emit('status-message', '🎧 Narration du livre');
+        this._playFragment();
+    },
+
+    /**
+     * Met la narration en pause (le passage reste en évidence)
+     */
+    pause() {
+        if (status !== 'playing') return;
+        audio?.pause();
+        this._setStatus('paused');
+    },
+
+    /**
+     * Bascule lecture / pause
+     */
+    toggle() {
+        return status === 'playing' ? this.pause() : this.play();
+    },
+
+    /**
+     * Arrête la narration et retire la mise en évidence
+     */
+    stop() {
+        if (status === 'idle') return;
+
+        playToken++;
+        audio?.pause();
+        clearFragment();
+        fragments = [];
+        sectionIndex = -1;
+        fragmentIndex = 0;
+        this._setStatus('idle');
+    },
+
+    /**
+     * Passe au passage suivant (chapitre suivant en fin de chapitre)
+     */
+    async next() {
+        if (status === 'idle') return;
+
+        if (fragmentIndex + 1 < fragments.length) {
+            fragmentIndex++;
+        } else {
+            const token = playToken;
+            const following = nextSection(sectionIndex, 1);
+            if (following === null || !(await this._openFrom(following, 1))) {
+                if (token !== playToken) return;
+                this.stop();
+                EventBus.emit('status-message', '🎧 Fin de la narration');
+                return;
+            }
+            if (token !== playToken) return;
+        }
+
+        this._playFragment();
+    },
+
+    /**
+     * Revient au passage précédent (fin du chapitre précédent au début d'un chapitre)
+     */
+    async prev() {
+        if (status === 'idle') return;
+
+        if (fragmentIndex > 0) {
+            fragmentIndex--;
+        } else {
+            const token = playToken;
+            const previous = nextSection(sectionIndex, -1);
+            if (previous === null || !(await this._openFrom(previous, -1))) return;
+            if (token !== playToken) return;
+        }
+
+        this._playFragment();
+    },
+
+    /**
+     * Passe à la vitesse prédéfinie suivante
+     */
+    cycleRate() {
+        const presets = Config.TTS_RATE_PRESETS;
+        rate = presets.find(p => p > rate + 0.001) ?? presets[0];
+        if (audio) audio.playbackRate = rate;
+        this._emitState();
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // LECTURE
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Charge les passages de la première section narrée non vide à partir
+     * d'une section, dans un sens
+     * @param {number} index - Première section essayée
+     * @param {number} step - 1 (vers la fin) ou -1 (vers le début : dernier passage)
+     * @returns {Promise<boolean>} true si un passage est prêt
+     * @private
+     */
+    async _openFrom(index, step) {
+        const token = playToken;
+        const book = getBook();
+
+        for (let i = index; i !== null; i = nextSection(i, step)) {
+            let list = [];
+            try {
+                list = await loadFragments(book, i);
+            } catch (error) {
+                logger.warn(`Media overlay unavailable for section ${i}`, error);
+            }
+            if (token !== playToken) return false;
+
+            if (list.length > 0) {
+                fragments = list;
+                sectionIndex = i;
+                fragmentIndex = step > 0 ? 0 : list.length - 1;
+                return true;
+            }
+        }
+        return false;
+    },
+
+    /**
+     * Affiche, met en évidence et lit le passage courant
+     * @private
+     */
+    async _playFragment() {
+        const fragment = fragments[fragmentIndex];
+        const reader = getReader();
+        const book = getBook();
+        if (!fragment || !reader?.isActive() || !book) return;
+
+        const token = ++playToken;
+        switching = true;
+
+        try {
+            await this._reveal(reader, book, fragment);
+            const url = await book.archive.createUrl(fragment.audio);
+            if (token !== playToken) return;
+
+            const player = this._getAudio();
+            if (player.src !== url) player.src = url;
+            if (Math.abs(player.currentTime - fragment.begin) > SEEK_TOLERANCE) {
+                player.currentTime = fragment.begin;
+            }
+            player.playbackRate = rate;
+
+            if (status === 'playing') await player.play();
+        } catch (error) {
+            if (token !== playToken || error?.name === 'AbortError') return;
+            logger.warn(`Media overlay playback failed: ${fragment.audio}`, error);
+            this.pause();
+            EventBus.emit('status-message', '🎧 Audio de la narration illisible');
+        } finally {
+            if (token === playToken) switching = false;
+        }
+    },
+
+    /**
+     * Affiche le passage (en changeant de page ou de chapitre si besoin) et
+     * le met en évidence
+     * @param {BaseReader} reader
+     * @param {ePub.Book} book
+     * @param {Object} fragment
+     * @private
+     */
+    async _reveal(reader, book, fragment) {
+        const href = book.spine.get(sectionIndex)?.href;
+        let contents = findContents(reader, sectionIndex);
+        let element = contents?.document.getElementById(fragment.id);
+
+        // Chapitre suivant (ou lecteur déplacé entre temps)
+        if (!element && href) {
+            await reader.goToLocation(`${href}#${fragment.id}`);
+            contents = findContents(reader, sectionIndex);
+            element = contents?.document.getElementById(fragment.id);
+        }
+        if (!element) return;
+
+        highlightFragment(contents, element);
+
+        if (reader.flow !== 'paginated') {
+            element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            return;
+        }
+
+        // Mode paginé : page du passage s'il est hors de la page affichée
+        const location = reader.rendition.currentLocation();
+        cfiComparator = cfiComparator || new window.ePub.CFI();
+        try {
+            const cfi = contents.cfiFromNode(element);
+            const before = location?.start?.cfi && cfiComparator.compare(cfi, location.start.cfi) < 0;
+            const after = location?.end?.cfi && cfiComparator.compare(cfi, location.end.cfi) > 0;
+            if (before || after) await reader.goToLocation(cfi);
+        } catch (error) {
+            logger.debug('Fragment position unavailable', error);
+        }
+    },
+
+    /**
+     * Lecteur audio partagé
+     * @returns {HTMLAudioElement}
+     * @private
+     */
+    _getAudio() {
+        if (audio) return audio;
+
+        audio = new Audio();
+        audio.addEventListener('timeupdate', () => {
+            const fragment = fragments[fragmentIndex];
+            if (status !== 'playing' || switching || fragment?.end == null) return;
+            if (audio.currentTime >= fragment.end) this._onFragmentEnd();
+        });
+        audio.addEventListener('ended', () => {
+            if (status === 'playing' && !switching) this._onFragmentEnd();
+        });
+        return audio;
+    },
+
+    /**
+     * Enchaîne sur le passage suivant ; l'audio est mis en attente s'il
+     * change de fichier
+     * @private
+     */
+    _onFragmentEnd() {
+        const next = fragments[fragmentIndex + 1];
+        if (next?.audio !== fragments[fragmentIndex]?.audio) audio.pause();
+        this.next();
+    },
+
+    /**
+     * Change l'état et le notifie
+     * @param {string} value
+     * @private
+     */
+    _setStatus(value) {
+        status = value;
+        this._emitState();
+    },
+
+    /**
+     * Notifie l'état courant
+     * @private
+     */
+    _emitState() {
+        EventBus.emit(Events.MEDIA_OVERLAY_STATE, this.getState());
+    }
+};
+
+export default MediaOverlay;
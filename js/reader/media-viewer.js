@@ -0,0 +1,175 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/MEDIA-VIEWER.JS
+ * Visionneuse d'images et de tableaux : détection de l'élément touché dans
+ * le chapitre et extraction de son contenu (image ou copie du tableau),
+ * affiché en plein écran avec zoom au lieu de tourner la page.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { isFixedLayout } from './reader-factory.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('MediaViewer');
+
+/**
+ * Éléments retirés de la copie d'un tableau
+ * @private
+ */
+const UNSAFE_ELEMENTS = 'script, style, link, iframe, object, embed, form, input, button, textarea, select';
+
+/**
+ * Élément affiché ({ type, label }) ou null
+ * @private
+ */
+let activeMedia = null;
+
+/**
+ * Résout une adresse relative au chapitre (les images de la copie d'un
+ * tableau sont affichées hors de l'iframe)
+ * @param {Document} doc - Document du chapitre
+ * @param {string} url
+ * @returns {string}
+ * @private
+ */
+function resolveUrl(doc, url) {
+    if (!url || /^(blob|data):/.test(url)) return url || '';
+    try {
+        return new URL(url, doc.baseURI).href;
+    } catch (e) {
+        return url;
+    }
+}
+
+/**
+ * Adresse d'une image du chapitre (<img> ou <image> SVG)
+ * @param {Element} el
+ * @returns {string}
+ * @private
+ */
+function imageSource(el) {
+    if (el.localName === 'img') return el.currentSrc || el.src || '';
+    const href = el.href?.baseVal || el.getAttribute('href') || el.getAttribute('xlink:href') || '';
+    return resolveUrl(el.ownerDocument, href);
+}
+
+/**
+ * Copie d'un tableau sans scripts, liens ni gestionnaires d'événements
+ * @param {HTMLTableElement} table
+ * @returns {string} HTML
+ * @private
+ */
+function sanitizeTable(table) {
+    const doc = table.ownerDocument;
+    const container = document.createElement('div');
+    container.appendChild(document.importNode(table, true));
+
+    container.querySelectorAll(UNSAFE_ELEMENTS).forEach(el => el.remove());
+
+    container.querySelectorAll('a').forEach(link => {
+        const span = document.createElement('span');
+        span.append(...link.childNodes);
+        link.replaceWith(span);
+    });
+
+    container.querySelectorAll('img').forEach(img => {
+        img.setAttribute('src', resolveUrl(doc, img.getAttribute('src')));
+    });
+
+    container.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            if (/^on/i.test(attr.name) || ['id', 'style'].includes(attr.name)) {
+                el.removeAttribute(attr.name);
+            }
+        });
+    });
+
+    return container.innerHTML.trim();
+}
+
+/**
+ * MediaViewer - Images et tableaux en plein écran
+ */
+export const MediaViewer = {
+    /**
+     * Initialise le module
+     */
+    init() {
+        EventBus.on(Events.READER_CLOSED, () => this.close());
+        logger.info('MediaViewer initialized');
+    },
+
+    /**
+     * Image ou tableau touché dans un chapitre (les pages en mise en page
+     * fixe, souvent une seule image, tournent normalement)
+     * @param {Element} target - Élément touché
+     * @returns {Element|null}
+     */
+    find(target) {
+        if (!target?.closest || isFixedLayout()) return null;
+
+        // <svg> d'une couverture : l'image est dessous
+        const image = target.closest('img, image') || target.closest('svg')?.querySelector('image');
+        if (image) {
+            const rect = image.getBoundingClientRect();
+            const min = Config.MEDIA_VIEWER_MIN_SIZE;
+            return rect.width >= min || rect.height >= min ? image : null;
+        }
+
+        return target.closest('table');
+    },
+
+    /**
+     * Affiche une image ou un tableau du chapitre
+     * @param {Object} contents - Contenu epub.js (iframe)
+     * @param {Element} el - Élément retourné par find()
+     * @returns {boolean} true si l'élément est affiché
+     */
+    open(contents, el) {
+        if (!contents?.document || !el) return false;
+
+        try {
+            if (el.localName === 'table') {
+                const html = sanitizeTable(el);
+                if (!html) return false;
+
+                const label = el.querySelector('caption')?.textContent.trim() || '';
+                activeMedia = { type: 'table', label };
+                EventBus.emit(Events.MEDIA_VIEWER_OPENED, { ...activeMedia, html });
+                return true;
+            }
+
+            const src = imageSource(el);
+            if (!src) return false;
+
+            const label = (el.getAttribute('alt') || el.getAttribute('title') || '').trim();
+            activeMedia = { type: 'image', label };
+            EventBus.emit(Events.MEDIA_VIEWER_OPENED, { ...activeMedia, src });
+            return true;
+        } catch (error) {
+            logger.warn('Media viewer failed', error);
+            return false;
+        }
+    },
+
+    /**
+     * Ferme la visionneuse
+     */
+    close() {
+        if (!activeMedia) return;
+        activeMedia = null;
+        EventBus.emit(Events.MEDIA_VIEWER_CLOSED);
+    },
+
+    /**
+     * Vérifie si la visionneuse est affichée
+     * @returns {boolean}
+     */
+    isOpen() {
+        return activeMedia !== null;
+    }
+};
+
+export default MediaViewer;
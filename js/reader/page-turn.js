@@ -0,0 +1,144 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/PAGE-TURN.JS
+ * Animations de changement de page du mode paginé (glissement, fondu, page
+ * tournée sur grand écran). La page quittée s'efface, epub.js change de page,
+ * puis la nouvelle page apparaît. Tout le conteneur est animé : la double
+ * page reste intacte.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { UIManager } from '../ui/ui-manager.js';
+import { ReadingDirection } from './reading-direction.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('PageTurn');
+
+/**
+ * Préférence système "réduire les animations"
+ * @private
+ */
+const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+/**
+ * Images clés de chaque animation : sortie de l'ancienne page, entrée de la
+ * nouvelle. sign vaut -1 quand le contenu part vers la gauche.
+ * @private
+ */
+const EFFECTS = {
+    slide: {
+        out: (sign) => [
+            { transform: 'translateX(0)', opacity: 1 },
+            { transform: `translateX(${sign * 8}%)`, opacity: 0 }
+        ],
+        in: (sign) => [
+            { transform: `translateX(${-sign * 8}%)`, opacity: 0 },
+            { transform: 'translateX(0)', opacity: 1 }
+        ]
+    },
+    fade: {
+        out: () => [{ opacity: 1 }, { opacity: 0 }],
+        in: () => [{ opacity: 0 }, { opacity: 1 }]
+    },
+    // La page pivote autour de la reliure, côté vers lequel elle est tournée
+    curl: {
+        out: (sign) => [
+            { transformOrigin: sign < 0 ? '0% 50%' : '100% 50%', transform: 'perspective(2000px) rotateY(0deg)', filter: 'brightness(1)' },
+            { transformOrigin: sign < 0 ? '0% 50%' : '100% 50%', transform: `perspective(2000px) rotateY(${-sign * 70}deg)`, filter: 'brightness(0.6)', opacity: 0 }
+        ],
+        in: (sign) => [
+            { transformOrigin: sign < 0 ? '100% 50%' : '0% 50%', transform: `perspective(2000px) rotateY(${-sign * 70}deg)`, filter: 'brightness(0.6)', opacity: 0 },
+            { transformOrigin: sign < 0 ? '100% 50%' : '0% 50%', transform: 'perspective(2000px) rotateY(0deg)', filter: 'brightness(1)', opacity: 1 }
+        ]
+    }
+};
+
+/**
+ * Animation d'entrée en cours (interrompue par le changement de page suivant)
+ * @private
+ */
+let entering = null;
+
+/**
+ * Sortie de page en cours : les demandes reçues pendant ce temps sont ignorées
+ * @private
+ */
+let leaving = false;
+
+/**
+ * PageTurn - Animations de changement de page
+ */
+export const PageTurn = {
+    /**
+     * Vérifie si le système demande de réduire les animations
+     * @returns {boolean}
+     */
+    isReducedMotion() {
+        return reducedMotion.matches;
+    },
+
+    /**
+     * Animation effectivement jouée : aucune si les animations sont réduites,
+     * glissement à la place de la page tournée sur petit écran
+     * @returns {string} 'none', 'slide', 'fade' ou 'curl'
+     */
+    getEffect() {
+        const effect = StateManager.get('pageTurnAnimation');
+        if (!EFFECTS[effect] || this.isReducedMotion()) return 'none';
+
+        const wide = !UIManager.isMobile() && window.innerWidth >= Config.SPREAD_MIN_WIDTH;
+        return effect === 'curl' && !wide ? 'slide' : effect;
+    },
+
+    /**
+     * Change de page en l'animant
+     * @param {HTMLElement} container - Conteneur epub.js (une page ou double page)
+     * @param {string} step - 'next' ou 'prev'
+     * @param {Function} navigate - Changement de page epub.js (retourne une promesse)
+     * @returns {Promise}
+     */
+    async run(container, step, navigate) {
+        const effect = this.getEffect();
+        if (effect === 'none' || !container?.animate) return navigate();
+        if (leaving) return undefined;
+
+        entering?.cancel();
+        entering = null;
+
+        // Sens de lecture droite à gauche : la page suivante arrive par la gauche
+        const forward = step === 'next';
+        const sign = forward !== ReadingDirection.isRtl() ? -1 : 1;
+        const duration = Config.PAGE_TURN_DURATION / 2;
+
+        leaving = true;
+        try {
+            await container.animate(EFFECTS[effect].out(sign), {
+                duration,
+                easing: 'ease-in',
+                fill: 'forwards'
+            }).finished;
+        } catch (error) {
+            logger.debug('Page turn interrupted', error);
+        } finally {
+            leaving = false;
+        }
+
+        try {
+            return await navigate();
+        } finally {
+            container.getAnimations().forEach(animation => animation.cancel());
+            const animation = container.animate(EFFECTS[effect].in(sign), {
+                duration,
+                easing: 'ease-out'
+            });
+            entering = animation;
+            animation.finished.catch(() => {}).then(() => {
+                if (entering === animation) entering = null;
+            });
+        }
+    }
+};
+
+export default PageTurn;
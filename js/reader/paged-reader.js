@@ -7,6 +7,9 @@
  */
 
 import { BaseReader } from './base-reader.js';
+import { ReadingDirection } from './reading-direction.js';
+import { ContentSecurity } from '../core/content-security.js';
+import { PageTurn } from './page-turn.js';
 import { Config } from '../core/config.js';
 import { StateManager } from '../core/state.js';
 import { UIManager } from '../ui/ui-manager.js';
@@ -43,11 +46,14 @@ export class PagedReader extends BaseReader {
             ? 'auto' 
             : 'none';
         
+        // Sens de progression de l'OPF (droite à gauche : spread inversé)
         return this.book.renderTo('viewer', {
             flow: 'paginated',
             width: '100%',
             height: '100%',
-            spread: spread
+            spread: spread,
+            direction: ReadingDirection.get(),
+            allowScriptedContent: ContentSecurity.allowsScripts()
         });
     }
 
@@ -70,12 +76,6 @@ export class PagedReader extends BaseReader {
             this._injectChapterNavigation();
         });
 
-        // Générer les locations après que le rendu initial soit affiché pour éviter les race conditions
-        this.rendition.once('displayed', () => {
-            this.book.locations.generate(1600).then(() => {
-                logger.info('Locations generated for progress tracking');
-            });
-        });
     }
 
     /**
@@ -101,10 +101,11 @@ export class PagedReader extends BaseReader {
      * @returns {string}
      */
     _getBodyPadding(isMobile) {
+        const margin = this._getHorizontalMargin(isMobile);
         if (isMobile) {
-            return '70px 5vw 0 5vw !important';
+            return `70px ${margin} 0 ${margin} !important`;
         }
-        return '60px 10% 60px 10% !important';
+        return `60px ${margin} 60px ${margin} !important`;
     }
 
     /**
@@ -147,7 +148,7 @@ export class PagedReader extends BaseReader {
      */
     prevPage() {
         if (!this.rendition) return;
-        this.rendition.prev();
+        return this._turnPage('prev');
     }
 
     /**
@@ -155,25 +156,21 @@ export class PagedReader extends BaseReader {
      */
     nextPage() {
         if (!this.rendition) return;
-        this.rendition.next();
+        return this._turnPage('next');
     }
 
-    // ═══════════════════════════════════════════════════════════════════════
-    // INDICATEUR DE PROGRESSION
-    // ═══════════════════════════════════════════════════════════════════════
-
     /**
-     * Met à jour l'indicateur de progression
-     * @param {Object} location - Objet location d'epub.js
+     * Change de page avec l'animation choisie (aucune au début ou à la fin du livre)
+     * @param {string} step - 'next' ou 'prev'
+     * @returns {Promise}
+     * @private
      */
-    _updateProgressIndicator(location) {
-        if (!location) return;
-        
-        // En mode pagination, afficher le pourcentage
-        const percentage = this.book.locations ? 
-            Math.round(location.start.percentage * 100) : 0;
-        
-        UIManager.updateProgressText(`${percentage}%`);
+    _turnPage(step) {
+        const navigate = () => step === 'next' ? this.rendition.next() : this.rendition.prev();
+        const location = this.rendition.location;
+        if (step === 'next' ? location?.atEnd : location?.atStart) return navigate();
+
+        return PageTurn.run(this.rendition.manager?.container, step, navigate);
     }
 
     /**
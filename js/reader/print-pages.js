@@ -0,0 +1,253 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/PRINT-PAGES.JS
+ * Numéros de page de l'édition imprimée, lus dans la page-list du nav EPUB3
+ * ou le pageList du NCX EPUB2 : page imprimée d'une position (progression,
+ * signets, citations) et accès direct à une page imprimée. Sans page-list,
+ * les pages calculées (LocationsManager) prennent le relais.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { LocationsManager } from '../core/locations-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('PrintPages');
+
+/**
+ * Espace de noms des attributs epub:type
+ * @private
+ */
+const EPUB_NS = 'http://www.idpf.org/2007/ops';
+
+/**
+ * Pages imprimées du livre ouvert, dans l'ordre de lecture
+ * ({ label, href, section, id, cfi })
+ * @private
+ */
+let pages = [];
+
+/**
+ * Comparateur de positions CFI (créé à la demande)
+ * @private
+ */
+let comparator = null;
+
+/**
+ * Normalise un numéro de page pour la recherche ("XII " → "xii")
+ * @param {string} label
+ * @returns {string}
+ * @private
+ */
+function normalize(label) {
+    return String(label || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Liens de la page-list d'un document de navigation (nav EPUB3 ou NCX)
+ * @param {Document} doc
+ * @returns {Array<{label: string, href: string}>}
+ * @private
+ */
+function readPageList(doc) {
+    const nav = Array.from(doc.getElementsByTagNameNS('*', 'nav')).find(el =>
+        (el.getAttributeNS(EPUB_NS, 'type') || el.getAttribute('epub:type') || '')
+            .split(/\s+/).includes('page-list'));
+    if (nav) {
+        return Array.from(nav.getElementsByTagNameNS('*', 'a')).map(link => ({
+            label: link.textContent,
+            href: link.getAttribute('href')
+        }));
+    }
+
+    return Array.from(doc.getElementsByTagNameNS('*', 'pageTarget')).map(target => ({
+        label: target.getElementsByTagNameNS('*', 'text')[0]?.textContent || target.getAttribute('value'),
+        href: target.getElementsByTagNameNS('*', 'content')[0]?.getAttribute('src')
+    }));
+}
+
+/**
+ * Résout le lien d'une page (relatif au document de navigation) en document
+ * de la spine
+ * @param {ePub.Book} book
+ * @param {string} navPath - Chemin absolu du document de navigation
+ * @param {string} href
+ * @returns {{href: string, section: number, id: string}|null}
+ * @private
+ */
+function resolvePage(book, navPath, href) {
+    if (!href) return null;
+
+    try {
+        const url = new URL(href, new URL(navPath, 'http://epub.local/'));
+        const section = book.spine.get(book.path.relative(decodeURIComponent(url.pathname)));
+        if (!section) return null;
+
+        const id = decodeURIComponent(url.hash.slice(1));
+        return {
+            href: id ? `${section.href}#${id}` : section.href,
+            section: section.index,
+            id
+        };
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * PrintPages - Pages de l'édition imprimée du livre ouvert
+ */
+export const PrintPages = {
+    /**
+     * Lit la page-list du livre (après book.ready)
+     * Le nav EPUB3 est préféré ; à défaut, le NCX.
+     * @param {ePub.Book} book
+     * @returns {Promise<number>} Nombre de pages imprimées
+     */
+    async load(book) {
+        this.reset();
+        const packaging = book?.packaging;
+        if (!packaging) return 0;
+
+        const paths = [packaging.navPath, packaging.ncxPath].filter(Boolean);
+        for (const path of [...new Set(paths)]) {
+            try {
+                const doc = await book.load(path);
+                const navPath = book.path.resolve(path);
+                const list = doc ? readPageList(doc) : [];
+
+                pages = list.map(({ label, href }) => {
+                    const target = resolvePage(book, navPath, href);
+                    const text = String(label || '').replace(/\s+/g, ' ').trim();
+                    return target && text ? { label: text, ...target, cfi: null } : null;
+                }).filter(Boolean);
+            } catch (error) {
+                logger.debug(`Navigation document unavailable: ${path}`, error);
+            }
+            if (pages.length) break;
+        }
+
+        if (pages.length) logger.info(`${pages.length} print pages`);
+        return pages.length;
+    },
+
+    /**
+     * Oublie les pages du livre fermé
+     */
+    reset() {
+        pages = [];
+    },
+
+    /**
+     * Indique si le livre ouvert a une page-list
+     * @returns {boolean}
+     */
+    hasPages() {
+        return pages.length > 0;
+    },
+
+    /**
+     * Première et dernière page imprimée (ex : "i", "312")
+     * @returns {{first: string, last: string}|null}
+     */
+    getRange() {
+        if (!pages.length) return null;
+        return { first: pages[0].label, last: pages[pages.length - 1].label };
+    },
+
+    /**
+     * Attache le calcul des positions à une rendition : la position CFI d'un
+     * saut de page n'est connue qu'une fois son chapitre chargé
+     * @param {ePub.Rendition} rendition
+     */
+    attach(rendition) {
+        if (!rendition) return;
+        rendition.hooks.content.register((contents) => this.locate(contents));
+    },
+
+    /**
+     * Calcule la position CFI des sauts de page d'un chapitre affiché
+     * @param {Object} contents - Contenu epub.js (iframe)
+     */
+    locate(contents) {
+        const doc = contents?.document;
+        if (!doc || !pages.length) return;
+
+        for (const page of pages) {
+            if (page.section !== contents.sectionIndex || !page.id || page.cfi) continue;
+
+            const el = doc.getElementById(page.id);
+            if (!el) continue;
+            try {
+                page.cfi = contents.cfiFromNode(el);
+            } catch (e) {
+                logger.debug(`Page break not located: ${page.label}`, e);
+            }
+        }
+    },
+
+    /**
+     * Page imprimée d'une position : dernier saut de page qui la précède
+     * @param {string} cfi - Position ou passage CFI
+     * @returns {string|null} Numéro de page, null sans page-list
+     */
+    pageAt(cfi) {
+        if (!pages.length || !cfi) return null;
+
+        let position;
+        try {
+            comparator = comparator || new window.ePub.CFI();
+            position = new window.ePub.CFI(cfi);
+        } catch (e) {
+            return null;
+        }
+
+        let found = null;
+        for (const page of pages) {
+            if (page.section > position.spinePos) break;
+            if (page.section === position.spinePos && page.id) {
+                // Saut de page pas encore situé : impossible de le placer
+                if (!page.cfi) continue;
+                if (comparator.compare(page.cfi, position) > 0) break;
+            }
+            found = page;
+        }
+        return found?.label || null;
+    },
+
+    /**
+     * Page d'une position pour les signets et citations : page imprimée,
+     * sinon page calculée
+     * @param {string} cfi - Position ou passage CFI
+     * @returns {{page: string, pageType: string}|null} pageType : 'print' ou 'computed'
+     */
+    describe(cfi) {
+        const label = this.pageAt(cfi);
+        if (label) return { page: label, pageType: 'print' };
+
+        const computed = LocationsManager.describe(cfi);
+        return computed ? { page: String(computed.page), pageType: 'computed' } : null;
+    },
+
+    /**
+     * Libellé court d'une page enregistrée ("p. 42")
+     * @param {Object} item - Signet ou surlignage ({ page, pageType })
+     * @returns {string}
+     */
+    format(item) {
+        if (!item?.page) return '';
+        return item.pageType === 'print' ? `p. ${item.page}` : `p. ${item.page} (calculée)`;
+    },
+
+    /**
+     * Recherche une page imprimée par son numéro
+     * @param {string} label - Numéro saisi ("42", "xii")
+     * @returns {{label: string, href: string, cfi: string|null}|null}
+     */
+    find(label) {
+        const wanted = normalize(label);
+        if (!wanted) return null;
+        return pages.find(page => normalize(page.label) === wanted) || null;
+    }
+};
+
+export default PrintPages;
@@ -0,0 +1,663 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/READ-ALOUD.JS
+ * Lecture à voix haute (speechSynthesis) du livre ouvert.
+ * Découpe le chapitre affiché en phrases, les lit une à une en surlignant
+ * la phrase courante dans l'iframe, puis enchaîne sur la suite du livre
+ * via PagedReader.nextPage / BaseReader.nextChapter.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config, StorageKeys } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { getBook, getReader } from './reader-factory.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ReadAloud');
+
+/**
+ * Éléments dont le texte n'est pas lu
+ * @private
+ */
+const SKIPPED_SELECTOR = 'script, style, rt, rp, .chapter-navigation';
+
+/**
+ * Éléments de type bloc : une phrase ne déborde jamais de son bloc
+ * @private
+ */
+const BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, dd, dt, td, th, caption, figcaption, pre, div, section, article, aside';
+
+/**
+ * Nombre maximum de sections sans texte sautées d'affilée (images, pages de garde)
+ * @private
+ */
+const MAX_SKIPPED_SECTIONS = 20;
+
+/**
+ * Attente maximale de la nouvelle position après un changement de chapitre (ms)
+ * @private
+ */
+const RELOCATE_TIMEOUT = 1000;
+
+/**
+ * Synthèse vocale disponible dans ce navigateur
+ * @private
+ */
+const supported = typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+/**
+ * Phrases du chapitre en cours ({ text, range, cfi })
+ * @private
+ */
+let sentences = [];
+
+/**
+ * Index de la phrase en cours de lecture
+ * @private
+ */
+let sentenceIndex = 0;
+
+/**
+ * État de la lecture : 'idle', 'playing' ou 'paused'
+ * @private
+ */
+let status = 'idle';
+
+/**
+ * Identifiant de la lecture en cours (ignore les callbacks d'énoncés annulés)
+ * @private
+ */
+let playToken = 0;
+
+/**
+ * Vitesse de lecture
+ * @private
+ */
+let rate = parseFloat(localStorage.getItem(StorageKeys.TTS_RATE)) || Config.TTS_RATE.DEFAULT;
+
+/**
+ * Voix choisie (voiceURI, vide = selon la langue du livre)
+ * @private
+ */
+let voiceURI = localStorage.getItem(StorageKeys.TTS_VOICE) || '';
+
+/**
+ * Minuterie de veille
+ * @private
+ */
+let sleepMinutes = 0;
+let sleepTimer = null;
+
+/**
+ * Position au moment de la pause (relecture depuis la page affichée si elle a changé)
+ * @private
+ */
+let pausedAt = null;
+
+/**
+ * Surlignage de la phrase lue ({ rendition, cfi })
+ * @private
+ */
+let activeSentence = null;
+
+/**
+ * Comparateur de CFI epub.js
+ * @private
+ */
+let cfiComparator = null;
+
+/**
+ * Retourne la langue du livre (métadonnées OPF)
+ * @returns {string}
+ * @private
+ */
+function getLanguage() {
+    return getBook()?.packaging?.metadata?.language || '';
+}
+
+/**
+ * Choisit la voix : celle des paramètres, sinon la meilleure voix pour la langue du livre
+ * @returns {SpeechSynthesisVoice|null}
+ * @private
+ */
+function resolveVoice() {
+    const voices = speechSynthesis.getVoices();
+    if (voices.length === 0) return null;
+
+    if (voiceURI) {
+        const chosen = voices.find(v => v.voiceURI === voiceURI);
+        if (chosen) return chosen;
+    }
+
+    const lang = getLanguage().toLowerCase().replace('_', '-');
+    if (!lang) return null;
+
+    const primary = lang.split('-')[0];
+    const sameLanguage = voices.filter(v => v.lang.toLowerCase().replace('_', '-').split('-')[0] === primary);
+
+    return sameLanguage.find(v => v.lang.toLowerCase().replace('_', '-') === lang)
+        || sameLanguage.find(v => v.default)
+        || sameLanguage[0]
+        || null;
+}
+
+/**
+ * Retrouve le contenu (iframe) qui contient une position CFI
+ * @param {ePub.Rendition} rendition
+ * @param {string} cfi
+ * @returns {Object|null}
+ * @private
+ */
+function findContents(rendition, cfi) {
+    return rendition.getContents().find(c => !c.cfiBase || cfi.includes(`${c.cfiBase}!`)) || null;
+}
+
+/**
+ * Découpe un texte en phrases (positions de début et de fin)
+ * @param {string} text
+ * @param {string} lang
+ * @returns {Array<{start: number, end: number}>}
+ * @private
+ */
+function splitSentences(text, lang) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+        try {
+            const segmenter = new Intl.Segmenter(lang || undefined, { granularity: 'sentence' });
+            return [...segmenter.segment(text)].map(s => ({ start: s.index, end: s.index + s.segment.length }));
+        } catch (e) {
+            // Langue invalide : découpage par expression régulière
+        }
+    }
+
+    return [...text.matchAll(/[^.!?…]+(?:[.!?…]+["'»”’)\]]*|$)/g)]
+        .map(m => ({ start: m.index, end: m.index + m[0].length }));
+}
+
+/**
+ * Convertit une position dans le texte d'un bloc en position DOM
+ * @param {Array<{node: Text, start: number}>} nodes - Nœuds texte du bloc
+ * @param {number} offset - Position dans le texte du bloc
+ * @param {boolean} isEnd - Position de fin (rattachée au nœud précédent)
+ * @returns {{node: Text, offset: number}}
+ * @private
+ */
+function resolveOffset(nodes, offset, isEnd) {
+    let entry = nodes[0];
+    for (const candidate of nodes) {
+        if (isEnd ? candidate.start < offset : candidate.start <= offset) {
+            entry = candidate;
+        } else {
+            break;
+        }
+    }
+    return { node: entry.node, offset: Math.min(offset - entry.start, entry.node.length) };
+}
+
+/**
+ * Extrait les phrases d'un chapitre à partir d'une position
+ * @param {Object} contents - Contenu epub.js (iframe)
+ * @param {string} fromCfi - Première position à lire
+ * @returns {Array<{text: string, range: Range, cfi: string}>}
+ * @private
+ */
+function collectSentences(contents, fromCfi) {
+    const doc = contents.document;
+    if (!doc?.body) return [];
+
+    // 1. Regrouper les nœuds texte par bloc
+    const blocks = [];
+    let current = null;
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT, {
+        acceptNode: (node) => node.parentElement?.closest(SKIPPED_SELECTOR)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+        const block = node.parentElement.closest(BLOCK_SELECTOR) || doc.body;
+        if (!current || current.block !== block) {
+            current = { block, text: '', nodes: [] };
+            blocks.push(current);
+        }
+        current.nodes.push({ node, start: current.text.length });
+        current.text += node.textContent;
+    }
+
+    // 2. Point de départ (phrase partiellement visible incluse)
+    let startRange = null;
+    try {
+        startRange = contents.range(fromCfi);
+    } catch (e) {
+        logger.debug('Start position not found, reading whole chapter', e);
+    }
+
+    // 3. Découper chaque bloc en phrases
+    const lang = getLanguage();
+    const result = [];
+
+    blocks.forEach(({ text, nodes }) => {
+        splitSentences(text, lang).forEach(({ start, end }) => {
+            const raw = text.slice(start, end);
+            const trimmedStart = start + (raw.length - raw.trimStart().length);
+            const trimmedEnd = end - (raw.length - raw.trimEnd().length);
+            const sentence = text.slice(trimmedStart, trimmedEnd).replace(/\s+/g, ' ');
+
+            if (!/[\p{L}\p{N}]/u.test(sentence)) return;
+
+            const from = resolveOffset(nodes, trimmedStart, false);
+            const to = resolveOffset(nodes, trimmedEnd, true);
+            const range = doc.createRange();
+            range.setStart(from.node, from.offset);
+            range.setEnd(to.node, to.offset);
+
+            if (startRange && startRange.comparePoint(range.endContainer, range.endOffset) < 0) return;
+
+            try {
+                result.push({ text: sentence, range, cfi: contents.cfiFromRange(range) });
+            } catch (e) {
+                logger.debug('Sentence CFI failed', e);
+            }
+        });
+    });
+
+    return result;
+}
+
+/**
+ * Attend que la rendition signale sa nouvelle position (événement relocated) :
+ * currentLocation() n'est à jour qu'après l'affichage
+ * @param {ePub.Rendition} rendition
+ * @returns {Promise<void>}
+ * @private
+ */
+function waitForRelocation(rendition) {
+    return new Promise(resolve => {
+        const done = () => {
+            clearTimeout(timer);
+            rendition.off('relocated', done);
+            resolve();
+        };
+        const timer = setTimeout(done, RELOCATE_TIMEOUT);
+        rendition.on('relocated', done);
+    });
+}
+
+/**
+ * Avance le lecteur après la fin du chapitre lu
+ * @param {BaseReader} reader
+ * @returns {Promise<boolean>} true si la position a changé
+ * @private
+ */
+async function advanceReader(reader) {
+    const before = reader.rendition?.currentLocation()?.start;
+
+    if (reader.flow === 'paginated') {
+        await reader.nextPage();
+    } else {
+        // Plusieurs entrées du sommaire peuvent pointer vers la même section :
+        // repartir de la dernière entrée précédant la section suivante
+        const chapters = StateManager.get('chapters');
+        const spine = reader.book?.spine;
+        const nextIndex = chapters.findIndex(ch => (spine?.get(ch.href)?.index ?? -1) > (before?.index ?? -1));
+        if (nextIndex === -1) return false;
+
+        StateManager.set('currentChapterIndex', nextIndex - 1);
+        const displayed = reader.nextChapter(true);
+        if (!displayed) return false;
+
+        const relocated = waitForRelocation(reader.rendition);
+        await displayed;
+        await relocated;
+    }
+
+    const after = reader.rendition?.currentLocation()?.start;
+    return Boolean(after?.cfi) && after.cfi !== before?.cfi;
+}
+
+/**
+ * Charge les phrases à partir de la position affichée
+ * @param {BaseReader} reader
+ * @returns {boolean} true si au moins une phrase est à lire
+ * @private
+ */
+function loadSentences(reader) {
+    const rendition = reader.rendition;
+    const cfi = rendition?.currentLocation()?.start?.cfi;
+    if (!cfi) return false;
+
+    const contents = findContents(rendition, cfi);
+    sentences = contents ? collectSentences(contents, cfi) : [];
+    sentenceIndex = 0;
+    return sentences.length > 0;
+}
+
+/**
+ * Affiche la phrase à lire (page suivante en mode paginé, défilement sinon)
+ * @param {BaseReader} reader
+ * @param {Object} sentence
+ * @private
+ */
+async function revealSentence(reader, sentence) {
+    if (reader.flow === 'paginated') {
+        const end = reader.rendition.currentLocation()?.end?.cfi;
+        cfiComparator = cfiComparator || new window.ePub.CFI();
+        if (end && cfiComparator.compare(sentence.cfi, end) > 0) {
+            await reader.nextPage();
+        }
+    } else {
+        sentence.range.startContainer.parentElement?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+/**
+ * Surligne la phrase lue
+ * @param {ePub.Rendition} rendition
+ * @param {Object} sentence
+ * @private
+ */
+function highlightSentence(rendition, sentence) {
+    clearSentence();
+    try {
+        rendition.annotations.highlight(sentence.cfi, {}, null, 'tts-sentence', {
+            'fill': Config.TTS_SENTENCE_COLOR,
+            'fill-opacity': '0.3',
+            'mix-blend-mode': 'normal'
+        });
+        activeSentence = { rendition, cfi: sentence.cfi };
+    } catch (error) {
+        logger.debug('Sentence highlight failed', error);
+    }
+}
+
+/**
+ * Retire le surlignage de la phrase lue
+ * @private
+ */
+function clearSentence() {
+    if (!activeSentence) return;
+    try {
+        activeSentence.rendition.annotations.remove(activeSentence.cfi, 'highlight');
+    } catch (e) {
+        // Rendition détruite entre temps
+    }
+    activeSentence = null;
+}
+
+/**
+ * ReadAloud - Lecture à voix haute phrase par phrase
+ */
+export const ReadAloud = {
+    /**
+     * Initialise le module
+     */
+    init() {
+        EventBus.on(Events.READER_CLOSED, () => this.stop());
+        EventBus.on(Events.READER_FLOW_CHANGED, () => this.stop());
+
+        if (supported) {
+            speechSynthesis.addEventListener('voiceschanged', () => {
+                EventBus.emit(Events.READ_ALOUD_VOICES, this.getVoices());
+            });
+        }
+
+        logger.info('ReadAloud initialized');
+    },
+
+    /**
+     * Indique si la synthèse vocale est disponible
+     * @returns {boolean}
+     */
+    isSupported() {
+        return supported;
+    },
+
+    /**
+     * Retourne l'état courant de la lecture
+     * @returns {{status: string, rate: number, voiceURI: string, sleepMinutes: number}}
+     */
+    getState() {
+        return { status, rate, voiceURI, sleepMinutes };
+    },
+
+    /**
+     * Retourne les voix disponibles, triées par langue
+     * @returns {SpeechSynthesisVoice[]}
+     */
+    getVoices() {
+        if (!supported) return [];
+        return [...speechSynthesis.getVoices()].sort((a, b) => a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Lance ou reprend la lecture à partir de la position affichée
+     */
+    async play() {
+        if (!supported) {
+            EventBus.emit('status-message', 'Lecture à voix haute non disponible');
+            return;
+        }
+        if (status === 'playing') return;
+
+        const reader = getReader();
+        if (!reader?.isActive()) return;
+
+        // Reprise : relire depuis la page affichée si le lecteur a bougé entre temps
+        const location = reader.rendition.currentLocation()?.start?.cfi;
+        const resume = status === 'paused' && sentenceIndex < sentences.length && location === pausedAt;
+
+        this._setStatus('playing');
+
+        if (!resume && !(await this._prepare(reader, false))) return;
+        this._speakCurrent();
+    },
+
+    /**
+     * Met la lecture en pause (la phrase courante sera relue à la reprise)
+     */
+    pause() {
+        if (status !== 'playing') return;
+
+        playToken++;
+        speechSynthesis.cancel();
+        pausedAt = getReader()?.rendition?.currentLocation()?.start?.cfi || null;
+        this._setStatus('paused');
+    },
+
+    /**
+     * Bascule lecture / pause
+     */
+    toggle() {
+        return status === 'playing' ? this.pause() : this.play();
+    },
+
+    /**
+     * Arrête la lecture et retire le surlignage
+     */
+    stop() {
+        if (status === 'idle') return;
+
+        playToken++;
+        if (supported) speechSynthesis.cancel();
+        clearSentence();
+        sentences = [];
+        sentenceIndex = 0;
+        pausedAt = null;
+        this.setSleepTimer(0);
+        this._setStatus('idle');
+    },
+
+    /**
+     * Définit la vitesse de lecture (persistée)
+     * @param {number} value
+     */
+    setRate(value) {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed)) return;
+
+        rate = Math.min(Config.TTS_RATE.MAX, Math.max(Config.TTS_RATE.MIN, parsed));
+        localStorage.setItem(StorageKeys.TTS_RATE, rate);
+
+        // Appliquer immédiatement : relire la phrase courante
+        if (status === 'playing') this._speakCurrent();
+        this._emitState();
+    },
+
+    /**
+     * Passe à la vitesse prédéfinie suivante
+     */
+    cycleRate() {
+        const presets = Config.TTS_RATE_PRESETS;
+        const next = presets.find(p => p > rate + 0.001) ?? presets[0];
+        this.setRate(next);
+    },
+
+    /**
+     * Définit la voix (persistée, vide = selon la langue du livre)
+     * @param {string} uri - voiceURI
+     */
+    setVoice(uri) {
+        voiceURI = uri || '';
+        if (voiceURI) {
+            localStorage.setItem(StorageKeys.TTS_VOICE, voiceURI);
+        } else {
+            localStorage.removeItem(StorageKeys.TTS_VOICE);
+        }
+
+        if (status === 'playing') this._speakCurrent();
+        this._emitState();
+    },
+
+    /**
+     * Programme l'arrêt de la lecture
+     * @param {number} minutes - Durée (0 = désactivée)
+     */
+    setSleepTimer(minutes) {
+        clearTimeout(sleepTimer);
+        sleepTimer = null;
+        sleepMinutes = minutes;
+
+        if (minutes > 0) {
+            sleepTimer = setTimeout(() => {
+                sleepTimer = null;
+                sleepMinutes = 0;
+                this.pause();
+                this._emitState();
+                EventBus.emit('status-message', '😴 Minuterie écoulée : lecture en pause');
+            }, minutes * 60000);
+        }
+
+        this._emitState();
+    },
+
+    /**
+     * Passe à la durée de minuterie suivante
+     */
+    cycleSleepTimer() {
+        const timers = Config.TTS_SLEEP_TIMERS;
+        const next = timers[(timers.indexOf(sleepMinutes) + 1) % timers.length];
+        this.setSleepTimer(next);
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // LECTURE
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Charge les phrases à lire, en avançant dans le livre si nécessaire
+     * @param {BaseReader} reader
+     * @param {boolean} advance - Passer d'abord à la suite du livre
+     * @returns {Promise<boolean>} true si une phrase est prête
+     * @private
+     */
+    async _prepare(reader, advance) {
+        const token = playToken;
+
+        for (let attempt = 0; attempt < MAX_SKIPPED_SECTIONS; attempt++) {
+            if (advance && !(await advanceReader(reader))) {
+                this.stop();
+                EventBus.emit('status-message', '🔊 Fin du livre');
+                return false;
+            }
+            if (token !== playToken || !reader.isActive()) return false;
+            if (loadSentences(reader)) return true;
+            advance = true;
+        }
+
+        this.stop();
+        return false;
+    },
+
+    /**
+     * Lit la phrase courante
+     * @private
+     */
+    async _speakCurrent() {
+        const reader = getReader();
+        const sentence = sentences[sentenceIndex];
+        if (!reader?.isActive() || !sentence) return;
+
+        const token = ++playToken;
+        speechSynthesis.cancel();
+
+        await revealSentence(reader, sentence);
+        if (token !== playToken) return;
+        highlightSentence(reader.rendition, sentence);
+
+        const utterance = new SpeechSynthesisUtterance(sentence.text);
+        const voice = resolveVoice();
+        utterance.rate = rate;
+        utterance.lang = voice?.lang || getLanguage();
+        if (voice) utterance.voice = voice;
+
+        utterance.onend = () => {
+            if (token === playToken) this._onSentenceEnd();
+        };
+        utterance.onerror = (event) => {
+            if (token !== playToken || ['interrupted', 'canceled'].includes(event.error)) return;
+            logger.warn(`Speech error: ${event.error}`);
+            this._onSentenceEnd();
+        };
+
+        speechSynthesis.speak(utterance);
+    },
+
+    /**
+     * Enchaîne sur la phrase suivante, ou sur la suite du livre
+     * @private
+     */
+    async _onSentenceEnd() {
+        sentenceIndex++;
+        if (sentenceIndex < sentences.length) {
+            this._speakCurrent();
+            return;
+        }
+
+        clearSentence();
+        const reader = getReader();
+        if (reader && await this._prepare(reader, true)) {
+            this._speakCurrent();
+        }
+    },
+
+    /**
+     * Change l'état et le notifie
+     * @param {string} value
+     * @private
+     */
+    _setStatus(value) {
+        status = value;
+        this._emitState();
+    },
+
+    /**
+     * Notifie l'état courant
+     * @private
+     */
+    _emitState() {
+        EventBus.emit(Events.READ_ALOUD_STATE, this.getState());
+    }
+};
+
+export default ReadAloud;
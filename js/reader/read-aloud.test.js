@@ -0,0 +1,70 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReadAloud } from './read-aloud.js';
+import { createReader } from './reader-factory.js';
+import { StateManager } from '../core/state.js';
+import { EventBus } from '../events/event-bus.js';
+
+const CHAPTERS = ['c1.xhtml', 'c2.xhtml', 'c3.xhtml'];
+
+/**
+ * Rendition epub.js minimale : comme epub.js, la position n'est mise à jour
+ * (événement relocated) qu'après la résolution de display()
+ * @returns {Object}
+ */
+function fakeRendition() {
+    const listeners = new Set();
+    let index = 0;
+
+    return {
+        displayed: [],
+        display(href) {
+            this.displayed.push(href);
+            setTimeout(() => {
+                index = CHAPTERS.indexOf(href);
+                listeners.forEach(listener => listener());
+            }, 5);
+            return Promise.resolve();
+        },
+        currentLocation: () => ({ start: { index, cfi: `epubcfi(/6/${(index + 1) * 2}!/4/2)` } }),
+        on: (event, listener) => listeners.add(listener),
+        off: (event, listener) => listeners.delete(listener),
+        getContents: () => [],
+        themes: { register() {}, select() {}, override() {} },
+        annotations: { highlight() {}, remove() {} }
+    };
+}
+
+describe('ReadAloud chapter advance (scroll mode)', () => {
+    let reader;
+    let messages;
+    let listener;
+
+    beforeEach(() => {
+        StateManager.set('readerFlow', 'scrolled');
+        StateManager.set('continuousScroll', false);
+        StateManager.set('chapters', CHAPTERS.map(href => ({ href })));
+        StateManager.set('currentChapterIndex', 0);
+
+        reader = createReader('scrolled');
+        reader.rendition = fakeRendition();
+        reader.book = { spine: { get: (href) => ({ index: CHAPTERS.indexOf(href) }) } };
+
+        messages = [];
+        listener = EventBus.on('status-message', (message) => messages.push(message));
+    });
+
+    afterEach(() => {
+        EventBus.off('status-message', listener);
+    });
+
+    it('moves on to the following chapters before reporting the end of the book', async () => {
+        // Chapitres sans texte : la lecture passe au suivant jusqu'à la fin
+        const ready = await ReadAloud._prepare(reader, true);
+
+        assert.equal(ready, false);
+        assert.deepEqual(reader.rendition.displayed, ['c2.xhtml', 'c3.xhtml']);
+        assert.deepEqual(messages, ['🔊 Fin du livre']);
+    });
+});
@@ -9,6 +9,20 @@
 import { Config, StorageKeys } from '../core/config.js';
 import { StateManager } from '../core/state.js';
 import { DatabaseManager } from '../core/database.js';
+import { HighlightsManager } from '../core/highlights-manager.js';
+import { BookmarksManager } from '../core/bookmarks-manager.js';
+import { ReadingProfileManager } from '../core/reading-profile.js';
+import { BookStylesManager } from '../core/book-styles.js';
+import { ContentSecurity } from '../core/content-security.js';
+import { LocationsManager } from '../core/locations-manager.js';
+import { Footnotes } from './footnotes.js';
+import { AutoScroll } from './auto-scroll.js';
+import { MediaViewer } from './media-viewer.js';
+import { StartOfContent } from './start-of-content.js';
+import { PrintPages } from './print-pages.js';
+import { MediaOverlay } from './media-overlay.js';
+import { GeneratedToc } from './generated-toc.js';
+import { ReadingDirection } from './reading-direction.js';
 import { EventBus, Events } from '../events/event-bus.js';
 import ReaderFactory, { 
     createReader, 
@@ -18,6 +32,7 @@ import ReaderFactory, {
     switchFlow,
     toggleFlow as factoryToggleFlow,
     getFlow,
+    isFixedLayout,
     destroy as destroyFactory
 } from './reader-factory.js';
 import Logger from '../utils/logger.js';
@@ -31,31 +46,64 @@ const logger = new Logger('ReaderEngine');
 let book = null;
 
 /**
- * Trouve le premier chapitre dans la table des matières
- * @param {Array} items - Items de la TOC
- * @returns {string|null} Href du premier chapitre
+ * Historique de navigation : positions quittées par un saut (sommaire,
+ * lien interne, recherche, signet...) et positions quittées par "Retour"
  * @private
  */
-function findFirstChapter(items) {
-    for (const item of items) {
-        const label = item.label?.toLowerCase() || '';
-        if (label.includes('chapter') || label.includes('chapitre')) {
-            return item.href;
-        }
-        if (item.subitems) {
-            const found = findFirstChapter(item.subitems);
-            if (found) return found;
-        }
-    }
-    return null;
+let backStack = [];
+let forwardStack = [];
+
+/**
+ * Position CFI affichée par le reader courant
+ * @returns {string|null}
+ * @private
+ */
+function currentCFI() {
+    return getReader()?.rendition?.currentLocation()?.start?.cfi || null;
+}
+
+/**
+ * Notifie l'interface de l'état de l'historique
+ * @param {boolean} jumped - Vrai juste après un saut
+ * @private
+ */
+function emitHistory(jumped = false) {
+    EventBus.emit(Events.READER_HISTORY_CHANGED, {
+        canGoBack: backStack.length > 0,
+        canGoForward: forwardStack.length > 0,
+        jumped
+    });
+}
+
+/**
+ * Vide l'historique (ouverture ou fermeture d'un livre)
+ * @private
+ */
+function clearHistory() {
+    backStack = [];
+    forwardStack = [];
+    emitHistory();
+}
+
+/**
+ * Vérifie si un livre est à mise en page fixe (rendition:layout="pre-paginated",
+ * ou option iBooks fixed-layout pour les EPUB2)
+ * @param {ePub.Book} book - Livre epub.js ouvert
+ * @returns {boolean}
+ * @private
+ */
+function detectFixedLayout(book) {
+    return book?.package?.metadata?.layout === 'pre-paginated'
+        || book?.displayOptions?.fixedLayout === 'true';
 }
 
 /**
  * Rend la table des matières dans la sidebar
  * @param {Array} toc - Table des matières
+ * @param {Object|null} start - Début du texte ({ href }), affiché en tête
  * @private
  */
-function renderTOC(toc) {
+function renderTOC(toc, start = null) {
     const chapters = [];
     
     const addItems = (items, level = 1) => {
@@ -69,14 +117,53 @@ function renderTOC(toc) {
     };
     
     addItems(toc);
+    publishChapters(chapters, start);
+}
+
+/**
+ * Publie les chapitres (navigation) et les affiche dans les sommaires
+ * @param {Array} chapters - Chapitres à plat ({ label, href, level })
+ * @param {Object|null} start - Début du texte ({ href }), affiché en tête
+ * @private
+ */
+function publishChapters(chapters, start = null) {
     StateManager.set('chapters', chapters);
     
     if (chapters.length > 0) {
         StateManager.set('currentChapterIndex', 0);
     }
     
-    // Notifier que le sommaire est prêt
-    EventBus.emit('reader:toc-ready', chapters);
+    // Notifier que le sommaire est prêt ("Début du texte" affiché seulement :
+    // hors de la liste des chapitres, utilisée pour la navigation)
+    const entries = start
+        ? [{ label: 'Début du texte', href: start.href, level: 1, start: true }, ...chapters]
+        : chapters;
+    EventBus.emit('reader:toc-ready', entries);
+}
+
+/**
+ * Remplace un sommaire vide ou réduit à une entrée par un sommaire généré
+ * depuis les titres des chapitres (en arrière-plan, lecture déjà ouverte)
+ * @param {ePub.Book} target - Livre dont le sommaire est généré
+ * @param {Object|null} start - Début du texte ({ href })
+ * @private
+ */
+async function generateTOC(target, start) {
+    const chapters = await GeneratedToc.build(target);
+    if (target !== book || chapters.length === 0) return;
+    
+    publishChapters(chapters, start);
+    
+    // Chapitre de la position courante (sans attendre le prochain changement de page)
+    const cfi = currentCFI();
+    const href = cfi ? book.spine.get(cfi)?.href : null;
+    const index = href ? chapters.findIndex(ch => ch.href.split('#')[0] === href) : -1;
+    if (index !== -1) {
+        StateManager.set('currentChapterIndex', index);
+        StateManager.set('currentChapter', chapters[index].label);
+    }
+    
+    EventBus.emit('status-message', '📑 Sommaire généré automatiquement');
 }
 
 /**
@@ -137,6 +224,19 @@ export const ReaderEngine = {
             StateManager.set('currentBookId', id);
             EventBus.emit('reader:opening', { title: bookData.title });
             
+            // Charger les surlignages (avant le premier rendu) et les signets
+            await HighlightsManager.load(id);
+            await BookmarksManager.load(id);
+            
+            // Réglages propres au livre (avant la création du lecteur : mode de lecture)
+            ReadingProfileManager.apply(id, bookData.readingProfile || null);
+            
+            // Styles de l'éditeur et CSS personnalisé du livre
+            BookStylesManager.load(bookData);
+            
+            // Scripts du livre autorisés ou non (politique de sécurité)
+            ContentSecurity.load(bookData);
+            
             await this.initialize(bookData.epubData, bookData.lastCFI);
             
         } catch (error) {
@@ -159,6 +259,7 @@ export const ReaderEngine = {
         try {
             // Nettoyer l'ancien reader
             await destroyFactory();
+            clearHistory();
             if (book) {
                 book.destroy();
                 book = null;
@@ -176,23 +277,40 @@ export const ReaderEngine = {
             // `book.opened` se résout lorsque les métadonnées (packaging) sont prêtes.
             // C'est l'attente la plus importante pour corriger l'erreur `(reading 'packaging')`.
             await book.opened;
+            
+            // Politique de sécurité appliquée à chaque chapitre chargé
+            ContentSecurity.attach(book);
 
             // `book.ready` se résout lorsque tout le livre est prêt (TOC, etc.).
             await book.ready;
             
+            // Sens de lecture (droite à gauche, écriture verticale) avant le rendu
+            await ReadingDirection.detect(book);
+            
+            // Mise en page fixe (BD, albums) : lecteur dédié, sans styles de lecture
+            StateManager.set('fixedLayout', detectFixedLayout(book));
+            
             // Partager le livre avec le factory
             setBook(book);
             
             // Créer le reader approprié selon le mode
             const reader = createReader();
             
+            // Début du texte (repères EPUB, guide, spine, titres du sommaire)
+            const start = await StartOfContent.resolve(book);
+            
+            // Pages de l'édition imprimée (page-list)
+            await PrintPages.load(book);
+            
+            // Narration synchronisée (EPUB3 media overlays)
+            await MediaOverlay.load(book);
+            
             // Rendre la table des matières
             const toc = book.navigation?.toc || [];
-            renderTOC(toc);
+            renderTOC(toc, start);
             
             // Initialiser le reader avec la position sauvegardée
-            const firstChapter = findFirstChapter(toc);
-            const startLocation = savedCFI || firstChapter || undefined;
+            const startLocation = savedCFI || start?.href || undefined;
             
             await reader.init(book, startLocation);
             
@@ -204,6 +322,17 @@ export const ReaderEngine = {
             // Mettre à jour le bouton de mode
             updateFlowButton();
             
+            // Sommaire absent ou inutilisable : généré depuis les titres
+            if (GeneratedToc.isDegenerate(book, toc)) {
+                generateTOC(book, start);
+            }
+            
+            // Pages du livre : cache IndexedDB ou génération en arrière-plan
+            // (mise en page fixe : une page par document, pas de locations)
+            if (!isFixedLayout()) {
+                LocationsManager.load(book, StateManager.get('currentBookId'));
+            }
+            
             EventBus.emit('status-message', savedCFI ? '📖 Reprise de la lecture' : '📖 Livre chargé');
             EventBus.emit(Events.READER_OPENED, { bookId: StateManager.get('currentBookId') });
             
@@ -236,11 +365,10 @@ export const ReaderEngine = {
                 html, body {
                     cursor: pointer;
                     -webkit-tap-highlight-color: transparent;
-                    touch-action: manipulation;
+                    touch-action: pan-x pan-y; /* Pas de zoom du navigateur : le pincement est un geste */
                     -webkit-touch-callout: none; /* iOS: Pas de loupe/menu contextuel */
-                    -webkit-user-select: none;   /* iOS: Pas de sélection texte auto */
-                    user-select: none;
-                    -webkit-user-select: none;
+                    -webkit-user-select: text;   /* Sélection autorisée (surlignages) */
+                    user-select: text;
                 }
             `;
             doc.head.appendChild(style);
@@ -253,36 +381,176 @@ export const ReaderEngine = {
             let startY = 0;
             let startTime = 0;
             let _lastTapTs = null;
+            // Écart initial des doigts pendant un pincement, et geste à plusieurs doigts en cours
+            let pinchDistance = 0;
+            let multiTouch = false;
+
+            const touchDistance = (touches) => Math.hypot(
+                touches[1].clientX - touches[0].clientX,
+                touches[1].clientY - touches[0].clientY
+            );
+
+            // Une sélection de texte en cours n'est pas un tap
+            const hasSelection = () => {
+                const selection = win.getSelection();
+                return selection && !selection.isCollapsed;
+            };
+
+            // Tap sur un surlignage existant : ouvrir son édition au lieu de naviguer
+            const handleHighlightTap = (x, y) => {
+                const hit = HighlightsManager.hitTest(contents, x, y);
+                if (!hit) return false;
+                EventBus.emit(Events.HIGHLIGHT_CLICKED, hit);
+                return true;
+            };
+
+            // Tap pendant qu'une note est affichée : fermer la note sans tourner la page
+            const dismissNote = () => {
+                if (!Footnotes.isOpen()) return false;
+                Footnotes.close();
+                return true;
+            };
+
+            // Tap sur une image ou un tableau : l'afficher en plein écran
+            // (en pagination, les bords de l'écran tournent toujours la page)
+            const handleMediaTap = (target, x, width) => {
+                const el = MediaViewer.find(target);
+                if (!el) return false;
+                if (this.getFlow() === 'paginated') {
+                    const zone = width * StateManager.get('gestures').tapZone / 100;
+                    if (x < zone || x > width - zone) return false;
+                }
+                return MediaViewer.open(contents, el);
+            };
+
+            // Tap pendant le défilement automatique : le mettre en pause
+            const pauseAutoScroll = () => {
+                if (!AutoScroll.isRunning()) return false;
+                AutoScroll.pause();
+                return true;
+            };
+
+            // Tap sur un appel de note : afficher la note au lieu de naviguer
+            // (si la note est introuvable, suivre le lien comme epub.js)
+            const handleNoteRefClick = (e) => {
+                const link = e.target.closest?.('a[href]');
+                if (!link || !Footnotes.isNoteRef(link)) return false;
+
+                e.preventDefault();
+                e.stopPropagation();
+                Footnotes.open(contents, link).then(opened => {
+                    if (!opened) {
+                        this.recordJump();
+                        link.onclick?.();
+                    }
+                });
+                return true;
+            };
+
+            // Lien interne suivi par epub.js : mémoriser la position quittée
+            const recordLinkJump = (e) => {
+                const href = e.target.closest?.('a[href]')?.getAttribute('href');
+                if (href && !/^[a-z][a-z0-9+.-]*:/i.test(href)) {
+                    this.recordJump();
+                }
+            };
 
             // 4. TOUCHSTART (Sur window + Capture)
             win.addEventListener('touchstart', (e) => {
+                if (e.touches.length >= 2) {
+                    // Deuxième doigt : pincement (ni tap, ni glissement)
+                    multiTouch = true;
+                    pinchDistance = touchDistance(e.touches);
+                    EventBus.emit('reader:pinch', { phase: 'start', scale: 1 });
+                    return;
+                }
+
                 const touch = e.changedTouches[0];
                 startX = touch.clientX;
                 startY = touch.clientY;
                 startTime = Date.now();
+                multiTouch = false;
+            }, { capture: true, passive: false });
+
+            // 5. TOUCHMOVE : suivi du pincement
+            win.addEventListener('touchmove', (e) => {
+                if (!pinchDistance || e.touches.length < 2) return;
+                if (e.cancelable) e.preventDefault();
+                EventBus.emit('reader:pinch', {
+                    phase: 'move',
+                    scale: touchDistance(e.touches) / pinchDistance
+                });
             }, { capture: true, passive: false });
 
-            // 5. TOUCHEND (Sur window + Capture + Tolérance Retina)
+            win.addEventListener('touchcancel', () => {
+                if (pinchDistance) EventBus.emit('reader:pinch', { phase: 'end' });
+                pinchDistance = 0;
+            }, { capture: true });
+
+            // 6. TOUCHEND (Sur window + Capture + Tolérance Retina)
             win.addEventListener('touchend', (e) => {
-                // CONFLICT FIX: Ignorer les taps sur les éléments interactifs
-                // Empêche le ReaderEngine de voler le clic aux boutons de navigation
-                if (e.target.closest('a, button, input, select, textarea, .chapter-nav-btn')) {
+                // Fin d'un pincement : attendre que tous les doigts soient levés
+                if (multiTouch) {
+                    if (pinchDistance && e.touches.length < 2) {
+                        pinchDistance = 0;
+                        EventBus.emit('reader:pinch', { phase: 'end' });
+                    }
+                    if (e.touches.length === 0) multiTouch = false;
                     return;
                 }
 
                 const touch = e.changedTouches[0];
-                const diffX = Math.abs(touch.clientX - startX);
+                const deltaX = touch.clientX - startX;
+                const diffX = Math.abs(deltaX);
                 const diffY = Math.abs(touch.clientY - startY);
                 const duration = Date.now() - startTime;
 
-                // Tolérance Retina (30px) et durée courte (< 300ms)
-                if (diffX < 30 && diffY < 30 && duration < 300) {
+                // Glissement horizontal rapide (tourne la page, y compris sur un lien)
+                if (diffX >= Config.SWIPE_MIN_DISTANCE && diffX > diffY * 1.5
+                    && duration <= Config.SWIPE_MAX_DURATION) {
+                    if (hasSelection()) return;
+                    EventBus.emit('reader:swipe', { direction: deltaX < 0 ? 'left' : 'right' });
+                    return;
+                }
+
+                // CONFLICT FIX: Ignorer les taps sur les éléments interactifs
+                // Empêche le ReaderEngine de voler le clic aux boutons de navigation
+                if (e.target.closest('a, button, input, select, textarea, .chapter-nav-btn')) {
+                    return;
+                }
+
+                // Tolérance Retina (30px)
+                if (diffX >= 30 || diffY >= 30) return;
+
+                // Appui long sans sélection de texte (sinon le navigateur sélectionne un mot)
+                if (duration >= Config.LONG_PRESS_DELAY) {
+                    if (hasSelection()) return;
+                    if (e.cancelable) e.preventDefault();
+                    _lastTapTs = Date.now();
+                    EventBus.emit('reader:long-press', {
+                        x: touch.clientX,
+                        y: touch.clientY,
+                        width: win.innerWidth,
+                        target: e.target
+                    });
+                    return;
+                }
+
+                // Durée courte (< 300ms)
+                if (duration < 300) {
+                    if (hasSelection()) return;
+
                     // C'est un TAP valide
                     // IMPORTANT : preventDefault() empêche Safari de lancer le click fantôme ou le zoom
                     if (e.cancelable) e.preventDefault();
 
                     _lastTapTs = Date.now();
 
+                    if (pauseAutoScroll()) return;
+                    if (dismissNote()) return;
+                    if (handleHighlightTap(touch.clientX, touch.clientY)) return;
+                    if (handleMediaTap(e.target, touch.clientX, win.innerWidth)) return;
+
                     EventBus.emit('reader:tap', {
                         x: touch.clientX,
                         y: touch.clientY,
@@ -297,11 +565,29 @@ export const ReaderEngine = {
               'click',
               (e) => {
                 if (e.defaultPrevented) return;
+                if (handleNoteRefClick(e)) {
+                    _lastTapTs = Date.now();
+                    return;
+                }
+                recordLinkJump(e);
                 if (e.target.closest('a, button, input, select, textarea, label, [role="button"], [contenteditable], .chapter-nav-btn')) {
                     return;
                 }
                 // Empêche double déclenchement si touch a déjà marché
                 if (_lastTapTs && Date.now() - _lastTapTs < 400) return;
+                if (hasSelection()) return;
+                if (pauseAutoScroll()) {
+                    _lastTapTs = Date.now();
+                    return;
+                }
+                if (dismissNote()) {
+                    _lastTapTs = Date.now();
+                    return;
+                }
+                if (handleHighlightTap(e.clientX, e.clientY)) {
+                    _lastTapTs = Date.now();
+                    return;
+                }
 
                 const rect = rendition.iframe.getBoundingClientRect();
                 const x = e.clientX - rect.left;
@@ -310,6 +596,8 @@ export const ReaderEngine = {
 
                 _lastTapTs = Date.now();
 
+                if (handleMediaTap(e.target, x, width)) return;
+
                 EventBus.emit('reader:tap', {
                   x,
                   y,
@@ -355,11 +643,191 @@ export const ReaderEngine = {
      */
     async goToChapter(href) {
         const reader = getReader();
-        if (reader) {
+        if (reader && !this.isNavigating) {
+            this.recordJump();
             await this.safeNavigation(() => reader.goToChapter(href));
         }
     },
     
+    /**
+     * Navigue vers une position précise (surlignage, signet...)
+     * @param {string} cfi - Position CFI
+     */
+    async goToLocation(cfi) {
+        const reader = getReader();
+        if (reader && !this.isNavigating) {
+            this.recordJump();
+            await this.safeNavigation(() => reader.goToLocation(cfi));
+        }
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // POSITION DANS LE LIVRE (barre de progression, "Aller à")
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Nombre de pages du livre ouvert (0 tant que les pages sont inconnues)
+     * Mise en page fixe : une page par document de la spine.
+     * @returns {number}
+     */
+    getPageCount() {
+        if (!book) return 0;
+        return isFixedLayout() ? book.spine.length : LocationsManager.getTotal();
+    },
+    
+    /**
+     * Position (0-1) du début de chaque chapitre du sommaire
+     * Sans pages calculées : position de la section dans la spine.
+     * @returns {Array<{label: string, href: string, level: number, percentage: number}>}
+     */
+    getChapterMarks() {
+        if (!book) return [];
+        const sections = book.spine.length || 1;
+        
+        return StateManager.get('chapters')
+            .map(chapter => {
+                const section = book.spine.get(chapter.href);
+                if (!section) return null;
+                const percentage = isFixedLayout()
+                    ? null
+                    : LocationsManager.sectionPercentage(section);
+                return { ...chapter, percentage: percentage ?? section.index / sections };
+            })
+            .filter(Boolean);
+    },
+    
+    /**
+     * Va à un pourcentage du livre
+     * @param {number} percentage - Entre 0 et 1
+     */
+    async goToPercentage(percentage) {
+        if (!book) return;
+        const value = Math.min(1, Math.max(0, percentage));
+        
+        let target = isFixedLayout() ? null : LocationsManager.cfiFromPercentage(value);
+        if (!target) {
+            // Pages inconnues : début de la section correspondante
+            const index = Math.min(book.spine.length - 1, Math.floor(value * book.spine.length));
+            target = book.spine.get(index)?.href;
+        }
+        
+        if (target) await this.goToLocation(target);
+    },
+    
+    /**
+     * Va à une page ("page X sur Y")
+     * @param {number} page - Numéro de page (à partir de 1)
+     * @returns {Promise<boolean>} false si les pages sont inconnues
+     */
+    async goToPage(page) {
+        const total = this.getPageCount();
+        if (!total) return false;
+        
+        const number = Math.min(total, Math.max(1, Math.round(page)));
+        const target = isFixedLayout()
+            ? book.spine.get(number - 1)?.href
+            : LocationsManager.cfiFromPage(number);
+        if (!target) return false;
+        
+        await this.goToLocation(target);
+        return true;
+    },
+    
+    /**
+     * Va à une page de l'édition imprimée (page-list du livre)
+     * @param {string} label - Numéro de page ("42", "xii")
+     * @returns {Promise<boolean>} false si le livre n'a pas cette page
+     */
+    async goToPrintPage(label) {
+        const page = PrintPages.find(label);
+        if (!book || !page) return false;
+        
+        await this.goToLocation(page.cfi || page.href);
+        return true;
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // HISTORIQUE DE NAVIGATION
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Mémorise la position actuelle avant un saut
+     * (le "Suivant" est oublié, comme dans un navigateur)
+     */
+    recordJump() {
+        const cfi = currentCFI();
+        if (!cfi) return;
+        
+        if (backStack[backStack.length - 1] !== cfi) {
+            backStack.push(cfi);
+            if (backStack.length > Config.NAV_HISTORY_MAX) backStack.shift();
+        }
+        forwardStack = [];
+        emitHistory(true);
+    },
+    
+    /**
+     * Revient à la position quittée par le dernier saut
+     * @returns {Promise<boolean>} false si l'historique est vide
+     */
+    async goBack() {
+        return this._travel(backStack, forwardStack);
+    },
+    
+    /**
+     * Annule le dernier "Retour"
+     * @returns {Promise<boolean>} false s'il n'y a rien à rétablir
+     */
+    async goForward() {
+        return this._travel(forwardStack, backStack);
+    },
+    
+    /**
+     * Vérifie si un retour est possible
+     * @returns {boolean}
+     */
+    canGoBack() {
+        return backStack.length > 0;
+    },
+    
+    /**
+     * Vérifie si un "Suivant" est possible
+     * @returns {boolean}
+     */
+    canGoForward() {
+        return forwardStack.length > 0;
+    },
+    
+    /**
+     * Se déplace vers la dernière position d'une pile en mémorisant la
+     * position quittée dans l'autre
+     * @param {string[]} from - Pile de destination (retour ou suivant)
+     * @param {string[]} to - Pile qui reçoit la position actuelle
+     * @returns {Promise<boolean>}
+     * @private
+     */
+    async _travel(from, to) {
+        const reader = getReader();
+        if (!reader || this.isNavigating || from.length === 0) return false;
+        
+        const target = from.pop();
+        const cfi = currentCFI();
+        if (cfi && cfi !== target) to.push(cfi);
+        emitHistory();
+        
+        await this.safeNavigation(() => reader.goToLocation(target));
+        return true;
+    },
+    
+    /**
+     * Décrit la position de lecture courante
+     * @returns {{cfi: string, chapter: string|null, excerpt: string, percentage: number}|null}
+     */
+    getCurrentLocation() {
+        const reader = getReader();
+        return reader?.getCurrentLocation() || null;
+    },
+    
     /**
      * Va au chapitre précédent
      */
@@ -406,6 +874,10 @@ export const ReaderEngine = {
      */
     async setFlow(flow) {
         if (!['scrolled', 'paginated'].includes(flow)) return;
+        if (isFixedLayout()) {
+            EventBus.emit('status-message', '📖 Mise en page fixe : mode de lecture non modifiable');
+            return;
+        }
         
         await switchFlow(flow);
         updateFlowButton();
@@ -415,6 +887,11 @@ export const ReaderEngine = {
      * Bascule entre les modes scroll et pagination
      */
     async toggleFlow() {
+        if (isFixedLayout()) {
+            EventBus.emit('status-message', '📖 Mise en page fixe : mode de lecture non modifiable');
+            return;
+        }
+        
         await factoryToggleFlow();
         updateFlowButton();
         
@@ -423,6 +900,40 @@ export const ReaderEngine = {
         EventBus.emit('status-message', `📖 Mode ${modeName} activé`);
     },
     
+    /**
+     * Active ou désactive le défilement continu entre chapitres (persisté)
+     * Le livre ouvert en mode scroll est réaffiché à la même position ;
+     * la lecture à voix haute et le défilement automatique s'arrêtent
+     * comme lors d'un changement de mode.
+     * @param {boolean} enabled
+     */
+    async setContinuousScroll(enabled) {
+        StateManager.persist(StorageKeys.SCROLL_CONTINUOUS, 'continuousScroll', enabled);
+        
+        if (!this.isActive() || isFixedLayout() || getFlow() !== 'scrolled') return;
+        
+        const reader = await switchFlow('scrolled');
+        if (reader?.rendition) {
+            this.setupInteraction(reader.rendition);
+        }
+        updateFlowButton();
+        EventBus.emit('status-message', enabled ? '📜 Défilement continu activé' : '📜 Défilement par chapitre activé');
+    },
+    
+    /**
+     * Réaffiche le livre à la même position avec de nouveaux chapitres
+     * (politique de sécurité modifiée : les chapitres déjà chargés sont oubliés)
+     */
+    async reload() {
+        if (!book || !this.isActive()) return;
+        
+        book.spine.spineItems.forEach(section => section.unload());
+        const reader = await switchFlow(getFlow());
+        if (reader?.rendition) {
+            this.setupInteraction(reader.rendition);
+        }
+    },
+    
     /**
      * Ferme le lecteur et retourne à la bibliothèque
      */
@@ -433,18 +944,20 @@ export const ReaderEngine = {
             book = null;
         }
         
+        clearHistory();
+        GeneratedToc.cancel();
+        PrintPages.reset();
         StateManager.resetReaderState();
+        ReadingProfileManager.restore();
         EventBus.emit(Events.READER_CLOSED);
     },
     
     /**
-     * Récupère le mode de lecture actuel
+     * Récupère le mode de lecture effectif (mise en page fixe : toujours
+     * paginé, quel que soit le mode choisi pour les autres livres)
      * @returns {string} 'scrolled' ou 'paginated'
      */
     getFlow() {
-        return getFlow();
+        return isFixedLayout() ? 'paginated' : getFlow();
     }
 };
-
-// Exposer ReaderEngine sur window pour l'accès depuis les iframes epub.js
-window.ReaderEngine = ReaderEngine;
@@ -0,0 +1,56 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ReaderEngine } from './reader-engine.js';
+import { ScrollReader } from './scroll-reader.js';
+import { createReader, getReader, setBook } from './reader-factory.js';
+import { StateManager } from '../core/state.js';
+import { EventBus, Events } from '../events/event-bus.js';
+
+describe('ReaderEngine.setContinuousScroll', () => {
+    const originalInit = ScrollReader.prototype.init;
+    const originalSetupInteraction = ReaderEngine.setupInteraction;
+    let wired;
+    let flows;
+    let listener;
+
+    beforeEach(() => {
+        StateManager.set('readerFlow', 'scrolled');
+        StateManager.set('fixedLayout', false);
+
+        // Le nouveau reader reçoit une rendition sans passer par epub.js
+        ScrollReader.prototype.init = async function () {
+            this.rendition = { currentLocation: () => null };
+        };
+        wired = [];
+        ReaderEngine.setupInteraction = (rendition) => wired.push(rendition);
+
+        setBook({});
+        const reader = createReader('scrolled');
+        reader.rendition = { currentLocation: () => null };
+
+        flows = [];
+        listener = EventBus.on(Events.READER_FLOW_CHANGED, (data) => flows.push(data.flow));
+    });
+
+    afterEach(() => {
+        ScrollReader.prototype.init = originalInit;
+        ReaderEngine.setupInteraction = originalSetupInteraction;
+        setBook(null);
+        EventBus.off(Events.READER_FLOW_CHANGED, listener);
+    });
+
+    it('wires the interactions of the re-rendered book', async () => {
+        await ReaderEngine.setContinuousScroll(true);
+
+        assert.equal(StateManager.get('continuousScroll'), true);
+        assert.equal(wired.length, 1);
+        assert.equal(wired[0], getReader().rendition);
+    });
+
+    it('announces the re-rendering so flow-dependent features stop', async () => {
+        await ReaderEngine.setContinuousScroll(false);
+
+        assert.deepEqual(flows, ['scrolled']);
+    });
+});
@@ -2,12 +2,14 @@
  * ═══════════════════════════════════════════════════════════════════════════
  * READER/READER-FACTORY.JS
  * Factory pour créer l'instance Reader appropriée selon le mode de lecture.
- * Gère le switch entre ScrollReader et PagedReader.
+ * Gère le switch entre ScrollReader et PagedReader. Les livres à mise en
+ * page fixe utilisent toujours FixedLayoutReader.
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
 import { ScrollReader } from './scroll-reader.js';
 import { PagedReader } from './paged-reader.js';
+import { FixedLayoutReader } from './fixed-layout-reader.js';
 import { StateManager } from '../core/state.js';
 import { StorageKeys } from '../core/config.js';
 
@@ -47,16 +49,26 @@ export function isPagedMode() {
     return getFlow() === 'paginated';
 }
 
+/**
+ * Vérifie si le livre ouvert est à mise en page fixe
+ * @returns {boolean}
+ */
+export function isFixedLayout() {
+    return StateManager.get('fixedLayout') === true;
+}
+
 /**
  * Crée et retourne l'instance Reader appropriée (sans l'initialiser)
  * @param {string} flow - 'scrolled' ou 'paginated'
- * @returns {ScrollReader|PagedReader}
+ * @returns {ScrollReader|PagedReader|FixedLayoutReader}
  */
 export function createReader(flow = null) {
     const mode = flow || getFlow();
     
-    // Créer la nouvelle instance
-    if (mode === 'paginated') {
+    // Créer la nouvelle instance (mise en page fixe : pas de choix de mode)
+    if (isFixedLayout()) {
+        currentReader = new FixedLayoutReader();
+    } else if (mode === 'paginated') {
         currentReader = new PagedReader();
     } else {
         currentReader = new ScrollReader();
@@ -157,6 +169,7 @@ export default {
     getFlow,
     isScrollMode,
     isPagedMode,
+    isFixedLayout,
     createReader,
     getReader,
     setBook,
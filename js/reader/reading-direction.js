@@ -0,0 +1,128 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/READING-DIRECTION.JS
+ * Sens de lecture du livre ouvert : page-progression-direction de l'OPF
+ * (livres arabes, hébreux...) et mode d'écriture vertical (livres japonais).
+ * En sens 'rtl', la page suivante est à gauche : zones de tap, flèches du
+ * clavier et boutons de chapitre sont inversés.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { StateManager } from '../core/state.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ReadingDirection');
+
+/**
+ * Modes d'écriture reconnus
+ * @private
+ */
+const WRITING_MODES = ['horizontal-tb', 'vertical-rl', 'vertical-lr'];
+
+/**
+ * Sens déclaré par l'OPF (null si absent : déduit du mode d'écriture)
+ * @private
+ */
+let declaredDirection = null;
+
+/**
+ * Lit le mode d'écriture déclaré dans l'OPF
+ * (<meta name="primary-writing-mode" content="vertical-rl"/>)
+ * @param {ePub.Book} book
+ * @returns {Promise<string|null>}
+ * @private
+ */
+async function readDeclaredWritingMode(book) {
+    try {
+        const opf = await book.load(book.path.toString());
+        const content = opf?.querySelector?.('meta[name="primary-writing-mode"]')?.getAttribute('content');
+        return WRITING_MODES.includes(content) ? content : null;
+    } catch (e) {
+        logger.debug('Package document unavailable', e);
+        return null;
+    }
+}
+
+/**
+ * Sens de progression implicite d'un mode d'écriture
+ * @param {string} writingMode
+ * @returns {string} 'ltr' ou 'rtl'
+ * @private
+ */
+function directionOf(writingMode) {
+    return writingMode === 'vertical-rl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * ReadingDirection - Sens de lecture du livre ouvert
+ */
+export const ReadingDirection = {
+    /**
+     * Détecte le sens de lecture d'un livre (avant la création du lecteur)
+     * @param {ePub.Book} book - Livre epub.js ouvert
+     * @returns {Promise<void>}
+     */
+    async detect(book) {
+        const direction = book?.package?.metadata?.direction;
+        declaredDirection = ['ltr', 'rtl'].includes(direction) ? direction : null;
+
+        const writingMode = (await readDeclaredWritingMode(book)) || 'horizontal-tb';
+        StateManager.set('writingMode', writingMode);
+        StateManager.set('readingDirection', declaredDirection || directionOf(writingMode));
+
+        logger.info(`Reading direction: ${this.get()} (${writingMode})`);
+    },
+
+    /**
+     * Suit le mode d'écriture réel des chapitres (CSS du livre)
+     * @param {ePub.Rendition} rendition
+     */
+    attach(rendition) {
+        if (!rendition) return;
+        rendition.hooks.content.register((contents) => {
+            const writingMode = contents.writingMode?.() || '';
+            if (!WRITING_MODES.includes(writingMode) || writingMode === StateManager.get('writingMode')) return;
+
+            StateManager.set('writingMode', writingMode);
+            if (!declaredDirection) {
+                StateManager.set('readingDirection', directionOf(writingMode));
+            }
+        });
+    },
+
+    /**
+     * Sens de progression des pages
+     * @returns {string} 'ltr' ou 'rtl'
+     */
+    get() {
+        return StateManager.get('readingDirection') || 'ltr';
+    },
+
+    /**
+     * Indique si la page suivante est à gauche
+     * @returns {boolean}
+     */
+    isRtl() {
+        return this.get() === 'rtl';
+    },
+
+    /**
+     * Indique si le texte est écrit verticalement
+     * @returns {boolean}
+     */
+    isVertical() {
+        return (StateManager.get('writingMode') || '').startsWith('vertical');
+    },
+
+    /**
+     * Traduit un côté de l'écran en sens de navigation
+     * @param {string} side - 'left' ou 'right'
+     * @returns {string} 'prev' ou 'next'
+     */
+    sideToStep(side) {
+        const forward = this.isRtl() ? 'left' : 'right';
+        return side === forward ? 'next' : 'prev';
+    }
+};
+
+export default ReadingDirection;
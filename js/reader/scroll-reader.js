@@ -3,10 +3,15 @@
  * READER/SCROLL-READER.JS
  * Mode de lecture en défilement continu (scroll).
  * Optimisé pour la lecture sur mobile avec navigation fluide.
+ * Défilement continu (réglage) : les chapitres s'enchaînent dans un seul
+ * défilement (manager "continuous" d'epub.js, qui charge le chapitre suivant
+ * à l'approche de la fin et décharge ceux qui sont loin de l'écran).
  * ═══════════════════════════════════════════════════════════════════════════
  */
 
 import { BaseReader } from './base-reader.js';
+import { ReadingDirection } from './reading-direction.js';
+import { ContentSecurity } from '../core/content-security.js';
 import { StateManager } from '../core/state.js';
 import { UIManager } from '../ui/ui-manager.js';
 
@@ -18,6 +23,7 @@ export class ScrollReader extends BaseReader {
         super();
         this.name = 'ScrollReader';
         this.flow = 'scrolled';
+        this.continuous = StateManager.get('continuousScroll') === true;
     }
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -33,7 +39,10 @@ export class ScrollReader extends BaseReader {
             flow: 'scrolled',
             width: '100%',
             height: '100%',
-            spread: 'none'
+            spread: 'none',
+            manager: this.continuous ? 'continuous' : 'default',
+            direction: ReadingDirection.get(),
+            allowScriptedContent: ContentSecurity.allowsScripts()
         });
     }
 
@@ -54,6 +63,9 @@ export class ScrollReader extends BaseReader {
         // Mettre à jour la classe CSS du lecteur
         UIManager.updateReaderMode('scrolled');
         
+        // Défilement continu : pas de fin de chapitre, pas de boutons
+        if (this.continuous) return;
+        
         // Injecter la navigation de chapitres (mobile + desktop)
         this.rendition.on('rendered', () => {
             this._injectChapterNavigation();
@@ -66,10 +78,11 @@ export class ScrollReader extends BaseReader {
      * @returns {string}
      */
     _getBodyPadding(isMobile) {
+        const margin = this._getHorizontalMargin(isMobile);
         if (isMobile) {
-            return '70px 5vw 0 5vw !important';
+            return `70px ${margin} 0 ${margin} !important`;
         }
-        return '60px 10% 200px 10% !important';
+        return `60px ${margin} 200px ${margin} !important`;
     }
 
     /**
@@ -95,24 +108,36 @@ export class ScrollReader extends BaseReader {
     _onRelocated(location) {
         super._onRelocated(location);
         // Réinjecter la navigation après chaque relocation
-        this._injectChapterNavigation();
+        if (!this.continuous) this._injectChapterNavigation();
+    }
+
+    /**
+     * Défilement continu : vérifie si le dernier chapitre du livre est chargé
+     * (le bas du défilement est alors la fin du livre)
+     * @returns {boolean}
+     */
+    isLastSectionLoaded() {
+        const last = this.rendition?.manager?.views?.last();
+        return !last?.section?.next();
     }
 
     /**
      * Va au chapitre précédent
      * Surcharge pour bloquer la navigation par gesture en mode scroll
      * @param {boolean} isExplicit - True si appelé via le bouton de fin de chapitre
+     * @returns {Promise|undefined} Affichage du chapitre, undefined s'il n'y en a pas
      */
     prevChapter(isExplicit = false) {
-        if (isExplicit) super.prevChapter();
+        if (isExplicit) return super.prevChapter();
     }
 
     /**
      * Va au chapitre suivant
      * Surcharge pour bloquer la navigation par gesture en mode scroll
      * @param {boolean} isExplicit - True si appelé via le bouton de fin de chapitre
+     * @returns {Promise|undefined} Affichage du chapitre, undefined s'il n'y en a pas
      */
     nextChapter(isExplicit = false) {
-        if (isExplicit) super.nextChapter();
+        if (isExplicit) return super.nextChapter();
     }
 }
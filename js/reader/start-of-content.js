@@ -0,0 +1,148 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READER/START-OF-CONTENT.JS
+ * Début du texte d'un livre (après la couverture, le copyright, la dédicace...)
+ * où ouvrir un livre jamais lu. Sources, de la plus fiable à la moins fiable :
+ * repère "bodymatter" du nav EPUB3, référence "text" du <guide> EPUB2,
+ * éléments non linéaires en tête du spine, puis titres du sommaire.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('StartOfContent');
+
+/**
+ * Titres de sommaire marquant le début du texte (en minuscules)
+ * @private
+ */
+const START_LABELS = [
+    // Chapitre 1, Chapter One, Capítulo I, Kapitel 1...
+    /^(chapter|chapitre|chap\.|cap[ií]tulo|capitolo|kapitel|hoofdstuk|rozdział|kapitola|глава|luku)(\s|\d|$)/,
+    // Prologue
+    /^(prologue|prolog|prólogo|prologo|пролог)/,
+    // Première partie, Part One, Livre I...
+    /^(part|partie|parte|teil|book|livre|libro)\s+(1|i|one|un|une|premi|prim|erste)/,
+    /^(premi[eè]re|primera|prima|erster)\s+(partie|parte|teil)/,
+    // 第一章
+    /^第.{1,4}[章回节節]/,
+    // 1, I., 1 - Titre
+    /^(1|i)(\s*[.):—–-]|$)/
+];
+
+/**
+ * Début du texte du livre ouvert ({ href, source }) ou null
+ * @private
+ */
+let start = null;
+
+/**
+ * Repère EPUB3 <nav epub:type="landmarks"> de type bodymatter
+ * @param {ePub.Book} book
+ * @returns {string|null}
+ * @private
+ */
+function fromLandmarks(book) {
+    const landmark = book.navigation?.landmarks?.find(item =>
+        (item?.type || '').split(/\s+/).includes('bodymatter'));
+    return landmark?.href || null;
+}
+
+/**
+ * Référence <guide><reference type="text"> de l'OPF (EPUB2)
+ * epub.js ne lit pas le guide : l'OPF est rechargé.
+ * @param {ePub.Book} book
+ * @returns {Promise<string|null>}
+ * @private
+ */
+async function fromGuide(book) {
+    const opfPath = book.path?.toString();
+    if (!opfPath) return null;
+
+    try {
+        const opf = await book.load(opfPath);
+        const references = opf?.getElementsByTagNameNS?.('*', 'reference') || [];
+        const text = Array.from(references).find(ref =>
+            (ref.getAttribute('type') || '').toLowerCase() === 'text');
+        return text?.getAttribute('href') || null;
+    } catch (error) {
+        logger.debug('OPF guide unavailable', error);
+        return null;
+    }
+}
+
+/**
+ * Premier élément linéaire du spine, s'il suit des éléments marqués
+ * linear="no" (couverture, page de titre...)
+ * @param {ePub.Book} book
+ * @returns {string|null}
+ * @private
+ */
+function fromSpine(book) {
+    const items = book.spine?.spineItems || [];
+    const index = items.findIndex(item => item.linear);
+    return index > 0 ? items[index].href : null;
+}
+
+/**
+ * Premier titre du sommaire ressemblant au début du texte
+ * @param {Array} items - Entrées du sommaire (epub.js)
+ * @returns {string|null}
+ * @private
+ */
+function fromLabels(items = []) {
+    for (const item of items) {
+        const label = (item.label || '').trim().toLowerCase();
+        if (item.href && START_LABELS.some(pattern => pattern.test(label))) {
+            return item.href;
+        }
+        const found = fromLabels(item.subitems);
+        if (found) return found;
+    }
+    return null;
+}
+
+/**
+ * StartOfContent - Début du texte du livre ouvert
+ */
+export const StartOfContent = {
+    /**
+     * Détermine le début du texte d'un livre (après book.ready)
+     * @param {ePub.Book} book
+     * @returns {Promise<{href: string, source: string}|null>}
+     */
+    async resolve(book) {
+        start = null;
+        if (!book) return null;
+
+        const candidates = [
+            ['landmarks', () => fromLandmarks(book)],
+            ['guide', () => fromGuide(book)],
+            ['spine', () => fromSpine(book)],
+            ['toc', () => fromLabels(book.navigation?.toc)]
+        ];
+
+        for (const [source, find] of candidates) {
+            const href = await find();
+            // Lien hors du spine (ou chemin relatif mal résolu) : source suivante
+            if (href && book.spine?.get(href)) {
+                start = { href, source };
+                logger.info(`Start of content: ${href} (${source})`);
+                return start;
+            }
+        }
+
+        logger.debug('No start of content found');
+        return null;
+    },
+
+    /**
+     * Début du texte du livre ouvert
+     * @returns {string|null} Lien (href), null si inconnu
+     */
+    getHref() {
+        return start?.href || null;
+    }
+};
+
+export default StartOfContent;
@@ -0,0 +1,56 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * AUTO-SCROLL-UI.JS
+ * Interface du défilement automatique : barre de contrôle (défilement/pause,
+ * vitesse, arrêt) et état actif des boutons de lancement.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { AutoScroll } from '../reader/auto-scroll.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('AutoScrollUI');
+
+/**
+ * AutoScrollUI - Contrôles du défilement automatique
+ */
+export const AutoScrollUI = {
+    /**
+     * Initialise l'interface du défilement automatique
+     */
+    init() {
+        EventBus.on(Events.AUTO_SCROLL_STATE, (state) => this.render(state));
+
+        this.render(AutoScroll.getState());
+        logger.info('AutoScrollUI initialized');
+    },
+
+    /**
+     * Met à jour la barre de contrôle
+     * @param {Object} state - { status, speed }
+     */
+    render({ status, speed }) {
+        const bar = UIManager.get('autoScrollBar');
+        if (!bar) return;
+
+        bar.hidden = status === 'idle';
+
+        const toggle = UIManager.get('autoScrollToggle');
+        if (toggle) {
+            const running = status === 'running';
+            toggle.textContent = running ? '⏸' : '▶';
+            toggle.setAttribute('aria-label', running ? 'Pause' : 'Reprendre le défilement');
+        }
+
+        const speedLabel = UIManager.get('autoScrollSpeed');
+        if (speedLabel) speedLabel.textContent = `${speed} px/s`;
+
+        document.querySelectorAll('[data-action="auto-scroll-toggle"].auto-scroll-launcher').forEach(btn => {
+            btn.classList.toggle('active', status !== 'idle');
+        });
+    }
+};
+
+export default AutoScrollUI;
@@ -62,6 +62,7 @@ export class BaseUI {
     updateReaderMode(flow) {
         if (this.elements.readerView) {
             this.elements.readerView.classList.toggle('pagination-mode', flow === 'paginated');
+            this.elements.readerView.classList.toggle('fixed-layout-mode', StateManager.get('fixedLayout'));
         }
     }
 
@@ -76,6 +77,17 @@ export class BaseUI {
         }
     }
 
+    /**
+     * Affiche le chapitre en cours à côté du titre
+     * @param {string|null} label - Titre du chapitre
+     */
+    setReaderChapter(label) {
+        const chapter = this.elements.readerChapter;
+        if (!chapter) return;
+        chapter.textContent = label?.trim() || '';
+        chapter.hidden = !chapter.textContent;
+    }
+
     // ═══════════════════════════════════════════════════════════════════════
     // GESTION DU SOMMAIRE (TOC) - COMMUN
     // ═══════════════════════════════════════════════════════════════════════
@@ -150,16 +162,24 @@ export class BaseUI {
      * @param {number} percent - Pourcentage (0-100)
      */
     updateProgress(percent) {
+        const value = Math.min(100, Math.max(0, percent));
+        const scrubber = this.elements.progressScrubber;
+
+        // Pendant un glisser, la barre suit le doigt
+        if (scrubber?.classList.contains('dragging')) return;
+
         if (this.elements.progressBar) {
-            this.elements.progressBar.style.width = `${Math.min(100, Math.max(0, percent))}%`;
+            this.elements.progressBar.style.width = `${value}%`;
         }
+        scrubber?.setAttribute('aria-valuenow', String(Math.round(value)));
     }
 
     /**
      * Met à jour l'indicateur de progression textuel
      * @param {string} text - Texte à afficher
+     * @param {string} [detail] - Seconde ligne (estimation du temps restant)
      */
-    updateProgressText(text) {
+    updateProgressText(text, detail = '') {
         let indicator = document.getElementById('progressIndicator');
 
         if (!indicator) {
@@ -175,6 +195,12 @@ export class BaseUI {
 
         if (indicator) {
             indicator.textContent = text;
+            if (detail) {
+                const detailEl = document.createElement('span');
+                detailEl.className = 'progress-indicator-detail';
+                detailEl.textContent = detail;
+                indicator.appendChild(detailEl);
+            }
             indicator.style.opacity = '1';
 
             clearTimeout(indicator._hideTimeout);
@@ -0,0 +1,110 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BOOK-STYLES-UI.JS
+ * Réglages "Styles de l'éditeur" et "CSS personnalisé" de la section
+ * "Ce livre" des paramètres, appliqués en direct au livre ouvert.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { StateManager } from '../core/state.js';
+import { BookStylesManager } from '../core/book-styles.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { SettingsManager, SettingType } from './settings-manager.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('BookStylesUI');
+
+/**
+ * Description de chaque niveau de remplacement
+ * @private
+ */
+const MODE_DESCRIPTIONS = {
+    override: 'Police, interligne, marges et alignement de l\'application',
+    partial: 'Mise en page du livre, couleurs et taille du texte de l\'application',
+    original: 'Mise en page et police du livre, couleurs du thème seulement'
+};
+
+/**
+ * BookStylesUI - Styles de l'éditeur du livre ouvert
+ */
+export const BookStylesUI = {
+    /**
+     * Ajoute les réglages à la section "Ce livre"
+     * (ReadingProfileUI doit être initialisé avant)
+     */
+    init() {
+        SettingsManager.registerSetting('bookProfile', {
+            id: 'publisherStyles',
+            label: 'Styles de l\'éditeur',
+            getDescription: () => StateManager.get('currentBookId')
+                ? MODE_DESCRIPTIONS[BookStylesManager.getMode()]
+                : 'Aucun livre ouvert',
+            type: SettingType.SELECT,
+            options: [
+                { value: 'override', label: 'Remplacés' },
+                { value: 'partial', label: 'Remplacés en partie' },
+                { value: 'original', label: 'Conservés' }
+            ],
+            getValue: () => BookStylesManager.getMode(),
+            setValue: (value) => this.setMode(value)
+        });
+
+        SettingsManager.registerSetting('bookProfile', {
+            id: 'customCSS',
+            label: 'CSS personnalisé',
+            getDescription: () => StateManager.get('currentBookId')
+                ? 'Appliqué à chaque chapitre de ce livre (ajoutez !important pour l\'emporter sur les styles de lecture)'
+                : 'Aucun livre ouvert',
+            type: SettingType.TEXTAREA,
+            rows: 5,
+            placeholder: 'p { text-indent: 0; }',
+            getValue: () => StateManager.get('customCSS'),
+            setValue: (value) => this.setCustomCSS(value)
+        });
+
+        logger.info('BookStylesUI initialized');
+    },
+
+    /**
+     * Change le niveau de remplacement et réaffiche le chapitre
+     * @param {string} mode - 'override', 'partial' ou 'original'
+     */
+    async setMode(mode) {
+        if (!StateManager.get('currentBookId')) {
+            SettingsManager.refresh();
+            return;
+        }
+
+        try {
+            await BookStylesManager.setMode(mode);
+        } catch (error) {
+            logger.error('Publisher styles save failed', error);
+            UIManager.showStatus('Erreur lors de l\'enregistrement');
+        }
+
+        ReaderEngine.applyTheme();
+        SettingsManager.refresh();
+    },
+
+    /**
+     * Enregistre le CSS personnalisé du livre ouvert
+     * @param {string} css
+     */
+    async setCustomCSS(css) {
+        if (!StateManager.get('currentBookId')) {
+            SettingsManager.refresh();
+            return;
+        }
+
+        try {
+            await BookStylesManager.setCustomCSS(css);
+            UIManager.showStatus('🎨 CSS du livre enregistré');
+        } catch (error) {
+            logger.error('Custom CSS save failed', error);
+            UIManager.showStatus('Erreur lors de l\'enregistrement');
+        }
+    }
+};
+
+export default BookStylesUI;
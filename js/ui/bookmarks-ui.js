@@ -0,0 +1,128 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * BOOKMARKS-UI.JS
+ * Interface des signets : onglet "Signets" du sommaire (sidebar desktop et
+ * bottom sheet mobile) et ajout d'un signet à la position courante.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { BookmarksManager } from '../core/bookmarks-manager.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { PrintPages } from '../reader/print-pages.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('BookmarksUI');
+
+/**
+ * Listes de signets à alimenter (desktop + mobile)
+ * @private
+ */
+const LIST_IDS = ['bookmarksList', 'bookmarksListMobile'];
+
+/**
+ * Génère le HTML d'un signet
+ * @param {Object} bookmark
+ * @returns {string}
+ * @private
+ */
+function renderItem(bookmark) {
+    const esc = (text) => UIManager.escapeHtml(text);
+    const meta = [
+        bookmark.chapter && bookmark.chapter !== bookmark.label ? esc(bookmark.chapter) : '',
+        esc(PrintPages.format(bookmark)),
+        `${Math.round((bookmark.percentage || 0) * 100)}%`
+    ].filter(Boolean).join(' · ');
+
+    return `
+        <li class="bookmark-item">
+            <button type="button" class="bookmark-item-main" data-action="goto-bookmark" data-cfi="${esc(bookmark.cfi)}">
+                <span class="bookmark-item-label">🔖 ${esc(bookmark.label)}</span>
+                ${bookmark.excerpt ? `<span class="bookmark-item-excerpt">${esc(bookmark.excerpt)}</span>` : ''}
+                <span class="bookmark-item-meta">${meta}</span>
+            </button>
+            <div class="bookmark-item-actions">
+                <button type="button" class="bookmark-item-btn" data-action="rename-bookmark" data-id="${bookmark.id}" aria-label="Renommer le signet">✎</button>
+                <button type="button" class="bookmark-item-btn danger" data-action="delete-bookmark" data-id="${bookmark.id}" aria-label="Supprimer le signet">✕</button>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * BookmarksUI - Listes de signets et ajout à la position courante
+ */
+export const BookmarksUI = {
+    /**
+     * Initialise l'interface des signets
+     */
+    init() {
+        EventBus.on(Events.BOOKMARKS_UPDATED, (bookmarks) => this.renderLists(bookmarks));
+        this.renderLists(BookmarksManager.getAll());
+        logger.info('BookmarksUI initialized');
+    },
+
+    /**
+     * Ajoute un signet à la position de lecture courante
+     */
+    async addCurrent() {
+        const location = ReaderEngine.getCurrentLocation();
+        if (!location) return;
+
+        const alreadyMarked = BookmarksManager.getAll().some(b => b.cfi === location.cfi);
+        if (alreadyMarked) {
+            UIManager.showStatus('🔖 Signet déjà présent');
+            return;
+        }
+
+        try {
+            await BookmarksManager.add(location);
+            UIManager.showStatus('🔖 Signet ajouté');
+        } catch (error) {
+            logger.error('Bookmark add failed', error);
+            UIManager.showStatus('Erreur lors de l\'ajout du signet');
+        }
+    },
+
+    /**
+     * Demande un nouveau nom pour un signet
+     * @param {number} id - ID du signet
+     */
+    async rename(id) {
+        const bookmark = BookmarksManager.get(id);
+        if (!bookmark) return;
+
+        const label = prompt('Nom du signet', bookmark.label);
+        if (label === null) return;
+
+        try {
+            await BookmarksManager.rename(id, label);
+        } catch (error) {
+            logger.error('Bookmark rename failed', error);
+            UIManager.showStatus('Erreur lors du renommage');
+        }
+    },
+
+    /**
+     * Rend les listes de signets (sidebar desktop + bottom sheet mobile)
+     * @param {Array} bookmarks
+     */
+    renderLists(bookmarks = []) {
+        const html = bookmarks.length > 0
+            ? bookmarks.map(renderItem).join('')
+            : `
+                <li class="reader-panel-empty">
+                    <div class="reader-panel-empty-title">Aucun signet</div>
+                    <div class="reader-panel-empty-text">Ajoutez un signet avec 🔖 ou la touche B</div>
+                </li>
+            `;
+
+        LIST_IDS.forEach(id => {
+            const list = UIManager.get(id);
+            if (list) list.innerHTML = html;
+        });
+    }
+};
+
+export default BookmarksUI;
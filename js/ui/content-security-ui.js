@@ -0,0 +1,64 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CONTENT-SECURITY-UI.JS
+ * Réglage "Autoriser les scripts" de la section "Ce livre" des paramètres.
+ * Le livre est réaffiché pour appliquer la nouvelle politique.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { StateManager } from '../core/state.js';
+import { ContentSecurity } from '../core/content-security.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { SettingsManager, SettingType } from './settings-manager.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ContentSecurityUI');
+
+/**
+ * ContentSecurityUI - Autorisation des scripts du livre ouvert
+ */
+export const ContentSecurityUI = {
+    /**
+     * Ajoute le réglage à la section "Ce livre"
+     * (ReadingProfileUI doit être initialisé avant)
+     */
+    init() {
+        SettingsManager.registerSetting('bookProfile', {
+            id: 'allowScripts',
+            label: 'Autoriser les scripts',
+            getDescription: () => StateManager.get('currentBookId')
+                ? 'Livres interactifs uniquement : les scripts du livre peuvent accéder à l\'application'
+                : 'Aucun livre ouvert',
+            type: SettingType.TOGGLE,
+            getValue: () => ContentSecurity.allowsScripts(),
+            setValue: (value) => this.toggle(Boolean(value))
+        });
+
+        logger.info('ContentSecurityUI initialized');
+    },
+
+    /**
+     * Autorise ou bloque les scripts du livre ouvert et le réaffiche
+     * @param {boolean} enabled
+     */
+    async toggle(enabled) {
+        if (!StateManager.get('currentBookId')) {
+            SettingsManager.refresh();
+            return;
+        }
+
+        try {
+            await ContentSecurity.setAllowScripts(enabled);
+            await ReaderEngine.reload();
+            UIManager.showStatus(enabled ? '⚠️ Scripts du livre autorisés' : '🔒 Scripts du livre désactivés');
+        } catch (error) {
+            logger.error('Scripts toggle failed', error);
+            UIManager.showStatus('Erreur lors de l\'enregistrement');
+        }
+
+        SettingsManager.refresh();
+    }
+};
+
+export default ContentSecurityUI;
@@ -205,6 +205,15 @@ export class DesktopUI extends BaseUI {
         if (!tocList) return;
 
         tocList.innerHTML = '';
+
+        // Sommaire généré depuis les titres du livre (sommaire absent)
+        if (chapters.some(chapter => chapter.generated)) {
+            const note = document.createElement('li');
+            note.className = 'toc-note';
+            note.textContent = 'Sommaire généré automatiquement';
+            tocList.appendChild(note);
+        }
+
         chapters.forEach(chapter => {
             const li = document.createElement('li');
             li.className = 'toc-item';
@@ -216,6 +225,9 @@ export class DesktopUI extends BaseUI {
             if (chapter.level) {
                 li.dataset.level = chapter.level;
             }
+            if (chapter.start) {
+                li.classList.add('toc-item-start');
+            }
             
             tocList.appendChild(li);
         });
@@ -0,0 +1,159 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FOOTNOTES-UI.JS
+ * Pop-over des notes de bas de page : texte de la note affiché près de son
+ * appel, avec un lien "Aller à la note" pour ouvrir le chapitre des notes.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Footnotes } from '../reader/footnotes.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('FootnotesUI');
+
+/**
+ * Marge entre l'appel de note et le pop-over (px)
+ * @private
+ */
+const POPOVER_OFFSET = 10;
+
+/**
+ * FootnotesUI - Pop-over des notes
+ */
+export const FootnotesUI = {
+    /**
+     * Élément du pop-over
+     * @private
+     */
+    popover: null,
+
+    /**
+     * Initialise le pop-over des notes
+     */
+    init() {
+        this.createPopover();
+        this.bindEvents();
+        logger.info('FootnotesUI initialized');
+    },
+
+    /**
+     * Crée le pop-over (ajouté au body, masqué par défaut)
+     * @private
+     */
+    createPopover() {
+        this.popover = document.createElement('div');
+        this.popover.className = 'footnote-popover';
+        this.popover.id = 'footnotePopover';
+        this.popover.setAttribute('role', 'dialog');
+        this.popover.setAttribute('aria-label', 'Note');
+        this.popover.tabIndex = -1;
+        this.popover.innerHTML = `
+            <div class="footnote-popover-header">
+                <span class="footnote-popover-label"></span>
+                <button type="button" class="footnote-popover-close" data-role="close" aria-label="Fermer la note">✕</button>
+            </div>
+            <div class="footnote-popover-body"></div>
+            <div class="footnote-popover-actions">
+                <button type="button" class="footnote-popover-btn" data-role="goto">Aller à la note →</button>
+            </div>
+        `;
+        document.body.appendChild(this.popover);
+    },
+
+    /**
+     * Attache les écouteurs (bus d'événements + pop-over)
+     * @private
+     */
+    bindEvents() {
+        EventBus.on(Events.FOOTNOTE_OPENED, (note) => this.show(note));
+        EventBus.on(Events.FOOTNOTE_CLOSED, () => this.hide());
+
+        this.popover.addEventListener('click', (e) => {
+            const role = e.target.closest('[data-role]')?.dataset.role;
+            if (role === 'close') Footnotes.close();
+            if (role === 'goto') this.goToNote();
+        });
+
+        this.popover.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                Footnotes.close();
+            }
+        });
+
+        // Clic en dehors (hors iframe) : fermer
+        document.addEventListener('pointerdown', (e) => {
+            if (this.isOpen() && !this.popover.contains(e.target)) {
+                Footnotes.close();
+            }
+        }, { passive: true });
+    },
+
+    /**
+     * Affiche une note près de son appel
+     * @param {Object} note - { label, html, rect }
+     */
+    show({ label, html, rect }) {
+        const popover = this.popover;
+        popover.querySelector('.footnote-popover-label').textContent = label ? `Note ${label}` : 'Note';
+        popover.querySelector('.footnote-popover-body').innerHTML = html;
+        popover.classList.add('open');
+        popover.scrollTop = 0;
+
+        const { offsetWidth: width, offsetHeight: height } = popover;
+        const anchor = rect || { top: window.innerHeight / 2, bottom: window.innerHeight / 2, left: window.innerWidth / 2, width: 0 };
+
+        let top = anchor.bottom + POPOVER_OFFSET;
+        if (top + height > window.innerHeight - POPOVER_OFFSET) {
+            top = Math.max(POPOVER_OFFSET, anchor.top - height - POPOVER_OFFSET);
+        }
+
+        const centerX = anchor.left + anchor.width / 2;
+        const left = Math.min(
+            Math.max(POPOVER_OFFSET, centerX - width / 2),
+            window.innerWidth - width - POPOVER_OFFSET
+        );
+
+        popover.style.top = `${top}px`;
+        popover.style.left = `${left}px`;
+        popover.focus({ preventScroll: true });
+    },
+
+    /**
+     * Masque le pop-over
+     */
+    hide() {
+        if (!this.popover) return;
+        this.popover.classList.remove('open');
+        this.popover.querySelector('.footnote-popover-body').innerHTML = '';
+    },
+
+    /**
+     * Vérifie si le pop-over est affiché
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.popover?.classList.contains('open') || false;
+    },
+
+    /**
+     * Quitte la page pour afficher la note dans son chapitre
+     */
+    async goToNote() {
+        const href = Footnotes.getActiveHref();
+        Footnotes.close();
+        if (!href) return;
+
+        try {
+            await ReaderEngine.goToLocation(href);
+        } catch (error) {
+            logger.error('Go to note failed', error);
+            UIManager.showStatus('Note introuvable');
+        }
+    }
+};
+
+export default FootnotesUI;
@@ -0,0 +1,133 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * GESTURES-UI.JS
+ * Section "Gestes" des paramètres : largeur des zones de tap et action de
+ * chaque geste tactile (double tap, appui long, glissement, pincement).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config, StorageKeys } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { SettingsManager, SettingType } from './settings-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('GesturesUI');
+
+/**
+ * Actions proposées pour le double tap et l'appui long (actions de ActionHandler)
+ * @private
+ */
+const ACTION_OPTIONS = [
+    { value: 'none', label: 'Aucune' },
+    { value: 'toggle-interface', label: 'Afficher / masquer l\'interface' },
+    { value: 'add-bookmark', label: 'Ajouter un marque-page' },
+    { value: 'toggle-toc', label: 'Ouvrir le sommaire' },
+    { value: 'toggle-search', label: 'Rechercher dans le livre' },
+    { value: 'toggle-highlights', label: 'Surlignages et notes' },
+    { value: 'read-aloud-toggle', label: 'Lecture à voix haute' },
+    { value: 'toggle-flow', label: 'Changer de mode de lecture' },
+    { value: 'toggle-theme', label: 'Changer de thème' }
+];
+
+/**
+ * Retourne un réglage des gestes
+ * @param {string} key - Clé de Config.GESTURE_DEFAULTS
+ * @returns {*}
+ * @private
+ */
+function getGesture(key) {
+    return StateManager.get('gestures')[key];
+}
+
+/**
+ * Modifie un réglage des gestes et le persiste
+ * @param {string} key - Clé de Config.GESTURE_DEFAULTS
+ * @param {*} value
+ * @private
+ */
+function setGesture(key, value) {
+    const gestures = { ...StateManager.get('gestures'), [key]: value };
+    localStorage.setItem(StorageKeys.GESTURES, JSON.stringify(gestures));
+    StateManager.set('gestures', gestures);
+}
+
+/**
+ * GesturesUI - Paramètres des gestes tactiles
+ */
+export const GesturesUI = {
+    /**
+     * Enregistre la section Gestes
+     */
+    init() {
+        SettingsManager.registerSection({
+            id: 'gestures',
+            title: 'Gestes',
+            icon: '👆',
+            order: 5,
+            settings: [
+                {
+                    id: 'tapZone',
+                    label: 'Zones de tap gauche / droite',
+                    getDescription: () => 'Largeur des bords de l\'écran qui tournent la page',
+                    type: SettingType.SLIDER,
+                    min: Config.TAP_ZONE_WIDTH.MIN,
+                    max: Config.TAP_ZONE_WIDTH.MAX,
+                    step: Config.TAP_ZONE_WIDTH.STEP,
+                    unit: '%',
+                    getValue: () => getGesture('tapZone'),
+                    setValue: (value) => setGesture('tapZone', parseInt(value, 10))
+                },
+                {
+                    id: 'doubleTap',
+                    label: 'Double tap',
+                    getDescription: () => getGesture('doubleTap') === 'none'
+                        ? 'Les taps sont traités sans délai'
+                        : '',
+                    type: SettingType.SELECT,
+                    options: ACTION_OPTIONS,
+                    getValue: () => getGesture('doubleTap'),
+                    setValue: (value) => {
+                        setGesture('doubleTap', value);
+                        SettingsManager.refresh();
+                    }
+                },
+                {
+                    id: 'longPress',
+                    label: 'Appui long',
+                    type: SettingType.SELECT,
+                    options: ACTION_OPTIONS,
+                    getValue: () => getGesture('longPress'),
+                    setValue: (value) => setGesture('longPress', value)
+                },
+                {
+                    id: 'swipe',
+                    label: 'Glissement horizontal',
+                    getDescription: () => 'Mode pages uniquement',
+                    type: SettingType.SELECT,
+                    options: [
+                        { value: 'page', label: 'Tourner la page' },
+                        { value: 'chapter', label: 'Changer de chapitre' },
+                        { value: 'none', label: 'Aucune' }
+                    ],
+                    getValue: () => getGesture('swipe'),
+                    setValue: (value) => setGesture('swipe', value)
+                },
+                {
+                    id: 'pinch',
+                    label: 'Pincement',
+                    type: SettingType.SELECT,
+                    options: [
+                        { value: 'font-size', label: 'Taille du texte' },
+                        { value: 'none', label: 'Aucune' }
+                    ],
+                    getValue: () => getGesture('pinch'),
+                    setValue: (value) => setGesture('pinch', value)
+                }
+            ]
+        });
+
+        logger.info('GesturesUI initialized');
+    }
+};
+
+export default GesturesUI;
@@ -0,0 +1,329 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * HIGHLIGHTS-UI.JS
+ * Interface des surlignages : pop-over de sélection/édition (couleur + note)
+ * et panneau listant les passages surlignés du livre courant.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { HighlightsManager } from '../core/highlights-manager.js';
+import { PrintPages } from '../reader/print-pages.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('HighlightsUI');
+
+/**
+ * Marge entre le passage et le pop-over (px)
+ * @private
+ */
+const POPOVER_OFFSET = 10;
+
+/**
+ * Libellés des couleurs (accessibilité)
+ * @private
+ */
+const COLOR_LABELS = {
+    yellow: 'Jaune',
+    green: 'Vert',
+    blue: 'Bleu',
+    pink: 'Rose'
+};
+
+/**
+ * HighlightsUI - Pop-over et panneau des surlignages
+ */
+export const HighlightsUI = {
+    /**
+     * Élément du pop-over
+     * @private
+     */
+    popover: null,
+
+    /**
+     * Sélection en attente ({ cfiRange, text }) ou surlignage édité ({ highlight })
+     * @private
+     */
+    pending: null,
+
+    /**
+     * Initialise l'interface des surlignages
+     */
+    init() {
+        this.createPopover();
+        this.bindEvents();
+        this.renderList(HighlightsManager.getAll());
+        logger.info('HighlightsUI initialized');
+    },
+
+    /**
+     * Crée le pop-over (ajouté au body, masqué par défaut)
+     * @private
+     */
+    createPopover() {
+        const swatches = Object.entries(Config.HIGHLIGHT_COLORS).map(([key, value]) => `
+            <button type="button" class="highlight-swatch" data-color="${key}"
+                    style="--swatch-color: ${value}" aria-label="Surligner en ${COLOR_LABELS[key] || key}"></button>
+        `).join('');
+
+        this.popover = document.createElement('div');
+        this.popover.className = 'highlight-popover';
+        this.popover.id = 'highlightPopover';
+        this.popover.setAttribute('role', 'dialog');
+        this.popover.setAttribute('aria-label', 'Surlignage');
+        this.popover.innerHTML = `
+            <div class="highlight-swatches">${swatches}</div>
+            <textarea class="highlight-note-input" rows="2" placeholder="Ajouter une note..." aria-label="Note"></textarea>
+            <div class="highlight-popover-actions">
+                <button type="button" class="highlight-popover-btn" data-role="delete" aria-label="Supprimer le surlignage">🗑 Supprimer</button>
+                <button type="button" class="highlight-popover-btn primary" data-role="save">Enregistrer</button>
+            </div>
+        `;
+        document.body.appendChild(this.popover);
+    },
+
+    /**
+     * Attache les écouteurs (bus d'événements + pop-over)
+     * @private
+     */
+    bindEvents() {
+        EventBus.on(Events.HIGHLIGHT_SELECTED, (data) => this.openForSelection(data));
+        EventBus.on(Events.HIGHLIGHT_CLICKED, (data) => this.openForHighlight(data));
+        EventBus.on(Events.HIGHLIGHTS_UPDATED, (highlights) => this.renderList(highlights));
+        EventBus.on(Events.READER_CLOSED, () => this.hide());
+
+        // Un tap dans le livre ferme le pop-over
+        EventBus.on('reader:tap', () => this.hide());
+
+        this.popover.addEventListener('click', (e) => {
+            const swatch = e.target.closest('.highlight-swatch');
+            if (swatch) {
+                this.applyColor(swatch.dataset.color);
+                return;
+            }
+
+            const role = e.target.closest('[data-role]')?.dataset.role;
+            if (role === 'save') this.save();
+            if (role === 'delete') this.deleteCurrent();
+        });
+
+        this.popover.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                this.hide();
+            }
+        });
+
+        // Clic en dehors (hors iframe) : fermer
+        document.addEventListener('pointerdown', (e) => {
+            if (this.isOpen() && !this.popover.contains(e.target)) {
+                this.hide();
+            }
+        }, { passive: true });
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // POP-OVER
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Ouvre le pop-over pour une nouvelle sélection
+     * @param {Object} data - { cfiRange, text, rect }
+     */
+    openForSelection({ cfiRange, text, rect }) {
+        const existing = HighlightsManager.getAll().find(h => h.cfiRange === cfiRange);
+        if (existing) {
+            this.openForHighlight({ highlight: existing, rect });
+            return;
+        }
+
+        this.pending = { cfiRange, text };
+        this._fill(null, '');
+        this.show(rect);
+    },
+
+    /**
+     * Ouvre le pop-over pour éditer un surlignage existant
+     * @param {Object} data - { highlight, rect }
+     */
+    openForHighlight({ highlight, rect }) {
+        this.pending = { highlight };
+        this._fill(highlight.color, highlight.note || '');
+        this.show(rect);
+    },
+
+    /**
+     * Remplit les champs du pop-over
+     * @param {string|null} color - Couleur active
+     * @param {string} note - Note existante
+     * @private
+     */
+    _fill(color, note) {
+        this.popover.querySelectorAll('.highlight-swatch').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.color === color);
+        });
+        this.popover.querySelector('.highlight-note-input').value = note;
+        this.popover.querySelector('[data-role="delete"]').hidden = !this.pending?.highlight;
+    },
+
+    /**
+     * Affiche le pop-over près d'un rectangle (coordonnées de la page)
+     * @param {Object} rect - { top, left, bottom, width }
+     */
+    show(rect) {
+        const popover = this.popover;
+        popover.classList.add('open');
+
+        const { offsetWidth: width, offsetHeight: height } = popover;
+        const anchor = rect || { top: window.innerHeight / 2, bottom: window.innerHeight / 2, left: window.innerWidth / 2, width: 0 };
+
+        let top = anchor.bottom + POPOVER_OFFSET;
+        if (top + height > window.innerHeight - POPOVER_OFFSET) {
+            top = Math.max(POPOVER_OFFSET, anchor.top - height - POPOVER_OFFSET);
+        }
+
+        const centerX = anchor.left + anchor.width / 2;
+        const left = Math.min(
+            Math.max(POPOVER_OFFSET, centerX - width / 2),
+            window.innerWidth - width - POPOVER_OFFSET
+        );
+
+        popover.style.top = `${top}px`;
+        popover.style.left = `${left}px`;
+    },
+
+    /**
+     * Masque le pop-over
+     */
+    hide() {
+        if (!this.popover) return;
+        this.popover.classList.remove('open');
+        this.pending = null;
+    },
+
+    /**
+     * Vérifie si le pop-over est affiché
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.popover?.classList.contains('open') || false;
+    },
+
+    /**
+     * Applique une couleur : crée le surlignage ou change sa couleur
+     * @param {string} color - Clé de couleur
+     */
+    async applyColor(color) {
+        const note = this.popover.querySelector('.highlight-note-input').value.trim();
+
+        try {
+            const highlight = await this._persist({ color, note });
+            if (highlight) {
+                this.pending = { highlight };
+                this._fill(highlight.color, highlight.note || '');
+            }
+        } catch (error) {
+            logger.error('Highlight color change failed', error);
+            UIManager.showStatus('Erreur lors du surlignage');
+        }
+    },
+
+    /**
+     * Enregistre la note (et crée le surlignage si nécessaire)
+     */
+    async save() {
+        const note = this.popover.querySelector('.highlight-note-input').value.trim();
+        const color = this.pending?.highlight?.color || Config.HIGHLIGHT_DEFAULT_COLOR;
+
+        try {
+            const highlight = await this._persist({ color, note });
+            if (highlight) UIManager.showStatus('🖍️ Surlignage enregistré');
+        } catch (error) {
+            logger.error('Highlight save failed', error);
+            UIManager.showStatus('Erreur lors de l\'enregistrement');
+        }
+        this.hide();
+    },
+
+    /**
+     * Supprime le surlignage en cours d'édition
+     */
+    async deleteCurrent() {
+        const highlight = this.pending?.highlight;
+        if (!highlight) return;
+
+        try {
+            await HighlightsManager.remove(highlight.id);
+            UIManager.showStatus('Surlignage supprimé');
+        } catch (error) {
+            logger.error('Highlight delete failed', error);
+        }
+        this.hide();
+    },
+
+    /**
+     * Crée ou met à jour le surlignage courant
+     * @param {Object} values - { color, note }
+     * @returns {Promise<Object|null>}
+     * @private
+     */
+    async _persist({ color, note }) {
+        if (this.pending?.highlight) {
+            return HighlightsManager.update(this.pending.highlight.id, { color, note });
+        }
+        if (!this.pending?.cfiRange) return null;
+
+        const highlight = await HighlightsManager.add({
+            cfiRange: this.pending.cfiRange,
+            text: this.pending.text,
+            chapter: StateManager.get('currentChapter'),
+            ...PrintPages.describe(this.pending.cfiRange),
+            color,
+            note
+        });
+        HighlightsManager.clearSelection();
+        return highlight;
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PANNEAU
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Rend la liste des surlignages dans le panneau
+     * @param {Array} highlights
+     */
+    renderList(highlights = []) {
+        const list = UIManager.get('highlightsList');
+        if (!list) return;
+
+        if (highlights.length === 0) {
+            list.innerHTML = `
+                <li class="reader-panel-empty">
+                    <div class="reader-panel-empty-title">Aucun surlignage</div>
+                    <div class="reader-panel-empty-text">Sélectionnez un passage pour le surligner</div>
+                </li>
+            `;
+            return;
+        }
+
+        list.innerHTML = highlights.map(h => {
+            const source = [h.chapter, PrintPages.format(h)].filter(Boolean).join(' · ');
+            return `
+            <li class="highlight-item" style="--highlight-color: ${Config.HIGHLIGHT_COLORS[h.color] || Config.HIGHLIGHT_COLORS[Config.HIGHLIGHT_DEFAULT_COLOR]}">
+                <button type="button" class="highlight-item-main" data-action="goto-highlight" data-cfi="${UIManager.escapeHtml(h.cfiRange)}">
+                    ${source ? `<span class="highlight-item-chapter">${UIManager.escapeHtml(source)}</span>` : ''}
+                    <span class="highlight-item-text">${UIManager.escapeHtml(h.text)}</span>
+                    ${h.note ? `<span class="highlight-item-note">${UIManager.escapeHtml(h.note)}</span>` : ''}
+                </button>
+                <button type="button" class="highlight-item-delete" data-action="delete-highlight" data-id="${h.id}" aria-label="Supprimer le surlignage">✕</button>
+            </li>
+        `;
+        }).join('');
+    }
+};
+
+export default HighlightsUI;
@@ -0,0 +1,54 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * HISTORY-UI.JS
+ * Bouton "Revenir où j'en étais" (mobile) : affiché quelques secondes après
+ * un saut (sommaire, lien interne, recherche...) pour retrouver la position
+ * de lecture. Sur desktop : Alt + Flèche gauche / droite.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('HistoryUI');
+
+/**
+ * Temporisation du masquage du bouton
+ * @private
+ */
+let hideTimer = null;
+
+/**
+ * HistoryUI - Retour à la position de lecture
+ */
+export const HistoryUI = {
+    /**
+     * Initialise le bouton de retour
+     */
+    init() {
+        EventBus.on(Events.READER_HISTORY_CHANGED, (state) => this.render(state));
+        logger.info('HistoryUI initialized');
+    },
+
+    /**
+     * Affiche le bouton après un saut, le masque sinon
+     * @param {Object} state - { canGoBack, canGoForward, jumped }
+     */
+    render({ canGoBack, jumped }) {
+        const chip = UIManager.get('historyChip');
+        if (!chip) return;
+
+        clearTimeout(hideTimer);
+        chip.hidden = !(jumped && canGoBack && UIManager.isMobile());
+
+        if (!chip.hidden) {
+            hideTimer = setTimeout(() => {
+                chip.hidden = true;
+            }, Config.NAV_HISTORY_CHIP_DURATION);
+        }
+    }
+};
+
+export default HistoryUI;
@@ -0,0 +1,56 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MEDIA-OVERLAY-UI.JS
+ * Barre de contrôle de la narration des livres EPUB3 (passage précédent,
+ * lecture/pause, passage suivant, vitesse, arrêt).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { MediaOverlay } from '../reader/media-overlay.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('MediaOverlayUI');
+
+/**
+ * MediaOverlayUI - Contrôles de la narration
+ */
+export const MediaOverlayUI = {
+    /**
+     * Initialise l'interface de narration
+     */
+    init() {
+        EventBus.on(Events.MEDIA_OVERLAY_STATE, (state) => this.render(state));
+
+        this.render(MediaOverlay.getState());
+        logger.info('MediaOverlayUI initialized');
+    },
+
+    /**
+     * Met à jour la barre de contrôle
+     * @param {Object} state - { status, rate }
+     */
+    render({ status, rate }) {
+        const bar = UIManager.get('mediaOverlayBar');
+        if (!bar) return;
+
+        bar.hidden = status === 'idle';
+
+        const toggle = UIManager.get('mediaOverlayToggle');
+        if (toggle) {
+            const playing = status === 'playing';
+            toggle.textContent = playing ? '⏸' : '▶';
+            toggle.setAttribute('aria-label', playing ? 'Pause' : 'Lecture');
+        }
+
+        const rateBtn = UIManager.get('mediaOverlayRate');
+        if (rateBtn) rateBtn.textContent = `${Math.round(rate * 100) / 100}×`;
+
+        document.querySelectorAll('[data-action="read-aloud-toggle"].read-aloud-launcher').forEach(btn => {
+            btn.classList.toggle('active', status !== 'idle');
+        });
+    }
+};
+
+export default MediaOverlayUI;
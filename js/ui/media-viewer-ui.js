@@ -0,0 +1,456 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * MEDIA-VIEWER-UI.JS
+ * Visionneuse plein écran des images et tableaux : zoom (pincement, molette,
+ * boutons), déplacement et rotation des images, défilement des tableaux.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { MediaViewer } from '../reader/media-viewer.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('MediaViewerUI');
+
+/**
+ * Déplacement (px) au-delà duquel un appui n'est plus un tap
+ * @private
+ */
+const DRAG_THRESHOLD = 6;
+
+/**
+ * Déplacement d'une image au clavier (px)
+ * @private
+ */
+const KEY_PAN_STEP = 60;
+
+/**
+ * Zoom appliqué par un double-clic sur l'image
+ * @private
+ */
+const DOUBLE_CLICK_ZOOM = 2.5;
+
+/**
+ * Type de l'élément affiché : 'image', 'table' ou null
+ * @private
+ */
+let mediaType = null;
+
+/**
+ * Zoom, rotation (degrés) et décalage (px, depuis le centre) de l'affichage
+ * @private
+ */
+let view = { scale: 1, rotation: 0, x: 0, y: 0 };
+
+/**
+ * Taille de l'image ajustée à l'écran (zoom 1, avant rotation)
+ * @private
+ */
+let fitted = { width: 0, height: 0 };
+
+/**
+ * Pointeurs posés sur l'image (id → position) et pincement en cours
+ * @private
+ */
+const pointers = new Map();
+let pinch = null;
+
+/**
+ * Appui en cours déplacé (le tap qui suit ne ferme pas la visionneuse)
+ * @private
+ */
+let moved = false;
+
+/**
+ * Distance et milieu de deux pointeurs
+ * @param {Object[]} points - [{x, y}, {x, y}]
+ * @returns {{distance: number, x: number, y: number}}
+ * @private
+ */
+function measure([a, b]) {
+    return {
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        x: (a.x + b.x) / 2,
+        y: (a.y + b.y) / 2
+    };
+}
+
+/**
+ * MediaViewerUI - Visionneuse plein écran
+ */
+export const MediaViewerUI = {
+    /**
+     * Élément de la visionneuse
+     * @private
+     */
+    overlay: null,
+
+    /**
+     * Zone d'affichage de l'image ou du tableau
+     * @private
+     */
+    stage: null,
+
+    /**
+     * Initialise la visionneuse
+     */
+    init() {
+        this.createOverlay();
+        this.bindEvents();
+        logger.info('MediaViewerUI initialized');
+    },
+
+    /**
+     * Crée la visionneuse (ajoutée au body, masquée par défaut)
+     * @private
+     */
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'media-viewer';
+        this.overlay.id = 'mediaViewer';
+        this.overlay.setAttribute('role', 'dialog');
+        this.overlay.setAttribute('aria-modal', 'true');
+        this.overlay.tabIndex = -1;
+        this.overlay.innerHTML = `
+            <div class="media-viewer-toolbar">
+                <span class="media-viewer-label"></span>
+                <span class="media-viewer-zoom" aria-live="polite"></span>
+                <button type="button" class="media-viewer-btn" data-role="zoom-out" aria-label="Dézoomer">−</button>
+                <button type="button" class="media-viewer-btn" data-role="zoom-in" aria-label="Zoomer">+</button>
+                <button type="button" class="media-viewer-btn" data-role="rotate" aria-label="Pivoter l'image">⟳</button>
+                <button type="button" class="media-viewer-btn" data-role="reset" aria-label="Taille ajustée">⤢</button>
+                <button type="button" class="media-viewer-btn" data-role="close" aria-label="Fermer">✕</button>
+            </div>
+            <div class="media-viewer-stage"></div>
+        `;
+        this.stage = this.overlay.querySelector('.media-viewer-stage');
+        document.body.appendChild(this.overlay);
+    },
+
+    /**
+     * Attache les écouteurs (bus d'événements + visionneuse)
+     * @private
+     */
+    bindEvents() {
+        EventBus.on(Events.MEDIA_VIEWER_OPENED, (media) => this.show(media));
+        EventBus.on(Events.MEDIA_VIEWER_CLOSED, () => this.hide());
+
+        this.overlay.addEventListener('click', (e) => {
+            const role = e.target.closest('[data-role]')?.dataset.role;
+            if (role === 'close') MediaViewer.close();
+            if (role === 'zoom-in') this.zoom(Config.MEDIA_VIEWER_ZOOM.STEP);
+            if (role === 'zoom-out') this.zoom(-Config.MEDIA_VIEWER_ZOOM.STEP);
+            if (role === 'rotate') this.rotate();
+            if (role === 'reset') this.reset();
+        });
+
+        this.overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // Tap sur le fond (hors image ou tableau) : fermer
+        this.stage.addEventListener('click', (e) => {
+            if (e.target === this.stage && !moved) MediaViewer.close();
+        });
+
+        this.stage.addEventListener('dblclick', (e) => {
+            if (mediaType !== 'image') return;
+            if (view.scale > Config.MEDIA_VIEWER_ZOOM.MIN) {
+                this.reset();
+            } else {
+                this.setScale(DOUBLE_CLICK_ZOOM, this.stagePoint(e.clientX, e.clientY));
+            }
+        });
+
+        // Molette : zoom sur l'image, Ctrl + molette sur un tableau (qui défile)
+        this.stage.addEventListener('wheel', (e) => {
+            if (mediaType === 'table' && !e.ctrlKey) return;
+            e.preventDefault();
+            const step = Config.MEDIA_VIEWER_ZOOM.STEP;
+            this.setScale(view.scale + (e.deltaY < 0 ? step : -step), this.stagePoint(e.clientX, e.clientY));
+        }, { passive: false });
+
+        this.stage.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.stage.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.stage.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+
+        window.addEventListener('resize', () => {
+            if (mediaType === 'image') this.layout();
+        });
+    },
+
+    /**
+     * Affiche une image ou un tableau
+     * @param {Object} media - { type, label, src } ou { type, label, html }
+     */
+    show({ type, label, src, html }) {
+        mediaType = type;
+        view = { scale: Config.MEDIA_VIEWER_ZOOM.MIN, rotation: 0, x: 0, y: 0 };
+        pointers.clear();
+        pinch = null;
+
+        this.overlay.classList.toggle('is-table', type === 'table');
+        this.overlay.setAttribute('aria-label', type === 'table' ? 'Tableau' : 'Image');
+        this.overlay.querySelector('.media-viewer-label').textContent = label || '';
+        this.stage.innerHTML = '';
+
+        if (type === 'table') {
+            const wrapper = document.createElement('div');
+            wrapper.className = 'media-viewer-table';
+            wrapper.innerHTML = html;
+            this.stage.appendChild(wrapper);
+        } else {
+            const image = document.createElement('img');
+            image.className = 'media-viewer-image';
+            image.alt = label || '';
+            image.draggable = false;
+            image.addEventListener('load', () => this.layout(), { once: true });
+            image.src = src;
+            this.stage.appendChild(image);
+        }
+
+        this.overlay.classList.add('open');
+        this.stage.scrollTop = 0;
+        this.stage.scrollLeft = 0;
+        this.layout();
+        this.overlay.focus({ preventScroll: true });
+    },
+
+    /**
+     * Masque la visionneuse
+     */
+    hide() {
+        if (!this.overlay) return;
+        mediaType = null;
+        pointers.clear();
+        pinch = null;
+        this.overlay.classList.remove('open');
+        this.stage.innerHTML = '';
+    },
+
+    /**
+     * Vérifie si la visionneuse est affichée
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.overlay?.classList.contains('open') || false;
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // ZOOM, ROTATION ET DÉPLACEMENT
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Zoome ou dézoome autour du centre de l'écran
+     * @param {number} delta - Variation du zoom
+     */
+    zoom(delta) {
+        this.setScale(view.scale + delta);
+    },
+
+    /**
+     * Applique un niveau de zoom en gardant un point de l'écran en place
+     * @param {number} scale - Zoom (facteur de la taille ajustée)
+     * @param {{x: number, y: number}} [point] - Point fixe, depuis le centre
+     */
+    setScale(scale, point = { x: 0, y: 0 }) {
+        const { MIN, MAX } = Config.MEDIA_VIEWER_ZOOM;
+        const next = Math.min(MAX, Math.max(MIN, scale));
+        const ratio = next / view.scale;
+
+        view.x = point.x - (point.x - view.x) * ratio;
+        view.y = point.y - (point.y - view.y) * ratio;
+        view.scale = next;
+        this.apply();
+    },
+
+    /**
+     * Fait pivoter l'image d'un quart de tour
+     */
+    rotate() {
+        if (mediaType !== 'image') return;
+        view.rotation = (view.rotation + 90) % 360;
+        this.layout();
+    },
+
+    /**
+     * Revient à l'image ajustée à l'écran
+     */
+    reset() {
+        view = { scale: Config.MEDIA_VIEWER_ZOOM.MIN, rotation: 0, x: 0, y: 0 };
+        this.layout();
+    },
+
+    /**
+     * Déplace l'image
+     * @param {number} dx
+     * @param {number} dy
+     */
+    pan(dx, dy) {
+        view.x += dx;
+        view.y += dy;
+        this.apply();
+    },
+
+    /**
+     * Ajuste l'image (pivotée) à la taille de l'écran
+     * @private
+     */
+    layout() {
+        const image = mediaType === 'image' && this.stage.querySelector('.media-viewer-image');
+        if (image) {
+            const width = image.naturalWidth || this.stage.clientWidth;
+            const height = image.naturalHeight || this.stage.clientHeight;
+            const turned = view.rotation % 180 !== 0;
+            const fit = Math.min(
+                1,
+                this.stage.clientWidth / (turned ? height : width),
+                this.stage.clientHeight / (turned ? width : height)
+            );
+
+            fitted = { width: width * fit, height: height * fit };
+            image.style.width = `${fitted.width}px`;
+            image.style.height = `${fitted.height}px`;
+        }
+        this.apply();
+    },
+
+    /**
+     * Applique le zoom, la rotation et le décalage (l'image ne peut pas
+     * quitter l'écran)
+     * @private
+     */
+    apply() {
+        const label = this.overlay.querySelector('.media-viewer-zoom');
+        label.textContent = `${Math.round(view.scale * 100)} %`;
+
+        if (mediaType === 'table') {
+            const wrapper = this.stage.querySelector('.media-viewer-table');
+            if (wrapper) wrapper.style.fontSize = `${view.scale * 100}%`;
+            return;
+        }
+
+        const image = this.stage.querySelector('.media-viewer-image');
+        if (!image) return;
+
+        const turned = view.rotation % 180 !== 0;
+        const width = (turned ? fitted.height : fitted.width) * view.scale;
+        const height = (turned ? fitted.width : fitted.height) * view.scale;
+        const limitX = Math.max(0, (width - this.stage.clientWidth) / 2);
+        const limitY = Math.max(0, (height - this.stage.clientHeight) / 2);
+
+        view.x = Math.min(limitX, Math.max(-limitX, view.x));
+        view.y = Math.min(limitY, Math.max(-limitY, view.y));
+
+        image.style.transform = `translate(-50%, -50%) translate(${view.x}px, ${view.y}px) scale(${view.scale}) rotate(${view.rotation}deg)`;
+        this.stage.classList.toggle('is-zoomed', view.scale > Config.MEDIA_VIEWER_ZOOM.MIN);
+    },
+
+    /**
+     * Position d'un point de l'écran depuis le centre de la zone d'affichage
+     * @param {number} clientX
+     * @param {number} clientY
+     * @returns {{x: number, y: number}}
+     * @private
+     */
+    stagePoint(clientX, clientY) {
+        const rect = this.stage.getBoundingClientRect();
+        return {
+            x: clientX - rect.left - rect.width / 2,
+            y: clientY - rect.top - rect.height / 2
+        };
+    },
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // POINTEURS ET CLAVIER
+    // ═══════════════════════════════════════════════════════════════════════
+
+    /**
+     * Début d'un appui : déplacement (un doigt) ou pincement (deux doigts)
+     * @param {PointerEvent} e
+     * @private
+     */
+    onPointerDown(e) {
+        if (pointers.size === 0) moved = false;
+        if (mediaType !== 'image') return;
+
+        this.stage.setPointerCapture(e.pointerId);
+        pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+
+        if (pointers.size === 2) {
+            pinch = { ...measure([...pointers.values()]), scale: view.scale };
+        }
+    },
+
+    /**
+     * Appui déplacé : déplace ou zoome l'image
+     * @param {PointerEvent} e
+     * @private
+     */
+    onPointerMove(e) {
+        const previous = pointers.get(e.pointerId);
+        if (!previous) return;
+
+        pointers.set(e.pointerId, { ...previous, x: e.clientX, y: e.clientY });
+        if (Math.abs(e.clientX - previous.startX) > DRAG_THRESHOLD
+            || Math.abs(e.clientY - previous.startY) > DRAG_THRESHOLD) {
+            moved = true;
+        }
+
+        if (pinch && pointers.size >= 2) {
+            const current = measure([...pointers.values()].slice(0, 2));
+            // Le milieu des doigts entraîne l'image, l'écart la zoome
+            view.x += current.x - pinch.x;
+            view.y += current.y - pinch.y;
+            pinch.x = current.x;
+            pinch.y = current.y;
+            this.setScale(pinch.scale * current.distance / pinch.distance, this.stagePoint(current.x, current.y));
+            return;
+        }
+
+        this.pan(e.clientX - previous.x, e.clientY - previous.y);
+    },
+
+    /**
+     * Fin d'un appui
+     * @param {PointerEvent} e
+     * @private
+     */
+    onPointerUp(e) {
+        pointers.delete(e.pointerId);
+        if (pointers.size < 2) pinch = null;
+    },
+
+    /**
+     * Raccourcis de la visionneuse (les raccourcis du lecteur sont suspendus)
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    handleKeydown(e) {
+        e.stopPropagation();
+
+        const step = Config.MEDIA_VIEWER_ZOOM.STEP;
+        const actions = {
+            Escape: () => MediaViewer.close(),
+            '+': () => this.zoom(step),
+            '=': () => this.zoom(step),
+            '-': () => this.zoom(-step),
+            '0': () => this.reset(),
+            r: () => this.rotate(),
+            R: () => this.rotate(),
+            ArrowLeft: () => this.pan(KEY_PAN_STEP, 0),
+            ArrowRight: () => this.pan(-KEY_PAN_STEP, 0),
+            ArrowUp: () => this.pan(0, KEY_PAN_STEP),
+            ArrowDown: () => this.pan(0, -KEY_PAN_STEP)
+        };
+
+        const action = actions[e.key];
+        // Flèches sur un tableau : défilement natif
+        if (!action || (mediaType === 'table' && e.key.startsWith('Arrow'))) return;
+
+        e.preventDefault();
+        action();
+    }
+};
+
+export default MediaViewerUI;
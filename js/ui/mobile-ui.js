@@ -137,7 +137,8 @@ export class MobileUI extends BaseUI {
      * Met à jour l'affichage de la taille de police dans le dropdown
      */
     updateDropdownFontSize() {
-        const fontSize = StateManager.get('fontSize');
+        // Mise en page fixe : les boutons A- / A+ règlent le zoom
+        const fontSize = StateManager.get(StateManager.get('fixedLayout') ? 'fixedLayoutZoom' : 'fontSize');
         if (this.elements.dropdownFontSize) {
             this.elements.dropdownFontSize.textContent = `${fontSize}%`;
         }
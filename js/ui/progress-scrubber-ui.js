@@ -0,0 +1,253 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PROGRESS-SCRUBBER-UI.JS
+ * Barre de progression déplaçable : repères de début de chapitre, aperçu
+ * (chapitre, page ou pourcentage) pendant le glisser et saut au relâchement.
+ * Commande "Aller à" une page (imprimée si le livre a une page-list) ou un
+ * pourcentage.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { StateManager } from '../core/state.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { PrintPages } from '../reader/print-pages.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ProgressScrubberUI');
+
+/**
+ * Saisie d'un pourcentage : "42 %", "42,5%"
+ * @private
+ */
+const PERCENT_INPUT = /^(\d{1,3}(?:[.,]\d+)?)\s*%$/;
+
+/**
+ * Saisie d'une page : "120", "p. 120", "page 120"
+ * @private
+ */
+const PAGE_INPUT = /^(?:p(?:age)?\.?\s*)?(\d+)$/i;
+
+/**
+ * Saisie d'une page imprimée, chiffres romains compris : "xii", "p. 120"
+ * @private
+ */
+const PRINT_PAGE_INPUT = /^(?:p(?:age)?\.?\s+)?(\S+)$/i;
+
+/**
+ * Repères de chapitre affichés (triés par position)
+ * @private
+ */
+let marks = [];
+
+/**
+ * Position (0-1) sous le doigt pendant un glisser, null sinon
+ * @private
+ */
+let dragValue = null;
+
+/**
+ * ProgressScrubberUI - Barre de progression déplaçable
+ */
+export const ProgressScrubberUI = {
+    /**
+     * Initialise la barre de progression
+     */
+    init() {
+        this.bindEvents();
+
+        // Positions des chapitres : sommaire chargé puis pages calculées
+        StateManager.subscribe('chapters', () => this.renderTicks());
+        EventBus.on(Events.LOCATIONS_READY, () => this.renderTicks());
+        EventBus.on(Events.READER_OPENED, () => this.renderTicks());
+
+        logger.info('ProgressScrubberUI initialized');
+    },
+
+    /**
+     * Attache les écouteurs du glisser (souris et tactile)
+     * @private
+     */
+    bindEvents() {
+        const scrubber = UIManager.get('progressScrubber');
+        if (!scrubber) return;
+
+        scrubber.addEventListener('pointerdown', (e) => {
+            if (!ReaderEngine.isActive() || !e.isPrimary) return;
+            e.preventDefault();
+            scrubber.setPointerCapture(e.pointerId);
+            scrubber.classList.add('dragging');
+            this.preview(this.valueAt(e.clientX));
+        });
+
+        scrubber.addEventListener('pointermove', (e) => {
+            if (dragValue === null) return;
+            this.preview(this.valueAt(e.clientX));
+        });
+
+        scrubber.addEventListener('pointerup', () => {
+            if (dragValue === null) return;
+            const value = dragValue;
+            this.endDrag();
+            ReaderEngine.goToPercentage(value);
+        });
+
+        scrubber.addEventListener('pointercancel', () => this.endDrag());
+
+        // Clavier : Entrée ouvre "Aller à"
+        scrubber.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                e.stopPropagation();
+                this.promptPosition();
+            }
+        });
+    },
+
+    /**
+     * Position (0-1) correspondant à une abscisse de l'écran
+     * @param {number} clientX
+     * @returns {number}
+     * @private
+     */
+    valueAt(clientX) {
+        const rect = UIManager.get('progressScrubber').getBoundingClientRect();
+        if (!rect.width) return 0;
+        return Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    },
+
+    /**
+     * Affiche la position visée pendant le glisser
+     * @param {number} value - Position (0-1)
+     * @private
+     */
+    preview(value) {
+        dragValue = value;
+
+        const bar = UIManager.get('progressBar');
+        if (bar) bar.style.width = `${value * 100}%`;
+
+        const bubble = UIManager.get('progressPreview');
+        if (!bubble) return;
+
+        const chapter = [...marks].reverse().find(mark => mark.percentage <= value);
+        bubble.innerHTML = '';
+        if (chapter?.label) {
+            const label = document.createElement('span');
+            label.className = 'progress-preview-chapter';
+            label.textContent = chapter.label.trim();
+            bubble.appendChild(label);
+        }
+        bubble.appendChild(document.createTextNode(this.formatPosition(value)));
+
+        bubble.hidden = false;
+        const width = bubble.offsetWidth;
+        const scrubberWidth = UIManager.get('progressScrubber').clientWidth;
+        const left = Math.min(Math.max(value * scrubberWidth - width / 2, 8), scrubberWidth - width - 8);
+        bubble.style.left = `${left}px`;
+    },
+
+    /**
+     * Page ou pourcentage d'une position
+     * @param {number} value - Position (0-1)
+     * @returns {string}
+     * @private
+     */
+    formatPosition(value) {
+        const total = ReaderEngine.getPageCount();
+        if (!total) return `${Math.round(value * 100)}%`;
+        return `Page ${Math.min(total, Math.max(1, Math.ceil(value * total)))} sur ${total}`;
+    },
+
+    /**
+     * Termine le glisser (la barre reprend la position de lecture)
+     * @private
+     */
+    endDrag() {
+        dragValue = null;
+        UIManager.get('progressScrubber')?.classList.remove('dragging');
+
+        const bubble = UIManager.get('progressPreview');
+        if (bubble) bubble.hidden = true;
+
+        UIManager.updateProgress(StateManager.get('readerProgress') || 0);
+    },
+
+    /**
+     * Affiche les repères de début de chapitre (chapitres de premier niveau)
+     */
+    renderTicks() {
+        const container = UIManager.get('progressTicks');
+        if (!container) return;
+
+        marks = ReaderEngine.getChapterMarks().sort((a, b) => a.percentage - b.percentage);
+        container.innerHTML = '';
+
+        const seen = new Set();
+        marks
+            .filter(mark => mark.level === 1 && mark.percentage > 0)
+            .forEach(mark => {
+                const position = (mark.percentage * 100).toFixed(2);
+                if (seen.has(position)) return;
+                seen.add(position);
+
+                const tick = document.createElement('span');
+                tick.className = 'progress-tick';
+                tick.style.left = `${position}%`;
+                container.appendChild(tick);
+            });
+    },
+
+    /**
+     * Demande une page ou un pourcentage et s'y rend
+     */
+    async promptPosition() {
+        if (!ReaderEngine.isActive()) return;
+
+        const total = ReaderEngine.getPageCount();
+        const printRange = PrintPages.getRange();
+        let question = 'Aller au pourcentage (ex : 42 %)';
+        if (printRange) {
+            question = `Aller à la page imprimée (${printRange.first} à ${printRange.last}) ou au pourcentage (ex : 42 %)`;
+        } else if (total) {
+            question = `Aller à la page (1 à ${total}) ou au pourcentage (ex : 42 %)`;
+        }
+
+        const answer = prompt(question);
+        if (answer === null) return;
+
+        const input = answer.trim();
+        const percent = input.match(PERCENT_INPUT);
+        const page = input.match(PAGE_INPUT);
+        const printPage = !percent && printRange && input.match(PRINT_PAGE_INPUT);
+
+        if (printPage) {
+            // Page-list : le numéro saisi est celui de l'édition imprimée
+            if (await ReaderEngine.goToPrintPage(printPage[1])) return;
+            UIManager.showStatus(`Page imprimée ${printPage[1]} introuvable`);
+            return;
+        }
+
+        if (percent) {
+            const value = parseFloat(percent[1].replace(',', '.'));
+            if (value <= 100) {
+                await ReaderEngine.goToPercentage(value / 100);
+                return;
+            }
+        } else if (page) {
+            const value = parseInt(page[1], 10);
+            if (total) {
+                if (await ReaderEngine.goToPage(value)) return;
+            } else if (value <= 100) {
+                // Pages pas encore calculées : le nombre est un pourcentage
+                await ReaderEngine.goToPercentage(value / 100);
+                return;
+            }
+        }
+
+        UIManager.showStatus('Position invalide');
+    }
+};
+
+export default ProgressScrubberUI;
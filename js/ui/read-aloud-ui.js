@@ -0,0 +1,125 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READ-ALOUD-UI.JS
+ * Interface de la lecture à voix haute : barre de contrôle (lecture/pause,
+ * vitesse, minuterie) et section "Lecture à voix haute" des paramètres
+ * (voix et vitesse persistées).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { ReadAloud } from '../reader/read-aloud.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { SettingsManager, SettingType } from './settings-manager.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ReadAloudUI');
+
+/**
+ * Formate une vitesse de lecture (ex: 1.25×)
+ * @param {number} rate
+ * @returns {string}
+ * @private
+ */
+function formatRate(rate) {
+    return `${Math.round(rate * 100) / 100}×`;
+}
+
+/**
+ * ReadAloudUI - Contrôles de la lecture à voix haute
+ */
+export const ReadAloudUI = {
+    /**
+     * Initialise l'interface de lecture à voix haute
+     */
+    init() {
+        this.registerSettings();
+
+        EventBus.on(Events.READ_ALOUD_STATE, (state) => this.render(state));
+        EventBus.on(Events.READ_ALOUD_VOICES, () => this.registerSettings());
+
+        this.render(ReadAloud.getState());
+        logger.info('ReadAloudUI initialized');
+    },
+
+    /**
+     * Enregistre (ou met à jour) la section des paramètres
+     * Les voix sont chargées de façon asynchrone par le navigateur.
+     */
+    registerSettings() {
+        if (!ReadAloud.isSupported()) return;
+
+        const voiceOptions = [
+            { value: '', label: 'Automatique (langue du livre)' },
+            ...ReadAloud.getVoices().map(voice => ({
+                value: UIManager.escapeHtml(voice.voiceURI),
+                label: UIManager.escapeHtml(`${voice.name} (${voice.lang})`)
+            }))
+        ];
+
+        SettingsManager.registerSection({
+            id: 'readAloud',
+            title: 'Lecture à voix haute',
+            icon: '🔊',
+            order: 4,
+            settings: [
+                {
+                    id: 'ttsVoice',
+                    label: 'Voix',
+                    type: SettingType.SELECT,
+                    options: voiceOptions,
+                    getValue: () => UIManager.escapeHtml(ReadAloud.getState().voiceURI),
+                    setValue: (value) => ReadAloud.setVoice(value)
+                },
+                {
+                    id: 'ttsRate',
+                    label: 'Vitesse',
+                    type: SettingType.SLIDER,
+                    min: Config.TTS_RATE.MIN,
+                    max: Config.TTS_RATE.MAX,
+                    step: Config.TTS_RATE.STEP,
+                    unit: '×',
+                    getValue: () => ReadAloud.getState().rate,
+                    setValue: (value) => ReadAloud.setRate(value)
+                }
+            ]
+        });
+    },
+
+    /**
+     * Met à jour la barre de contrôle
+     * @param {Object} state - { status, rate, sleepMinutes }
+     */
+    render({ status, rate, sleepMinutes }) {
+        const bar = UIManager.get('readAloudBar');
+        if (!bar) return;
+
+        bar.hidden = status === 'idle';
+
+        const toggle = UIManager.get('readAloudToggle');
+        if (toggle) {
+            const playing = status === 'playing';
+            toggle.textContent = playing ? '⏸' : '▶';
+            toggle.setAttribute('aria-label', playing ? 'Pause' : 'Lecture');
+        }
+
+        const rateBtn = UIManager.get('readAloudRate');
+        if (rateBtn) rateBtn.textContent = formatRate(rate);
+
+        const sleepBtn = UIManager.get('readAloudSleep');
+        if (sleepBtn) {
+            sleepBtn.textContent = sleepMinutes > 0 ? `⏾ ${sleepMinutes} min` : '⏾';
+            sleepBtn.classList.toggle('active', sleepMinutes > 0);
+            sleepBtn.setAttribute('aria-label', sleepMinutes > 0
+                ? `Minuterie : arrêt dans ${sleepMinutes} minutes`
+                : 'Minuterie désactivée');
+        }
+
+        document.querySelectorAll('[data-action="read-aloud-toggle"].read-aloud-launcher').forEach(btn => {
+            btn.classList.toggle('active', status !== 'idle');
+        });
+    }
+};
+
+export default ReadAloudUI;
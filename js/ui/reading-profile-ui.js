@@ -0,0 +1,81 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * READING-PROFILE-UI.JS
+ * Section "Ce livre" des paramètres : réglages propres au livre ouvert
+ * (thème, taille du texte et mode de lecture).
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { StateManager } from '../core/state.js';
+import { ReadingProfileManager } from '../core/reading-profile.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { SettingsManager, SettingType } from './settings-manager.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('ReadingProfileUI');
+
+/**
+ * ReadingProfileUI - Réglages propres au livre ouvert
+ */
+export const ReadingProfileUI = {
+    /**
+     * Initialise la section "Ce livre"
+     */
+    init() {
+        SettingsManager.registerSection({
+            id: 'bookProfile',
+            title: 'Ce livre',
+            icon: '📘',
+            order: 0,
+            settings: [
+                {
+                    id: 'bookProfileScoped',
+                    label: 'Réglages propres à ce livre',
+                    getDescription: () => StateManager.get('currentBookId')
+                        ? 'Thème, taille du texte et mode de lecture'
+                        : 'Aucun livre ouvert',
+                    type: SettingType.TOGGLE,
+                    getValue: () => ReadingProfileManager.isScoped(),
+                    setValue: (value) => this.toggle(Boolean(value))
+                }
+            ]
+        });
+
+        logger.info('ReadingProfileUI initialized');
+    },
+
+    /**
+     * Active ou désactive les réglages propres au livre ouvert
+     * @param {boolean} enabled
+     */
+    async toggle(enabled) {
+        if (!StateManager.get('currentBookId')) {
+            SettingsManager.refresh();
+            return;
+        }
+
+        const previousFlow = StateManager.get('readerFlow');
+
+        try {
+            await ReadingProfileManager.setScoped(enabled);
+        } catch (error) {
+            logger.error('Reading profile toggle failed', error);
+            UIManager.showStatus('Erreur lors de l\'enregistrement');
+        }
+
+        // Désactivation : les réglages globaux restaurés s'appliquent au livre
+        const flow = StateManager.get('readerFlow');
+        if (flow !== previousFlow) {
+            await ReaderEngine.setFlow(flow);
+        }
+        ReaderEngine.applyTheme();
+
+        SettingsManager.refresh();
+        UIManager.showStatus(enabled
+            ? '📘 Réglages enregistrés pour ce livre'
+            : '📘 Réglages généraux rétablis');
+    }
+};
+
+export default ReadingProfileUI;
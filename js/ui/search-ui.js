@@ -0,0 +1,197 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SEARCH-UI.JS
+ * Interface de la recherche plein texte : panneau (saisie + résultats avec
+ * contexte et chapitre) et barre de navigation précédent/suivant.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config } from '../core/config.js';
+import { BookSearch } from '../reader/book-search.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('SearchUI');
+
+/**
+ * Délai avant de lancer la recherche pendant la saisie (ms)
+ * @private
+ */
+const INPUT_DEBOUNCE = 400;
+
+/**
+ * Échappe une chaîne pour une expression régulière
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Met en évidence la requête dans un extrait (HTML échappé)
+ * @param {string} excerpt
+ * @param {string} query
+ * @returns {string}
+ * @private
+ */
+function markQuery(excerpt, query) {
+    const safe = UIManager.escapeHtml(excerpt);
+    const safeQuery = UIManager.escapeHtml(query);
+    if (!safeQuery) return safe;
+    return safe.replace(new RegExp(escapeRegExp(safeQuery), 'gi'), match => `<mark>${match}</mark>`);
+}
+
+/**
+ * SearchUI - Panneau de recherche et navigation entre résultats
+ */
+export const SearchUI = {
+    /**
+     * Timer de debounce de la saisie
+     * @private
+     */
+    _debounceTimer: null,
+
+    /**
+     * Initialise l'interface de recherche
+     */
+    init() {
+        const input = UIManager.get('bookSearchInput');
+
+        if (input) {
+            input.addEventListener('input', () => {
+                clearTimeout(this._debounceTimer);
+                this._debounceTimer = setTimeout(() => this.run(input.value), INPUT_DEBOUNCE);
+            });
+
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    clearTimeout(this._debounceTimer);
+                    this.run(input.value);
+                } else if (e.key === 'Escape') {
+                    UIManager.closePanels();
+                    input.blur();
+                }
+            });
+        }
+
+        EventBus.on(Events.SEARCH_RESULTS, (data) => this.renderResults(data));
+        EventBus.on(Events.SEARCH_NAVIGATED, (data) => this.updateNavigation(data));
+        EventBus.on(Events.SEARCH_CLEARED, () => this.reset());
+        EventBus.on(Events.READER_CLOSED, () => {
+            if (input) input.value = '';
+        });
+
+        logger.info('SearchUI initialized');
+    },
+
+    /**
+     * Ouvre le panneau de recherche et place le focus dans le champ
+     */
+    open() {
+        const panel = UIManager.get('searchPanel');
+        if (!panel?.classList.contains('open')) {
+            UIManager.togglePanel('searchPanel');
+        }
+        UIManager.get('bookSearchInput')?.focus();
+    },
+
+    /**
+     * Efface la recherche (champ, résultats et surlignage)
+     */
+    close() {
+        const input = UIManager.get('bookSearchInput');
+        if (input) input.value = '';
+        BookSearch.clear();
+    },
+
+    /**
+     * Lance la recherche
+     * @param {string} query
+     */
+    async run(query) {
+        const status = UIManager.get('bookSearchStatus');
+
+        try {
+            // search() efface d'abord les résultats précédents (synchrone)
+            const pending = BookSearch.search(query);
+            if (status && query.trim().length >= Config.BOOK_SEARCH_MIN_LENGTH) {
+                status.textContent = 'Recherche...';
+            }
+            await pending;
+        } catch (error) {
+            logger.error('Book search failed', error);
+            if (status) status.textContent = 'Erreur lors de la recherche';
+        }
+    },
+
+    /**
+     * Rend la liste des résultats (appelé à chaque chapitre parcouru)
+     * @param {Object} data - { query, results, progress, done }
+     */
+    renderResults({ query, results, progress, done }) {
+        const list = UIManager.get('bookSearchResults');
+        const status = UIManager.get('bookSearchStatus');
+
+        if (status) {
+            const count = `${results.length} résultat${results.length > 1 ? 's' : ''}`;
+            status.textContent = done ? count : `${count} · ${Math.round(progress * 100)}%`;
+        }
+        if (!list) return;
+
+        if (results.length === 0) {
+            list.innerHTML = done ? `
+                <li class="reader-panel-empty">
+                    <div class="reader-panel-empty-title">Aucun résultat</div>
+                    <div class="reader-panel-empty-text">Aucun passage ne contient « ${UIManager.escapeHtml(query)} »</div>
+                </li>
+            ` : '';
+            return;
+        }
+
+        const current = BookSearch.getCurrentIndex();
+        list.innerHTML = results.map((result, index) => `
+            <li>
+                <button type="button" class="search-result${index === current ? ' active' : ''}" data-action="goto-search-result" data-index="${index}">
+                    ${result.chapter ? `<span class="search-result-chapter">${UIManager.escapeHtml(result.chapter)}</span>` : ''}
+                    <span class="search-result-excerpt">${markQuery(result.excerpt, query)}</span>
+                </button>
+            </li>
+        `).join('');
+    },
+
+    /**
+     * Met à jour la barre précédent/suivant et le résultat actif
+     * @param {Object} data - { index, total }
+     */
+    updateNavigation({ index, total }) {
+        const nav = UIManager.get('searchNav');
+        const count = UIManager.get('searchNavCount');
+
+        if (count) count.textContent = `${index + 1} / ${total}`;
+        if (nav) nav.hidden = false;
+
+        UIManager.get('bookSearchResults')?.querySelectorAll('.search-result').forEach(btn => {
+            btn.classList.toggle('active', parseInt(btn.dataset.index) === index);
+        });
+    },
+
+    /**
+     * Réinitialise l'affichage (recherche effacée)
+     */
+    reset() {
+        const nav = UIManager.get('searchNav');
+        if (nav) nav.hidden = true;
+
+        const list = UIManager.get('bookSearchResults');
+        if (list) list.innerHTML = '';
+
+        const status = UIManager.get('bookSearchStatus');
+        if (status) status.textContent = '';
+    }
+};
+
+export default SearchUI;
@@ -9,6 +9,9 @@
 import { StateManager } from '../core/state.js';
 import { StorageKeys } from '../core/config.js';
 import { ThemeManager } from '../core/themes.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { PageTurn } from '../reader/page-turn.js';
+import { UIManager } from './ui-manager.js';
 import Logger from '../utils/logger.js';
 
 const logger = new Logger('SettingsManager');
@@ -29,7 +32,8 @@ export const SettingType = {
     SLIDER: 'slider',      // Curseur avec valeur
     BUTTON: 'button',      // Bouton d'action
     COLOR: 'color',        // Sélecteur de couleur
-    TEXT: 'text'           // Champ texte
+    TEXT: 'text',          // Champ texte
+    TEXTAREA: 'textarea'   // Champ texte sur plusieurs lignes (CSS...)
 };
 
 /**
@@ -167,6 +171,30 @@ export const SettingsManager = {
                         StateManager.set('readerFlow', value);
                         localStorage.setItem(StorageKeys.READER_FLOW, value);
                     }
+                },
+                {
+                    id: 'continuousScroll',
+                    label: 'Défilement continu',
+                    getDescription: () => 'Mode défilement : enchaîner les chapitres sans bouton "Chapitre suivant"',
+                    type: SettingType.TOGGLE,
+                    getValue: () => StateManager.get('continuousScroll'),
+                    setValue: (value) => ReaderEngine.setContinuousScroll(Boolean(value))
+                },
+                {
+                    id: 'pageTurnAnimation',
+                    label: 'Animation des pages',
+                    getDescription: () => PageTurn.isReducedMotion()
+                        ? 'Désactivée : animations réduites dans les réglages du système'
+                        : 'Mode pages : la page tournée n\'est affichée que sur grand écran',
+                    type: SettingType.SELECT,
+                    options: [
+                        { value: 'slide', label: 'Glissement' },
+                        { value: 'fade', label: 'Fondu' },
+                        { value: 'curl', label: 'Page tournée' },
+                        { value: 'none', label: 'Aucune' }
+                    ],
+                    getValue: () => StateManager.get('pageTurnAnimation'),
+                    setValue: (value) => StateManager.persist(StorageKeys.PAGE_TURN_ANIMATION, 'pageTurnAnimation', value)
                 }
             ]
         });
@@ -320,6 +348,16 @@ export const SettingsManager = {
                 }
                 break;
                 
+            case SettingType.TEXTAREA:
+                controlHtml = `
+                    <textarea class="setting-textarea" 
+                              data-setting="${setting.id}"
+                              rows="${setting.rows || 4}"
+                              placeholder="${setting.placeholder || ''}"
+                              spellcheck="false">${UIManager.escapeHtml(value)}</textarea>
+                `;
+                break;
+                
             case SettingType.COLOR:
                 controlHtml = `
                     <input type="color" 
@@ -331,7 +369,7 @@ export const SettingsManager = {
         }
         
         return `
-            <div class="setting-item" data-setting-id="${setting.id}">
+            <div class="setting-item${setting.type === SettingType.TEXTAREA ? ' setting-item-block' : ''}" data-setting-id="${setting.id}">
                 <div class="setting-label">
                     ${setting.label}
                     ${description ? `<div class="setting-description">${description}</div>` : ''}
@@ -449,6 +487,15 @@ export const SettingsManager = {
         document.body.style.overflow = '';
     },
 
+    /**
+     * Re-rend le contenu du modal s'il est ouvert (options modifiées)
+     */
+    refresh() {
+        if (this.modal?.classList.contains('active')) {
+            this.updateContent();
+        }
+    },
+
     /**
      * Bascule l'état du modal
      */
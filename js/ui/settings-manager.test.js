@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SettingsManager, SettingType } from './settings-manager.js';
+
+describe('SettingsManager.renderSetting', () => {
+    it('keeps a textarea value as text', () => {
+        const css = 'p::after { content: "</textarea><img src=x onerror=alert(1)>"; }';
+        const container = document.createElement('div');
+        container.innerHTML = SettingsManager.renderSetting({
+            id: 'customCSS',
+            label: 'CSS personnalisé',
+            type: SettingType.TEXTAREA,
+            getValue: () => css
+        });
+
+        assert.equal(container.querySelector('img'), null);
+        assert.equal(container.querySelector('textarea').value, css);
+    });
+});
@@ -0,0 +1,269 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TYPOGRAPHY-UI.JS
+ * Section "Typographie" des paramètres : choix de la police de lecture
+ * (police de l'éditeur, police par défaut ou police importée), import /
+ * suppression de polices TTF, OTF et WOFF2, et mise en page du texte
+ * (interligne, marges, alignement, césure...) appliquée en direct.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import { Config, StorageKeys } from '../core/config.js';
+import { StateManager } from '../core/state.js';
+import { FontsManager } from '../core/fonts-manager.js';
+import { EventBus, Events } from '../events/event-bus.js';
+import { ReaderEngine } from '../reader/reader-engine.js';
+import { SettingsManager, SettingType } from './settings-manager.js';
+import { UIManager } from './ui-manager.js';
+import Logger from '../utils/logger.js';
+
+const logger = new Logger('TypographyUI');
+
+/**
+ * Retourne un réglage de typographie
+ * @param {string} key - Clé de Config.TYPOGRAPHY_DEFAULTS
+ * @returns {*}
+ * @private
+ */
+function getTypography(key) {
+    return StateManager.get('typography')[key];
+}
+
+/**
+ * Modifie un réglage de typographie, le persiste et l'applique au livre ouvert
+ * @param {string} key - Clé de Config.TYPOGRAPHY_DEFAULTS
+ * @param {*} value
+ * @private
+ */
+function setTypography(key, value) {
+    const typography = { ...StateManager.get('typography'), [key]: value };
+    localStorage.setItem(StorageKeys.TYPOGRAPHY, JSON.stringify(typography));
+    StateManager.set('typography', typography);
+    ReaderEngine.applyTheme();
+}
+
+/**
+ * TypographyUI - Paramètres de typographie
+ */
+export const TypographyUI = {
+    /**
+     * Champ fichier caché pour l'import de polices
+     * @private
+     */
+    fileInput: null,
+
+    /**
+     * Initialise la section Typographie
+     */
+    init() {
+        this.createFileInput();
+        this.registerSettings();
+
+        EventBus.on(Events.FONTS_UPDATED, () => {
+            this.registerSettings();
+            SettingsManager.refresh();
+        });
+
+        logger.info('TypographyUI initialized');
+    },
+
+    /**
+     * Crée le champ fichier caché (ajouté au body)
+     * @private
+     */
+    createFileInput() {
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = Object.keys(Config.FONT_IMPORT_FORMATS).map(ext => `.${ext}`).join(',');
+        this.fileInput.hidden = true;
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files?.[0];
+            this.fileInput.value = '';
+            if (file) this.importFont(file);
+        });
+        document.body.appendChild(this.fileInput);
+    },
+
+    /**
+     * Enregistre (ou met à jour) la section des paramètres
+     */
+    registerSettings() {
+        const fonts = FontsManager.getAll();
+        const choice = FontsManager.getChoice();
+        const selectedImported = fonts.find(f => String(f.id) === choice);
+
+        const settings = [
+            {
+                id: 'fontFamily',
+                label: 'Police de lecture',
+                type: SettingType.SELECT,
+                options: [
+                    { value: 'publisher', label: 'Police de l\'éditeur' },
+                    { value: 'default', label: 'Georgia (par défaut)' },
+                    ...fonts.map(font => ({
+                        value: String(font.id),
+                        label: `🔤 ${UIManager.escapeHtml(font.name)}`
+                    }))
+                ],
+                getValue: () => FontsManager.getChoice(),
+                setValue: (value) => {
+                    FontsManager.select(value);
+                    // Afficher ou masquer le bouton de suppression
+                    this.registerSettings();
+                    SettingsManager.refresh();
+                }
+            },
+            {
+                id: 'fontImport',
+                label: 'Importer une police',
+                getDescription: () => 'Fichiers TTF, OTF ou WOFF2',
+                type: SettingType.BUTTON,
+                buttonText: 'Importer…',
+                action: () => this.fileInput?.click()
+            }
+        ];
+
+        if (selectedImported) {
+            settings.push({
+                id: 'fontDelete',
+                label: `Supprimer « ${UIManager.escapeHtml(selectedImported.name)} »`,
+                type: SettingType.BUTTON,
+                buttonText: 'Supprimer',
+                buttonClass: 'btn-danger',
+                action: () => this.deleteFont(selectedImported)
+            });
+        }
+
+        settings.push(...this.getLayoutSettings());
+
+        SettingsManager.registerSection({
+            id: 'typography',
+            title: 'Typographie',
+            icon: '🔤',
+            order: 3,
+            settings
+        });
+    },
+
+    /**
+     * Paramètres de mise en page du texte
+     * @returns {Array}
+     * @private
+     */
+    getLayoutSettings() {
+        return [
+            {
+                id: 'lineHeight',
+                label: 'Interligne',
+                type: SettingType.SLIDER,
+                min: 1,
+                max: 2.4,
+                step: 0.1,
+                getValue: () => getTypography('lineHeight'),
+                setValue: (value) => setTypography('lineHeight', parseFloat(value))
+            },
+            {
+                id: 'paragraphSpacing',
+                label: 'Espace entre paragraphes',
+                type: SettingType.SLIDER,
+                min: 0,
+                max: 3,
+                step: 0.1,
+                unit: ' em',
+                getValue: () => getTypography('paragraphSpacing'),
+                setValue: (value) => setTypography('paragraphSpacing', parseFloat(value))
+            },
+            {
+                id: 'margins',
+                label: 'Marges',
+                type: SettingType.SELECT,
+                options: [
+                    { value: 'narrow', label: 'Étroites' },
+                    { value: 'normal', label: 'Normales' },
+                    { value: 'wide', label: 'Larges' },
+                    { value: 'xwide', label: 'Très larges' }
+                ],
+                getValue: () => getTypography('margins'),
+                setValue: (value) => setTypography('margins', value)
+            },
+            {
+                id: 'maxWidth',
+                label: 'Largeur max du texte',
+                type: SettingType.SELECT,
+                options: [
+                    { value: 'none', label: 'Aucune' },
+                    { value: 'narrow', label: 'Étroite' },
+                    { value: 'medium', label: 'Moyenne' },
+                    { value: 'wide', label: 'Large' }
+                ],
+                getValue: () => getTypography('maxWidth'),
+                setValue: (value) => setTypography('maxWidth', value)
+            },
+            {
+                id: 'textAlign',
+                label: 'Alignement',
+                type: SettingType.SELECT,
+                options: [
+                    { value: 'justify', label: 'Justifié' },
+                    { value: 'left', label: 'À gauche' },
+                    { value: 'publisher', label: 'Selon l\'éditeur' }
+                ],
+                getValue: () => getTypography('textAlign'),
+                setValue: (value) => setTypography('textAlign', value)
+            },
+            {
+                id: 'textIndent',
+                label: 'Retrait de première ligne',
+                type: SettingType.SLIDER,
+                min: 0,
+                max: 3,
+                step: 0.5,
+                unit: ' em',
+                getValue: () => getTypography('textIndent'),
+                setValue: (value) => setTypography('textIndent', parseFloat(value))
+            },
+            {
+                id: 'hyphenation',
+                label: 'Césure automatique',
+                type: SettingType.TOGGLE,
+                getValue: () => getTypography('hyphenation'),
+                setValue: (value) => setTypography('hyphenation', Boolean(value))
+            }
+        ];
+    },
+
+    /**
+     * Importe une police et la sélectionne
+     * @param {File} file
+     */
+    async importFont(file) {
+        try {
+            const font = await FontsManager.import(file);
+            FontsManager.select(String(font.id));
+            this.registerSettings();
+            SettingsManager.refresh();
+            UIManager.showStatus(`🔤 Police « ${font.name} » importée`);
+        } catch (error) {
+            logger.error('Font import failed', error);
+            UIManager.showStatus('Police invalide ou format non supporté');
+        }
+    },
+
+    /**
+     * Supprime une police importée après confirmation
+     * @param {Object} font - { id, name }
+     */
+    async deleteFont(font) {
+        if (!confirm(`Supprimer la police « ${font.name} » ?`)) return;
+
+        try {
+            await FontsManager.remove(font.id);
+            UIManager.showStatus('🗑️ Police supprimée');
+        } catch (error) {
+            logger.error('Font deletion failed', error);
+            UIManager.showStatus('Erreur lors de la suppression');
+        }
+    }
+};
+
+export default TypographyUI;
@@ -80,8 +80,9 @@ let mobileTocData = [];
  */
 const elementIds = [
     'libraryView', 'readerView', 'booksList', 'fileInput',
-    'bookModal', 'bookModalContent', 'readerTitle', 'viewer',
+    'bookModal', 'bookModalContent', 'readerTitle', 'readerChapter', 'viewer',
     'tocSidebar', 'tocOverlay', 'tocList', 'progressBar',
+    'progressScrubber', 'progressTicks', 'progressPreview',
     'statusMessage', 'searchInput', 'readerContent',
     // Mobile elements
     'settingsDropdown', 'tocBottomSheet', 'bottomSheetOverlay', 'mobileDropdownOverlay',
@@ -89,7 +90,16 @@ const elementIds = [
     'tocListMobile', 'btnSettingsToggle', 'btnTocToggle', 'tocSearchInput', 'tocSearchClear',
     'mobileFloatLeft', 'mobileFloatRight',
     // Desktop elements
-    'floatingBarLeft', 'floatingBarRight', 'flowToggleBtn'
+    'floatingBarLeft', 'floatingBarRight', 'flowToggleBtn',
+    // Panneaux latéraux du lecteur
+    'highlightsPanel', 'highlightsList',
+    'searchPanel', 'bookSearchInput', 'bookSearchStatus', 'bookSearchResults', 'searchNav', 'searchNavCount',
+    'readAloudBar', 'readAloudToggle', 'readAloudRate', 'readAloudSleep',
+    'mediaOverlayBar', 'mediaOverlayToggle', 'mediaOverlayRate',
+    'autoScrollBar', 'autoScrollToggle', 'autoScrollSpeed',
+    'historyChip',
+    // Onglet signets du sommaire (desktop + mobile)
+    'bookmarksList', 'bookmarksListMobile'
 ];
 
 /**
@@ -238,6 +248,10 @@ export const UIManager = {
         currentUIInstance?.setReaderTitle(title);
     },
     
+    setReaderChapter(label) {
+        currentUIInstance?.setReaderChapter(label);
+    },
+    
     toggleTOC() {
         currentUIInstance?.toggleTOC();
         syncIOSScrollLock();
@@ -262,8 +276,8 @@ export const UIManager = {
         currentUIInstance?.updateProgress(percent);
     },
     
-    updateProgressText(text) {
-        currentUIInstance?.updateProgressText(text);
+    updateProgressText(text, detail) {
+        currentUIInstance?.updateProgressText(text, detail);
     },
     
     // ═══════════════════════════════════════════════════════════════════════
@@ -578,6 +592,14 @@ export const UIManager = {
         // Utiliser un DocumentFragment pour la performance (1 seul reflow)
         const fragment = document.createDocumentFragment();
         
+        // Sommaire généré depuis les titres du livre (sommaire absent)
+        if (chapters.some(chapter => chapter.generated)) {
+            const note = document.createElement('li');
+            note.className = 'sheet-toc-note';
+            note.textContent = 'Sommaire généré automatiquement';
+            fragment.appendChild(note);
+        }
+        
         chapters.forEach(chapter => {
             const li = document.createElement('li');
             li.className = 'sheet-toc-item';
@@ -587,6 +609,7 @@ export const UIManager = {
             a.textContent = chapter.label.trim();
             a.dataset.href = chapter.href;
             a.dataset.action = 'goto-chapter'; // Sera capturé par l'event handler global
+            if (chapter.start) a.classList.add('sheet-toc-link-start');
             
             // Ajouter un effet visuel au clic
             a.addEventListener('click', (e) => {
@@ -619,6 +642,73 @@ export const UIManager = {
         }
     },
     
+    // ═══════════════════════════════════════════════════════════════════════
+    // ONGLETS DU SOMMAIRE (Sommaire / Signets)
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Affiche un onglet du sommaire (sidebar desktop et bottom sheet mobile)
+     * @param {string} tab - 'toc' ou 'bookmarks'
+     */
+    showTocTab(tab) {
+        document.querySelectorAll('.toc-tab[data-tab]').forEach(btn => {
+            const isActive = btn.dataset.tab === tab;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-selected', String(isActive));
+        });
+        document.querySelectorAll('[data-tab-panel]').forEach(panel => {
+            panel.hidden = panel.dataset.tabPanel !== tab;
+        });
+    },
+    
+    // ═══════════════════════════════════════════════════════════════════════
+    // PANNEAUX LATÉRAUX DU LECTEUR (surlignages, ...)
+    // ═══════════════════════════════════════════════════════════════════════
+    
+    /**
+     * Ouvre ou ferme un panneau latéral du lecteur
+     * Un seul panneau (ou sommaire) est ouvert à la fois.
+     * @param {string} id - ID du panneau (.reader-panel)
+     */
+    togglePanel(id) {
+        const panel = this.get(id);
+        if (!panel) return;
+        const isOpen = panel.classList.contains('open');
+        
+        this.closePanels();
+        this.closeAllDropdowns();
+        this.closeTOC();
+        
+        if (!isOpen) {
+            panel.classList.add('open');
+            panel.setAttribute('aria-hidden', 'false');
+            
+            // Mobile : les boutons flottants recouvriraient l'en-tête du panneau
+            this.get('mobileFloatLeft')?.classList.add('hidden');
+            this.get('mobileFloatRight')?.classList.add('hidden');
+        }
+        syncIOSScrollLock();
+    },
+    
+    /**
+     * Ferme tous les panneaux latéraux du lecteur
+     * @returns {boolean} True si un panneau était ouvert
+     */
+    closePanels() {
+        let closed = false;
+        document.querySelectorAll('.reader-panel.open').forEach(panel => {
+            panel.classList.remove('open');
+            panel.setAttribute('aria-hidden', 'true');
+            closed = true;
+        });
+        if (closed) {
+            this.get('mobileFloatLeft')?.classList.remove('hidden');
+            this.get('mobileFloatRight')?.classList.remove('hidden');
+            syncIOSScrollLock();
+        }
+        return closed;
+    },
+    
     // ═══════════════════════════════════════════════════════════════════════
     // LOADER - Feedback visuel pour opérations longues
     // ═══════════════════════════════════════════════════════════════════════
@@ -717,6 +807,14 @@ export const UIManager = {
                 </div>
             ` : ''}
             
+            ${book.security?.scripts || book.security?.remote ? `
+                <div class="book-modal-section">
+                    <h3>Sécurité</h3>
+                    ${book.security.scripts ? `<p>⚠️ Contient des scripts (${book.allowScripts ? 'autorisés' : 'désactivés'})</p>` : ''}
+                    ${book.security.remote ? '<p>⚠️ Charge des ressources externes (bloquées)</p>' : ''}
+                </div>
+            ` : ''}
+            
             <div class="book-modal-section">
                 <h3>Statistiques</h3>
                 <div class="book-modal-stats">
@@ -771,6 +869,9 @@ export const UIManager = {
         if (this.get('tocBottomSheet')?.classList.contains('active')) return true;
         if (this.get('bottomSheetOverlay')?.classList.contains('active')) return true;
 
+        // Panneaux latéraux du lecteur
+        if (document.querySelector('.reader-panel.open')) return true;
+
         return false;
     },
 
@@ -785,6 +886,7 @@ export const UIManager = {
             this.closeAllDropdowns();
             this.closeTOC();
             this.closeModal();
+            this.closePanels();
             return;
         }
 
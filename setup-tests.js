@@ -0,0 +1,41 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * SETUP-TESTS.JS
+ * Environnement navigateur des tests (node --test) : DOM et localStorage
+ * (jsdom), IndexedDB (fake-indexeddb) et JSZip, chargés avant les modules
+ * de l'application qui les utilisent dès leur import.
+ * ═══════════════════════════════════════════════════════════════════════════
+ */
+
+import 'fake-indexeddb/auto';
+import { JSDOM } from 'jsdom';
+import JSZip from 'jszip';
+import Logger from './js/utils/logger.js';
+
+const { window } = new JSDOM('<!DOCTYPE html><html><head></head><body></body></html>', {
+    url: 'http://localhost/'
+});
+
+globalThis.window = window;
+globalThis.JSZip = JSZip;
+
+// navigator est déjà défini (en lecture seule) à partir de Node 21
+['document', 'navigator', 'localStorage', 'DOMParser', 'Node', 'NodeFilter', 'HTMLElement', 'CustomEvent'].forEach(name => {
+    Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+});
+
+// Requêtes média : écran large, pas de préférence
+window.matchMedia = (query) => ({
+    media: query,
+    matches: false,
+    addEventListener() {},
+    removeEventListener() {},
+    addListener() {},
+    removeListener() {}
+});
+
+// Journal de l'application muet pendant les tests
+Logger.setConfig({ ENABLED: false });
+
+globalThis.requestAnimationFrame = (callback) => setTimeout(() => callback(performance.now()), 16);
+globalThis.cancelAnimationFrame = (id) => clearTimeout(id);
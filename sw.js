@@ -7,8 +7,8 @@
 
 // ⚠ IMPORTANT : incrémenter ce nom dès qu'on modifie des fichiers JS/CSS
 // pour éviter que Safari/iOS serve des fichiers en cache "mélangés" (ancien + nouveau).
-const CACHE_NAME = 'epub-reader-v3';
-const CACHE_VERSION = 3;
+const CACHE_NAME = 'epub-reader-v32';
+const CACHE_VERSION = 32;
 
 /**
  * Ressources critiques à mettre en cache immédiatement
@@ -43,6 +43,50 @@ const CRITICAL_ASSETS = [
     './js/events/action-handler.js',
     './js/events/gesture-handler.js',
     './js/events/keyboard-handler.js',
+    './css/components/highlights.css',
+    './js/core/highlights-manager.js',
+    './js/ui/highlights-ui.js',
+    './css/components/bookmarks.css',
+    './js/core/bookmarks-manager.js',
+    './js/ui/bookmarks-ui.js',
+    './css/components/search.css',
+    './js/reader/book-search.js',
+    './js/ui/search-ui.js',
+    './css/components/read-aloud.css',
+    './js/reader/read-aloud.js',
+    './js/ui/read-aloud-ui.js',
+    './js/core/fonts-manager.js',
+    './js/ui/typography-ui.js',
+    './js/core/reading-profile.js',
+    './js/ui/reading-profile-ui.js',
+    './css/components/footnotes.css',
+    './js/reader/footnotes.js',
+    './js/ui/footnotes-ui.js',
+    './js/core/locations-manager.js',
+    './js/reader/reading-direction.js',
+    './css/components/fixed-layout.css',
+    './js/reader/fixed-layout-reader.js',
+    './css/components/history.css',
+    './js/ui/history-ui.js',
+    './css/components/progress-scrubber.css',
+    './js/ui/progress-scrubber-ui.js',
+    './css/components/auto-scroll.css',
+    './js/reader/auto-scroll.js',
+    './js/ui/auto-scroll-ui.js',
+    './js/core/book-styles.js',
+    './js/ui/book-styles-ui.js',
+    './css/components/media-viewer.css',
+    './js/reader/media-viewer.js',
+    './js/ui/media-viewer-ui.js',
+    './js/ui/gestures-ui.js',
+    './js/reader/page-turn.js',
+    './js/reader/start-of-content.js',
+    './js/reader/print-pages.js',
+    './js/reader/generated-toc.js',
+    './js/core/content-security.js',
+    './js/ui/content-security-ui.js',
+    './js/reader/media-overlay.js',
+    './js/ui/media-overlay-ui.js',
     './manifest.json'
 ];
 